@@ -0,0 +1,156 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { computeRevision } from './file-store.js';
+import { diffNotebooks } from './diff.js';
+
+const MAX_ARGUMENT_CHARS = 200;
+
+function summarizeArguments(value) {
+  if (typeof value === 'string') {
+    if (value.length <= MAX_ARGUMENT_CHARS) {
+      return value;
+    }
+    return {
+      summarized: true,
+      chars: value.length,
+      lines: value.split('\n').length,
+      sha256: crypto.createHash('sha256').update(value).digest('hex'),
+      preview: value.slice(0, 80)
+    };
+  }
+  if (Array.isArray(value)) {
+    return value.map(summarizeArguments);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, summarizeArguments(item)]));
+  }
+  return value;
+}
+
+function parseNotebook(content) {
+  try {
+    const notebook = JSON.parse(content);
+    return Array.isArray(notebook?.cells) ? notebook : null;
+  } catch {
+    return null;
+  }
+}
+
+// Cells changed between two snapshots, or the cells named in the arguments when nothing was written
+function affectedCells(args, before, after) {
+  const oldNotebook = before === undefined ? null : before === null ? { cells: [] } : parseNotebook(before);
+  const newNotebook = after === undefined ? null : after === null ? { cells: [] } : parseNotebook(after);
+
+  if (oldNotebook && newNotebook && before !== after) {
+    return diffNotebooks(oldNotebook, newNotebook).cells
+      .filter(cell => cell.status !== 'unchanged')
+      .map(({ status, id, old_index: oldIndex, new_index: newIndex }) => ({ status, id, old_index: oldIndex, new_index: newIndex }));
+  }
+  if (args.cell_id !== undefined || args.cell_index !== undefined) {
+    return [{ id: args.cell_id, index: args.cell_index }];
+  }
+  return [];
+}
+
+class AuditLog {
+  constructor({ file, maxBytes = 10 * 1024 * 1024, maxFiles = 5 }) {
+    this.file = file;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.pending = Promise.resolve();
+  }
+
+  rotatedPath(generation) {
+    return `${this.file}.${generation}`;
+  }
+
+  async rotate() {
+    await fs.remove(this.rotatedPath(this.maxFiles));
+    for (let generation = this.maxFiles - 1; generation >= 1; generation--) {
+      if (await fs.pathExists(this.rotatedPath(generation))) {
+        await fs.move(this.rotatedPath(generation), this.rotatedPath(generation + 1));
+      }
+    }
+    if (this.maxFiles > 0) {
+      await fs.move(this.file, this.rotatedPath(1));
+    } else {
+      await fs.remove(this.file);
+    }
+  }
+
+  async write(line) {
+    await fs.ensureDir(path.dirname(this.file));
+    const size = (await fs.stat(this.file).catch(() => null))?.size || 0;
+    if (this.maxBytes > 0 && size > 0 && size + Buffer.byteLength(line) > this.maxBytes) {
+      await this.rotate();
+    }
+    await fs.appendFile(this.file, line);
+  }
+
+  append({ timestamp, tool, args, notebook, durationMs, before, after, error }) {
+    const entry = {
+      timestamp,
+      tool,
+      notebook: notebook || args.path || args.old_path || null,
+      arguments: summarizeArguments(args),
+      cells: affectedCells(args, before, after),
+      hash_before: before === undefined ? undefined : before === null ? null : computeRevision(before),
+      hash_after: after === undefined ? undefined : after === null ? null : computeRevision(after),
+      duration_ms: durationMs,
+      status: error ? 'error' : 'ok',
+      error: error || undefined
+    };
+
+    const line = `${JSON.stringify(entry)}\n`;
+    this.pending = this.pending
+      .then(() => this.write(line))
+      .catch(writeError => console.error(`[Audit Error] Cannot write ${this.file}:`, writeError.message));
+    return this.pending;
+  }
+
+  async query({ notebook, since, until, tool, status } = {}) {
+    await this.pending;
+    const sinceTime = since ? Date.parse(since) : null;
+    const untilTime = until ? Date.parse(until) : null;
+    for (const [name, time] of [['since', sinceTime], ['until', untilTime]]) {
+      if (Number.isNaN(time)) {
+        throw new Error(`Invalid ${name} timestamp: expected an ISO 8601 date or time`);
+      }
+    }
+
+    const files = [];
+    for (let generation = this.maxFiles; generation >= 1; generation--) {
+      files.push(this.rotatedPath(generation));
+    }
+    files.push(this.file);
+
+    const entries = [];
+    for (const file of files) {
+      const text = await fs.readFile(file, 'utf8').catch(() => '');
+      for (const line of text.split('\n')) {
+        let entry;
+        try {
+          entry = line ? JSON.parse(line) : null;
+        } catch {
+          entry = null;
+        }
+        if (!entry) {
+          continue;
+        }
+        const time = Date.parse(entry.timestamp);
+        if ((notebook && ![entry.notebook, entry.arguments?.old_path, entry.arguments?.new_path].includes(notebook))
+          || (sinceTime !== null && time < sinceTime)
+          || (untilTime !== null && time > untilTime)
+          || (tool && entry.tool !== tool)
+          || (status && entry.status !== status)) {
+          continue;
+        }
+        entries.push(entry);
+      }
+    }
+    return entries;
+  }
+}
+
+export { AuditLog, summarizeArguments, affectedCells };
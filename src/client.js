@@ -2,10 +2,15 @@
 
 import { Client } from "@modelcontextprotocol/sdk/client/index.js";
 import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
-import { spawn } from 'child_process';
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { SSEClientTransport } from "@modelcontextprotocol/sdk/client/sse.js";
+import { ListToolsResultSchema, CallToolResultSchema } from "@modelcontextprotocol/sdk/types.js";
 import { fileURLToPath } from 'url';
 import path from 'path';
 
+// Slack on top of the per-cell timeout for starting the kernel and saving outputs between progress updates
+const RUN_ALL_GRACE_MSEC = 5000;
+
 class JupyterMCPClient {
   constructor() {
     this.client = new Client(
@@ -19,48 +24,63 @@ class JupyterMCPClient {
     );
   }
 
-  async connect(serverCommand = ['node', 'src/server.js']) {
+  async connect(target = ['node', 'src/server.js'], { token, transport = 'streamable', env } = {}) {
+    if (typeof target === 'string' || target instanceof URL) {
+      const url = new URL(target);
+      const requestInit = token ? { headers: { Authorization: `Bearer ${token}` } } : undefined;
+      this.transport = transport === 'sse'
+        ? new SSEClientTransport(url, { requestInit })
+        : new StreamableHTTPClientTransport(url, { requestInit });
+      await this.client.connect(this.transport);
+      return this.client;
+    }
+    
     const __dirname = path.dirname(fileURLToPath(import.meta.url));
     const projectRoot = path.dirname(__dirname);
     
-    const serverProcess = spawn(serverCommand[0], serverCommand.slice(1), {
-      stdio: ['pipe', 'pipe', 'inherit'],
-      cwd: projectRoot
-    });
-
-    const transport = new StdioClientTransport({
-      readable: serverProcess.stdout,
-      writable: serverProcess.stdin
+    this.transport = new StdioClientTransport({
+      command: target[0],
+      args: target.slice(1),
+      cwd: projectRoot,
+      env,
+      stderr: 'inherit'
     });
-
-    await this.client.connect(transport);
+    await this.client.connect(this.transport);
     
-    process.on('SIGINT', () => {
-      serverProcess.kill('SIGINT');
+    process.on('SIGINT', async () => {
+      await this.close();
       process.exit(0);
     });
 
     return this.client;
   }
 
+  async close() {
+    if (this.transport instanceof StreamableHTTPClientTransport) {
+      await this.transport.terminateSession().catch(() => {});
+    }
+    await this.client.close();
+  }
+
   async listTools() {
     const response = await this.client.request(
-      { method: "tools/list" },
-      { method: "tools/list", params: {} }
+      { method: "tools/list", params: {} },
+      ListToolsResultSchema
     );
     return response.tools;
   }
 
-  async callTool(name, args) {
+  async callTool(name, args, options) {
     const response = await this.client.request(
-      { method: "tools/call" },
       { 
         method: "tools/call", 
         params: { 
           name, 
           arguments: args 
         } 
-      }
+      },
+      CallToolResultSchema,
+      options
     );
     return response;
   }
@@ -120,6 +140,22 @@ class JupyterMCPClient {
   async validateNotebook(path) {
     return await this.callTool('notebook_validate', { path });
   }
+
+  // The server reports progress after every cell, and each report restarts the request timeout, so a run
+  // can take as long as it needs while a single cell still gets its own timeout
+  async runAll(path, { allowErrors = false, timeout = 600, skipTags = ['skip-execution'], kernelName, onProgress = () => {} } = {}) {
+    return await this.callTool('notebook_run_all', { 
+      path, 
+      allow_errors: allowErrors, 
+      timeout, 
+      skip_tags: skipTags, 
+      kernel_name: kernelName 
+    }, {
+      timeout: timeout * 1000 + RUN_ALL_GRACE_MSEC,
+      resetTimeoutOnProgress: true,
+      onprogress: onProgress
+    });
+  }
 }
 
 export { JupyterMCPClient };
@@ -0,0 +1,257 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { parseArgs } from 'util';
+import YAML from 'yaml';
+
+const CONFIG_FILES = ['notebook-mcp.json', 'notebook-mcp.yaml', 'notebook-mcp.yml'];
+const REDACTED = '********';
+
+const DEFAULT_CONFIG = {
+  allowed_roots: [],
+  history_dir: null,
+  read_only: false,
+  policy_file: null,
+  kernelspec: {
+    name: 'python3',
+    display_name: 'Python 3',
+    language: 'python'
+  },
+  language_version: '3.8.0',
+  write: {
+    indent: 1,
+    sort_keys: true,
+    split_lines: true,
+    trailing_newline: true,
+    preserve_format: true
+  },
+  limits: {
+    max_notebook_bytes: 100 * 1024 * 1024,
+    max_cell_chars: 1000000,
+    max_output_chars: 5000,
+    max_read_chars: 100000
+  },
+  tools: {
+    enabled: [],
+    disabled: []
+  },
+  audit: {
+    file: null,
+    max_bytes: 10 * 1024 * 1024,
+    max_files: 5
+  },
+  storage: {
+    backend: null,
+    jupyter_url: null,
+    jupyter_token: null,
+    jupyter_root: null
+  },
+  transport: {
+    type: 'stdio',
+    host: '127.0.0.1',
+    port: 3000,
+    auth_token: null,
+    cors_origins: []
+  }
+};
+
+const CONFIG_OPTIONS = [
+  { key: 'allowed_roots', flag: 'allowed-root', env: ['NOTEBOOK_MCP_ALLOWED_ROOTS'], type: 'paths' },
+  { key: 'history_dir', flag: 'history-dir', env: ['NOTEBOOK_MCP_HISTORY_DIR'], type: 'path' },
+  { key: 'read_only', flag: 'read-only', env: ['NOTEBOOK_MCP_READ_ONLY'], type: 'boolean' },
+  { key: 'policy_file', flag: 'policy', env: ['NOTEBOOK_MCP_POLICY_FILE'], type: 'path' },
+  { key: 'kernelspec.name', flag: 'kernel-name', env: ['NOTEBOOK_MCP_KERNEL_NAME'], type: 'string' },
+  { key: 'kernelspec.display_name', flag: 'kernel-display-name', env: ['NOTEBOOK_MCP_KERNEL_DISPLAY_NAME'], type: 'string' },
+  { key: 'kernelspec.language', flag: 'kernel-language', env: ['NOTEBOOK_MCP_KERNEL_LANGUAGE'], type: 'string' },
+  { key: 'language_version', flag: 'language-version', env: ['NOTEBOOK_MCP_LANGUAGE_VERSION'], type: 'string' },
+  { key: 'write.indent', flag: 'indent', env: ['NOTEBOOK_MCP_INDENT'], type: 'number' },
+  { key: 'write.sort_keys', flag: 'sort-keys', env: ['NOTEBOOK_MCP_SORT_KEYS'], type: 'boolean' },
+  { key: 'write.split_lines', flag: 'split-lines', env: ['NOTEBOOK_MCP_SPLIT_LINES'], type: 'boolean' },
+  { key: 'write.trailing_newline', flag: 'trailing-newline', env: ['NOTEBOOK_MCP_TRAILING_NEWLINE'], type: 'boolean' },
+  { key: 'write.preserve_format', flag: 'preserve-format', env: ['NOTEBOOK_MCP_PRESERVE_FORMAT'], type: 'boolean' },
+  { key: 'limits.max_notebook_bytes', flag: 'max-notebook-bytes', env: ['NOTEBOOK_MCP_MAX_NOTEBOOK_BYTES'], type: 'number' },
+  { key: 'limits.max_cell_chars', flag: 'max-cell-chars', env: ['NOTEBOOK_MCP_MAX_CELL_CHARS'], type: 'number' },
+  { key: 'limits.max_output_chars', flag: 'max-output-chars', env: ['NOTEBOOK_MCP_MAX_OUTPUT_CHARS'], type: 'number' },
+  { key: 'limits.max_read_chars', flag: 'max-read-chars', env: ['NOTEBOOK_MCP_MAX_READ_CHARS'], type: 'number' },
+  { key: 'tools.enabled', flag: 'enable-tool', env: ['NOTEBOOK_MCP_ENABLED_TOOLS'], type: 'list' },
+  { key: 'tools.disabled', flag: 'disable-tool', env: ['NOTEBOOK_MCP_DISABLED_TOOLS'], type: 'list' },
+  { key: 'audit.file', flag: 'audit-log', env: ['NOTEBOOK_MCP_AUDIT_LOG'], type: 'path' },
+  { key: 'audit.max_bytes', flag: 'audit-max-bytes', env: ['NOTEBOOK_MCP_AUDIT_MAX_BYTES'], type: 'number' },
+  { key: 'audit.max_files', flag: 'audit-max-files', env: ['NOTEBOOK_MCP_AUDIT_MAX_FILES'], type: 'number' },
+  { key: 'storage.backend', flag: 'storage', env: ['NOTEBOOK_MCP_STORAGE'], type: 'string', choices: ['local', 'jupyter'] },
+  { key: 'storage.jupyter_url', flag: 'jupyter-url', env: ['NOTEBOOK_MCP_JUPYTER_URL'], type: 'string' },
+  { key: 'storage.jupyter_token', flag: 'jupyter-token', env: ['NOTEBOOK_MCP_JUPYTER_TOKEN', 'JUPYTER_TOKEN'], type: 'string', secret: true },
+  { key: 'storage.jupyter_root', flag: 'jupyter-root', env: ['NOTEBOOK_MCP_JUPYTER_ROOT'], type: 'path' },
+  { key: 'transport.type', flag: 'transport', env: ['NOTEBOOK_MCP_TRANSPORT'], type: 'string', choices: ['stdio', 'http'] },
+  { key: 'transport.host', flag: 'host', env: ['NOTEBOOK_MCP_HOST'], type: 'string' },
+  { key: 'transport.port', flag: 'port', env: ['NOTEBOOK_MCP_PORT'], type: 'number' },
+  { key: 'transport.auth_token', flag: 'auth-token', env: ['NOTEBOOK_MCP_AUTH_TOKEN'], type: 'string', secret: true },
+  { key: 'transport.cors_origins', flag: 'cors-origin', env: ['NOTEBOOK_MCP_CORS_ORIGINS'], type: 'list' }
+];
+
+function getKey(object, key) {
+  return key.split('.').reduce((value, part) => value?.[part], object);
+}
+
+function setKey(object, key, value) {
+  const parts = key.split('.');
+  const parent = parts.slice(0, -1).reduce((target, part) => (target[part] ??= {}), object);
+  parent[parts[parts.length - 1]] = value;
+}
+
+function parseValue(option, value, source, baseDir) {
+  const fail = expected => new Error(`Invalid ${option.key} from ${source}: expected ${expected}, got ${JSON.stringify(value)}`);
+
+  if (value === null) {
+    return null;
+  }
+  switch (option.type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(value);
+      if (!Number.isFinite(number) || number < 0 || (typeof value === 'string' && value.trim() === '')) {
+        throw fail('a non-negative number');
+      }
+      return number;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      if (/^(true|1|yes|on)$/i.test(value)) {
+        return true;
+      }
+      if (/^(false|0|no|off)$/i.test(value)) {
+        return false;
+      }
+      throw fail('a boolean');
+    case 'list':
+    case 'paths': {
+      const separator = option.type === 'paths' ? path.delimiter : ',';
+      const items = Array.isArray(value) ? value : String(value).split(separator);
+      const list = items.map(item => String(item).trim()).filter(Boolean);
+      return option.type === 'paths' ? list.map(item => path.resolve(baseDir, item)) : list;
+    }
+    case 'path':
+      if (typeof value !== 'string') {
+        throw fail('a path');
+      }
+      return path.resolve(baseDir, value);
+    default:
+      if (typeof value === 'number') {
+        value = String(value);
+      }
+      if (typeof value !== 'string') {
+        throw fail('a string');
+      }
+      if (option.choices && !option.choices.includes(value)) {
+        throw fail(`one of ${option.choices.join(', ')}`);
+      }
+      return value;
+  }
+}
+
+function flattenKeys(object, prefix = '') {
+  return Object.entries(object).flatMap(([key, value]) => (
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? flattenKeys(value, `${prefix}${key}.`)
+      : [`${prefix}${key}`]
+  ));
+}
+
+async function readConfigFile(filePath, label = 'config file') {
+  const text = await fs.readFile(filePath, 'utf8');
+  let data;
+  try {
+    data = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Cannot parse ${label} ${filePath}: ${error.message}`);
+  }
+  if (data !== null && (typeof data !== 'object' || Array.isArray(data))) {
+    throw new Error(`The ${label} ${filePath} must contain an object`);
+  }
+  return data || {};
+}
+
+async function findConfigFile(explicitPath, cwd) {
+  if (explicitPath) {
+    return path.resolve(cwd, explicitPath);
+  }
+  for (const name of CONFIG_FILES) {
+    const candidate = path.join(cwd, name);
+    if (await fs.pathExists(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+function resolveConfig(overrides = {}) {
+  const config = structuredClone(DEFAULT_CONFIG);
+  for (const key of flattenKeys(overrides)) {
+    setKey(config, key, getKey(overrides, key));
+  }
+
+  config.storage.backend ??= config.storage.jupyter_url ? 'jupyter' : 'local';
+  if (config.storage.backend === 'jupyter' && !config.storage.jupyter_url) {
+    throw new Error('storage.backend is "jupyter" but storage.jupyter_url is not set');
+  }
+  return config;
+}
+
+async function loadConfig({ args = process.argv.slice(2), env = process.env, cwd = process.cwd() } = {}) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      config: { type: "string" },
+      ...Object.fromEntries(CONFIG_OPTIONS.flatMap(option => (
+        option.type === 'boolean'
+          ? [[option.flag, { type: "boolean" }], [`no-${option.flag}`, { type: "boolean" }]]
+          : [[option.flag, { type: "string", multiple: ['list', 'paths'].includes(option.type) }]]
+      )))
+    },
+    strict: false
+  });
+
+  const overrides = {};
+  const sources = {};
+  const file = await findConfigFile(values.config || env.NOTEBOOK_MCP_CONFIG, cwd);
+
+  if (file) {
+    const data = await readConfigFile(file);
+    for (const key of flattenKeys(data)) {
+      const option = CONFIG_OPTIONS.find(candidate => candidate.key === key);
+      if (!option) {
+        throw new Error(`Unknown configuration key in ${file}: ${key}`);
+      }
+      setKey(overrides, key, parseValue(option, getKey(data, key), file, path.dirname(file)));
+      sources[key] = 'file';
+    }
+  }
+
+  for (const option of CONFIG_OPTIONS) {
+    const name = option.env.find(candidate => env[candidate] !== undefined && env[candidate] !== '');
+    if (name) {
+      setKey(overrides, option.key, parseValue(option, env[name], name, cwd));
+      sources[option.key] = 'env';
+    }
+    // Boolean flags are switches: --read-only, --no-sort-keys, or an explicit --sort-keys=false
+    const value = option.type === 'boolean' && values[`no-${option.flag}`] === true ? false : values[option.flag];
+    if (value !== undefined) {
+      setKey(overrides, option.key, parseValue(option, option.type === 'list' ? value.flatMap(item => item.split(',')) : value, `--${option.flag}`, cwd));
+      sources[option.key] = 'cli';
+    }
+  }
+
+  return { config: resolveConfig(overrides), sources, file };
+}
+
+function redactConfig(config) {
+  const redacted = structuredClone(config);
+  for (const option of CONFIG_OPTIONS.filter(candidate => candidate.secret)) {
+    if (getKey(redacted, option.key)) {
+      setKey(redacted, option.key, REDACTED);
+    }
+  }
+  return redacted;
+}
+
+export { DEFAULT_CONFIG, CONFIG_OPTIONS, loadConfig, resolveConfig, redactConfig, readConfigFile };
@@ -0,0 +1,453 @@
+import { joinSource } from './exporter.js';
+
+const SIMILARITY_THRESHOLD = 0.5;
+
+function splitLines(source) {
+  const text = joinSource(source);
+  return text === '' ? [] : text.split('\n');
+}
+
+// Above this many comparisons the changed middle of two sequences is not aligned line by line
+const MAX_LCS_CELLS = 4_000_000;
+
+function commonEnds(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++;
+  }
+  return { prefix, suffix };
+}
+
+// Pairs [i, j] of a longest common subsequence; when the changed middle is too large it is left unmatched
+function matchSequences(a, b) {
+  const { prefix, suffix } = commonEnds(a, b);
+  const pairs = Array.from({ length: prefix }, (_, k) => [k, k]);
+  const oldMiddle = a.length - prefix - suffix;
+  const newMiddle = b.length - prefix - suffix;
+
+  if (oldMiddle > 0 && newMiddle > 0 && oldMiddle * newMiddle <= MAX_LCS_CELLS) {
+    const table = Array.from({ length: oldMiddle + 1 }, () => new Uint32Array(newMiddle + 1));
+    for (let i = oldMiddle - 1; i >= 0; i--) {
+      for (let j = newMiddle - 1; j >= 0; j--) {
+        table[i][j] = a[prefix + i] === b[prefix + j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < oldMiddle && j < newMiddle) {
+      if (a[prefix + i] === b[prefix + j]) {
+        pairs.push([prefix + i, prefix + j]);
+        i++;
+        j++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+  }
+
+  for (let k = suffix; k > 0; k--) {
+    pairs.push([a.length - k, b.length - k]);
+  }
+  return pairs;
+}
+
+function similarity(a, b) {
+  if (a.length === 0 && b.length === 0) {
+    return 1;
+  }
+
+  const { prefix, suffix } = commonEnds(a, b);
+  let common = prefix + suffix;
+  if ((a.length - common) * (b.length - common) <= MAX_LCS_CELLS) {
+    common = matchSequences(a, b).length;
+  } else {
+    // Too large to align: count the lines the two middles share, an upper bound on their common subsequence
+    const counts = new Map();
+    for (const line of a.slice(prefix, a.length - suffix)) {
+      counts.set(line, (counts.get(line) || 0) + 1);
+    }
+    for (const line of b.slice(prefix, b.length - suffix)) {
+      if (counts.get(line) > 0) {
+        counts.set(line, counts.get(line) - 1);
+        common++;
+      }
+    }
+  }
+  return (2 * common) / (a.length + b.length);
+}
+
+function diffLines(oldLines, newLines, context = 2) {
+  const edits = [];
+  let i = 0;
+  let j = 0;
+
+  for (const [oldIndex, newIndex] of [...matchSequences(oldLines, newLines), [oldLines.length, newLines.length]]) {
+    for (; i < oldIndex; i++) {
+      edits.push({ type: '-', line: oldLines[i], oldLine: i + 1, newLine: j });
+    }
+    for (; j < newIndex; j++) {
+      edits.push({ type: '+', line: newLines[j], oldLine: i, newLine: j + 1 });
+    }
+    if (i < oldLines.length && j < newLines.length) {
+      edits.push({ type: ' ', line: oldLines[i], oldLine: i + 1, newLine: j + 1 });
+      i++;
+      j++;
+    }
+  }
+
+  const keep = edits.map(() => false);
+  edits.forEach((edit, index) => {
+    if (edit.type !== ' ') {
+      for (let k = Math.max(0, index - context); k <= Math.min(edits.length - 1, index + context); k++) {
+        keep[k] = true;
+      }
+    }
+  });
+
+  const hunks = [];
+  let current = null;
+  edits.forEach((edit, index) => {
+    if (!keep[index]) {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = {
+        old_start: edit.type === '+' ? edit.oldLine + 1 : edit.oldLine,
+        new_start: edit.type === '-' ? edit.newLine + 1 : edit.newLine,
+        lines: []
+      };
+      hunks.push(current);
+    }
+    current.lines.push(`${edit.type}${edit.line}`);
+  });
+
+  return hunks;
+}
+
+function diffValues(before, after, prefix = '') {
+  const changes = [];
+  const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+  if (isObject(before) && isObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    for (const key of keys) {
+      changes.push(...diffValues(before[key], after[key], prefix ? `${prefix}.${key}` : key));
+    }
+  } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+    const change = { key: prefix };
+    if (before === undefined) {
+      change.action = 'added';
+      change.to = after;
+    } else if (after === undefined) {
+      change.action = 'removed';
+      change.from = before;
+    } else {
+      change.action = 'changed';
+      change.from = before;
+      change.to = after;
+    }
+    changes.push(change);
+  }
+
+  return changes;
+}
+
+function outputKinds(outputs = []) {
+  const kinds = {};
+  const add = (kind, value) => {
+    (kinds[kind] = kinds[kind] || []).push(JSON.stringify(value));
+  };
+
+  for (const output of outputs) {
+    if (output.output_type === 'stream') {
+      add(`stream:${output.name}`, output.text);
+    } else if (output.output_type === 'error') {
+      add(`error:${output.ename}`, output.evalue);
+    } else {
+      for (const [mimeType, value] of Object.entries(output.data || {})) {
+        add(mimeType, value);
+      }
+    }
+  }
+  return kinds;
+}
+
+function diffOutputs(before = [], after = []) {
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return null;
+  }
+
+  const oldKinds = outputKinds(before);
+  const newKinds = outputKinds(after);
+  const summary = { added: {}, removed: {}, changed: [] };
+
+  for (const kind of new Set([...Object.keys(oldKinds), ...Object.keys(newKinds)])) {
+    const oldValues = oldKinds[kind] || [];
+    const newValues = newKinds[kind] || [];
+    const delta = newValues.length - oldValues.length;
+    if (delta > 0) {
+      summary.added[kind] = delta;
+    } else if (delta < 0) {
+      summary.removed[kind] = -delta;
+    } else if (oldValues.join('\n') !== newValues.join('\n')) {
+      summary.changed.push(kind);
+    }
+  }
+
+  summary.count = { from: before.length, to: after.length };
+  return summary;
+}
+
+function matchCells(oldCells, newCells) {
+  const pairs = new Map();
+  const usedNew = new Set();
+  const newIds = new Map(newCells.map((cell, index) => [cell.id, index]));
+
+  oldCells.forEach((cell, index) => {
+    if (cell.id && newIds.has(cell.id) && !usedNew.has(newIds.get(cell.id))) {
+      pairs.set(index, newIds.get(cell.id));
+      usedNew.add(newIds.get(cell.id));
+    }
+  });
+
+  const oldLines = oldCells.map(cell => splitLines(cell.source));
+  const newLines = newCells.map(cell => splitLines(cell.source));
+  const candidates = [];
+  oldCells.forEach((oldCell, i) => {
+    if (pairs.has(i)) {
+      return;
+    }
+    newCells.forEach((newCell, j) => {
+      if (usedNew.has(j) || oldCell.cell_type !== newCell.cell_type) {
+        return;
+      }
+      const score = similarity(oldLines[i], newLines[j]);
+      if (score >= SIMILARITY_THRESHOLD) {
+        candidates.push({ i, j, score, distance: Math.abs(i - j) });
+      }
+    });
+  });
+
+  candidates.sort((a, b) => b.score - a.score || a.distance - b.distance);
+  for (const { i, j } of candidates) {
+    if (!pairs.has(i) && !usedNew.has(j)) {
+      pairs.set(i, j);
+      usedNew.add(j);
+    }
+  }
+
+  return pairs;
+}
+
+function stableOldIndices(pairs) {
+  const ordered = [...pairs.entries()].sort((a, b) => a[0] - b[0]);
+  const tails = [];
+  const previous = new Array(ordered.length).fill(-1);
+
+  ordered.forEach(([, newIndex], k) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (ordered[tails[mid]][1] < newIndex) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    previous[k] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = k;
+  });
+
+  const stable = new Set();
+  for (let k = tails[tails.length - 1] ?? -1; k !== -1; k = previous[k]) {
+    stable.add(ordered[k][0]);
+  }
+  return stable;
+}
+
+function diffCell(oldCell, newCell) {
+  const changes = {};
+
+  if (oldCell.cell_type !== newCell.cell_type) {
+    changes.cell_type = { from: oldCell.cell_type, to: newCell.cell_type };
+  }
+
+  const source = diffLines(splitLines(oldCell.source), splitLines(newCell.source));
+  if (source.length > 0) {
+    changes.source = source;
+  }
+
+  const metadata = diffValues(oldCell.metadata || {}, newCell.metadata || {});
+  if (metadata.length > 0) {
+    changes.metadata = metadata;
+  }
+
+  const outputs = diffOutputs(oldCell.outputs, newCell.outputs);
+  if (outputs) {
+    changes.outputs = outputs;
+  }
+
+  if ((oldCell.execution_count ?? null) !== (newCell.execution_count ?? null)) {
+    changes.execution_count = { from: oldCell.execution_count ?? null, to: newCell.execution_count ?? null };
+  }
+
+  return changes;
+}
+
+function diffNotebooks(oldNotebook, newNotebook) {
+  const oldCells = oldNotebook.cells || [];
+  const newCells = newNotebook.cells || [];
+  const pairs = matchCells(oldCells, newCells);
+  const stable = stableOldIndices(pairs);
+  const matchedNew = new Map([...pairs.entries()].map(([oldIndex, newIndex]) => [newIndex, oldIndex]));
+  const cells = [];
+  const summary = { added: 0, removed: 0, modified: 0, moved: 0, unchanged: 0 };
+
+  newCells.forEach((newCell, newIndex) => {
+    if (!matchedNew.has(newIndex)) {
+      cells.push({ status: 'added', new_index: newIndex, id: newCell.id, cell_type: newCell.cell_type, source: joinSource(newCell.source) });
+      summary.added++;
+      return;
+    }
+
+    const oldIndex = matchedNew.get(newIndex);
+    const changes = diffCell(oldCells[oldIndex], newCell);
+    const moved = !stable.has(oldIndex);
+    const modified = Object.keys(changes).length > 0;
+    const entry = {
+      status: moved ? 'moved' : modified ? 'modified' : 'unchanged',
+      old_index: oldIndex,
+      new_index: newIndex,
+      id: newCell.id || oldCells[oldIndex].id,
+      cell_type: newCell.cell_type
+    };
+    if (modified) {
+      entry.changes = changes;
+    }
+    cells.push(entry);
+    summary[entry.status]++;
+    if (moved && modified) {
+      summary.modified++;
+    }
+  });
+
+  oldCells.forEach((oldCell, oldIndex) => {
+    if (!pairs.has(oldIndex)) {
+      cells.push({ status: 'removed', old_index: oldIndex, id: oldCell.id, cell_type: oldCell.cell_type, source: joinSource(oldCell.source) });
+      summary.removed++;
+    }
+  });
+
+  return {
+    summary,
+    metadata: diffValues(oldNotebook.metadata || {}, newNotebook.metadata || {}),
+    nbformat: oldNotebook.nbformat !== newNotebook.nbformat || oldNotebook.nbformat_minor !== newNotebook.nbformat_minor
+      ? { from: `${oldNotebook.nbformat}.${oldNotebook.nbformat_minor}`, to: `${newNotebook.nbformat}.${newNotebook.nbformat_minor}` }
+      : null,
+    cells
+  };
+}
+
+function describeEntry(entry) {
+  const id = entry.id ? ` [${entry.id}]` : '';
+  switch (entry.status) {
+    case 'added':
+      return `+ added ${entry.cell_type} cell${id} at ${entry.new_index}`;
+    case 'removed':
+      return `- removed ${entry.cell_type} cell${id} from ${entry.old_index}`;
+    case 'moved':
+      return `~ moved ${entry.cell_type} cell${id} from ${entry.old_index} to ${entry.new_index}${entry.changes ? ' and modified' : ''}`;
+    default:
+      return `~ modified ${entry.cell_type} cell${id} at ${entry.new_index}${entry.old_index !== entry.new_index ? ` (was ${entry.old_index})` : ''}`;
+  }
+}
+
+function formatValue(value) {
+  const text = JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+function formatChange(change) {
+  if (change.action === 'added') {
+    return `${change.key}: added ${formatValue(change.to)}`;
+  }
+  if (change.action === 'removed') {
+    return `${change.key}: removed (was ${formatValue(change.from)})`;
+  }
+  return `${change.key}: ${formatValue(change.from)} -> ${formatValue(change.to)}`;
+}
+
+function formatCounts(counts) {
+  return Object.entries(counts).map(([kind, count]) => (count > 1 ? `${kind} x${count}` : kind)).join(', ');
+}
+
+function formatDiff(diff, fromLabel, toLabel) {
+  const { summary } = diff;
+  const lines = [
+    `--- ${fromLabel}`,
+    `+++ ${toLabel}`,
+    `${summary.added} added, ${summary.removed} removed, ${summary.modified} modified, ${summary.moved} moved, ${summary.unchanged} unchanged`
+  ];
+
+  if (diff.nbformat) {
+    lines.push('', `nbformat: ${diff.nbformat.from} -> ${diff.nbformat.to}`);
+  }
+  if (diff.metadata.length > 0) {
+    lines.push('', 'Notebook metadata:');
+    lines.push(...diff.metadata.map(change => `  ${formatChange(change)}`));
+  }
+
+  for (const entry of diff.cells) {
+    if (entry.status === 'unchanged') {
+      continue;
+    }
+    lines.push('', describeEntry(entry));
+
+    if (entry.status === 'added' || entry.status === 'removed') {
+      const prefix = entry.status === 'added' ? '+' : '-';
+      lines.push(...splitLines(entry.source).map(line => `  ${prefix}${line}`));
+      continue;
+    }
+
+    const changes = entry.changes || {};
+    if (changes.cell_type) {
+      lines.push(`  type: ${changes.cell_type.from} -> ${changes.cell_type.to}`);
+    }
+    for (const hunk of changes.source || []) {
+      lines.push(`  @@ -${hunk.old_start} +${hunk.new_start} @@`);
+      lines.push(...hunk.lines.map(line => `  ${line}`));
+    }
+    for (const change of changes.metadata || []) {
+      lines.push(`  metadata.${formatChange(change)}`);
+    }
+    if (changes.outputs) {
+      const parts = [];
+      if (Object.keys(changes.outputs.added).length > 0) {
+        parts.push(`added ${formatCounts(changes.outputs.added)}`);
+      }
+      if (Object.keys(changes.outputs.removed).length > 0) {
+        parts.push(`removed ${formatCounts(changes.outputs.removed)}`);
+      }
+      if (changes.outputs.changed.length > 0) {
+        parts.push(`changed ${changes.outputs.changed.join(', ')}`);
+      }
+      lines.push(`  outputs (${changes.outputs.count.from} -> ${changes.outputs.count.to}): ${parts.join('; ') || 'reordered'}`);
+    }
+    if (changes.execution_count) {
+      lines.push(`  execution_count: ${changes.execution_count.from} -> ${changes.execution_count.to}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+export { diffNotebooks, formatDiff, diffLines, diffValues, matchSequences, matchCells };
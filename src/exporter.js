@@ -0,0 +1,289 @@
+import { marked } from 'marked';
+
+const EXPORT_EXTENSIONS = {
+  python: '.py',
+  percent: '.py',
+  markdown: '.md',
+  html: '.html'
+};
+
+const PYTHON_KEYWORDS = new Set([
+  'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break',
+  'class', 'continue', 'def', 'del', 'elif', 'else', 'except', 'finally', 'for',
+  'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or',
+  'pass', 'raise', 'return', 'try', 'while', 'with', 'yield', 'match', 'case'
+]);
+
+const PYTHON_BUILTINS = new Set([
+  'abs', 'all', 'any', 'bool', 'dict', 'dir', 'enumerate', 'filter', 'float',
+  'format', 'getattr', 'hasattr', 'int', 'isinstance', 'len', 'list', 'map', 'max',
+  'min', 'open', 'print', 'range', 'repr', 'reversed', 'round', 'set', 'setattr',
+  'sorted', 'str', 'sum', 'super', 'tuple', 'type', 'zip', 'self'
+]);
+
+const PYTHON_TOKEN = /(#[^\n]*)|([rbfuRBFU]{0,2}(?:"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'))|(@[A-Za-z_][\w.]*)|(\b\d[\d_]*(?:\.\d*)?(?:[eE][+-]?\d+)?j?\b)|([A-Za-z_]\w*)/g;
+
+const ANSI_PATTERN = /\u001b\[[0-9;?]*[A-Za-z]/g;
+
+function joinSource(source) {
+  if (source === undefined || source === null) {
+    return '';
+  }
+  return Array.isArray(source) ? source.join('') : source;
+}
+
+function stripAnsi(text) {
+  return text.replace(ANSI_PATTERN, '');
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function getLanguage(notebook) {
+  return notebook.metadata?.language_info?.name || notebook.metadata?.kernelspec?.language || 'python';
+}
+
+function getExportExtension(format) {
+  return EXPORT_EXTENSIONS[format];
+}
+
+function outputText(output) {
+  switch (output.output_type) {
+    case 'stream':
+      return stripAnsi(joinSource(output.text));
+    case 'error':
+      return stripAnsi((output.traceback || [`${output.ename}: ${output.evalue}`]).join('\n'));
+    case 'execute_result':
+    case 'display_data':
+      return output.data?.['text/plain'] !== undefined ? joinSource(output.data['text/plain']) : null;
+    default:
+      return null;
+  }
+}
+
+function exportToPython(notebook) {
+  const parts = ['#!/usr/bin/env python\n# coding: utf-8\n'];
+
+  for (const cell of notebook.cells) {
+    const source = joinSource(cell.source);
+
+    if (cell.cell_type === 'code') {
+      const label = cell.execution_count !== null && cell.execution_count !== undefined ? cell.execution_count : ' ';
+      parts.push(`# In[${label}]:\n\n\n${source}\n\n`);
+    } else {
+      const commented = source
+        .split('\n')
+        .map(line => (line ? `# ${line}` : '#'))
+        .join('\n');
+      parts.push(cell.cell_type === 'raw' ? `# Raw cell:\n${commented}\n` : `${commented}\n`);
+    }
+  }
+
+  return parts.join('\n');
+}
+
+// Metadata that fits on a `# %%` marker as key=value; the rest stays in the notebook when syncing back
+function percentMarkerOptions(metadata = {}) {
+  return Object.entries(metadata)
+    .filter(([key]) => key !== 'title' && /^\w+$/.test(key))
+    .map(([key, value]) => [key, JSON.stringify(value)])
+    .filter(([, value]) => /^(\[[^\]]*\]|"[^"]*"|[^\s"[]\S*)$/.test(value))
+    .map(([key, value]) => `${key}=${value}`);
+}
+
+// The percent format (as written by jupytext) is the one notebook_sync_script reads back cell for cell
+function exportToPercent(notebook) {
+  const parts = [];
+
+  for (const cell of notebook.cells) {
+    const source = joinSource(cell.source);
+    const marker = [
+      '# %%',
+      ...(typeof cell.metadata?.title === 'string' ? [cell.metadata.title] : []),
+      ...(cell.cell_type === 'code' ? [] : [`[${cell.cell_type}]`]),
+      ...percentMarkerOptions(cell.metadata)
+    ].join(' ');
+    const body = cell.cell_type === 'code'
+      ? source
+      : source.split('\n').map(line => (line ? `# ${line}` : '#')).join('\n');
+    parts.push(`${marker}\n${body}\n`);
+  }
+
+  return parts.join('\n');
+}
+
+function exportToMarkdown(notebook) {
+  const language = getLanguage(notebook);
+  const parts = [];
+
+  for (const cell of notebook.cells) {
+    const source = joinSource(cell.source);
+
+    if (cell.cell_type !== 'code') {
+      parts.push(source);
+    } else {
+      parts.push(`\`\`\`${language}\n${source}\n\`\`\``);
+
+      for (const output of cell.outputs || []) {
+        const imageType = ['image/png', 'image/jpeg'].find(type => output.data?.[type]);
+        const text = outputText(output);
+
+        if (imageType) {
+          parts.push(`![output](data:${imageType};base64,${joinSource(output.data[imageType]).replace(/\s/g, '')})`);
+        } else if (text) {
+          const indented = text
+            .replace(/\n$/, '')
+            .split('\n')
+            .map(line => `    ${line}`)
+            .join('\n');
+          parts.push(indented);
+        }
+      }
+    }
+  }
+
+  return parts.join('\n\n') + '\n';
+}
+
+function highlightPython(source) {
+  let result = '';
+  let lastIndex = 0;
+  let match;
+
+  PYTHON_TOKEN.lastIndex = 0;
+  while ((match = PYTHON_TOKEN.exec(source)) !== null) {
+    result += escapeHtml(source.slice(lastIndex, match.index));
+    const token = escapeHtml(match[0]);
+
+    if (match[1]) {
+      result += `<span class="c">${token}</span>`;
+    } else if (match[2]) {
+      result += `<span class="s">${token}</span>`;
+    } else if (match[3]) {
+      result += `<span class="d">${token}</span>`;
+    } else if (match[4]) {
+      result += `<span class="m">${token}</span>`;
+    } else if (PYTHON_KEYWORDS.has(match[5])) {
+      result += `<span class="k">${token}</span>`;
+    } else if (PYTHON_BUILTINS.has(match[5])) {
+      result += `<span class="b">${token}</span>`;
+    } else {
+      result += token;
+    }
+
+    lastIndex = PYTHON_TOKEN.lastIndex;
+  }
+
+  return result + escapeHtml(source.slice(lastIndex));
+}
+
+function renderHtmlOutput(output) {
+  if (output.output_type === 'stream') {
+    const streamClass = output.name === 'stderr' ? 'output-stderr' : 'output-stream';
+    return `<pre class="${streamClass}">${escapeHtml(stripAnsi(joinSource(output.text)))}</pre>`;
+  }
+
+  if (output.output_type === 'error') {
+    return `<pre class="output-error">${escapeHtml(outputText(output))}</pre>`;
+  }
+
+  const data = output.data || {};
+  if (data['image/png']) {
+    return `<img src="data:image/png;base64,${joinSource(data['image/png']).replace(/\s/g, '')}" alt="output">`;
+  }
+  if (data['image/jpeg']) {
+    return `<img src="data:image/jpeg;base64,${joinSource(data['image/jpeg']).replace(/\s/g, '')}" alt="output">`;
+  }
+  if (data['image/svg+xml']) {
+    return `<div class="output-svg">${joinSource(data['image/svg+xml'])}</div>`;
+  }
+  if (data['text/html']) {
+    return `<div class="output-html">${joinSource(data['text/html'])}</div>`;
+  }
+  if (data['text/markdown']) {
+    return `<div class="output-markdown">${marked.parse(joinSource(data['text/markdown']))}</div>`;
+  }
+  if (data['text/plain'] !== undefined) {
+    return `<pre class="output-text">${escapeHtml(joinSource(data['text/plain']))}</pre>`;
+  }
+
+  return '';
+}
+
+function exportToHtml(notebook, title) {
+  const language = getLanguage(notebook);
+  const cells = notebook.cells.map(cell => {
+    const source = joinSource(cell.source);
+
+    if (cell.cell_type === 'markdown') {
+      return `<div class="cell markdown-cell">${marked.parse(source)}</div>`;
+    }
+
+    if (cell.cell_type === 'raw') {
+      return `<div class="cell raw-cell"><pre>${escapeHtml(source)}</pre></div>`;
+    }
+
+    const label = cell.execution_count !== null && cell.execution_count !== undefined ? cell.execution_count : ' ';
+    const input = language === 'python' ? highlightPython(source) : escapeHtml(source);
+    const outputs = (cell.outputs || []).map(renderHtmlOutput).filter(Boolean).join('\n');
+
+    return [
+      '<div class="cell code-cell">',
+      `<div class="input"><div class="prompt">In&nbsp;[${label}]:</div><pre class="highlight">${input}</pre></div>`,
+      outputs ? `<div class="outputs">${outputs}</div>` : '',
+      '</div>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; color: #24292e; }
+.cell { margin: 1em 0; }
+.input { display: flex; gap: 0.5em; }
+.prompt { color: #303f9f; font-family: monospace; min-width: 5em; text-align: right; padding-top: 0.6em; }
+pre { margin: 0; padding: 0.6em; overflow-x: auto; font-size: 13px; }
+.highlight { flex: 1; background: #f7f7f7; border: 1px solid #e0e0e0; border-radius: 2px; }
+.outputs { margin-left: 5.5em; }
+.output-stderr { background: #fdd; }
+.output-error { background: #fdd; color: #a00; }
+.outputs img { max-width: 100%; }
+.k { color: #008000; font-weight: bold; }
+.b { color: #008000; }
+.s { color: #ba2121; }
+.c { color: #408080; font-style: italic; }
+.m { color: #666666; }
+.d { color: #aa22ff; }
+</style>
+</head>
+<body>
+${cells.join('\n')}
+</body>
+</html>
+`;
+}
+
+function exportNotebookContent(notebook, format, title) {
+  switch (format) {
+    case 'python':
+      return exportToPython(notebook);
+    case 'percent':
+      return exportToPercent(notebook);
+    case 'markdown':
+      return exportToMarkdown(notebook);
+    case 'html':
+      return exportToHtml(notebook, title);
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+export { exportNotebookContent, getExportExtension, joinSource, stripAnsi, escapeHtml };
@@ -0,0 +1,74 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+
+function computeRevision(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+async function readRevision(filePath) {
+  try {
+    return computeRevision(await fs.readFile(filePath));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function writeFileAtomic(filePath, content) {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+  );
+  const mode = await fs.stat(filePath).then(stats => stats.mode, () => 0o666);
+  let handle;
+
+  try {
+    handle = await fs.promises.open(tempPath, 'wx', mode);
+    await handle.writeFile(content);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await handle?.close().catch(() => {});
+    await fs.remove(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+class MutationQueue {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  async run(key, task) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => {
+      release = resolve;
+    });
+    const tail = previous.then(() => current);
+    this.tails.set(key, tail);
+
+    await previous;
+    try {
+      return await task();
+    } finally {
+      release();
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    }
+  }
+
+  // Holds several keys at once, taken in sorted order so two callers never wait on each other
+  async runAll(keys, task) {
+    const sorted = [...new Set(keys)].sort();
+    return sorted.reduceRight((next, key) => () => this.run(key, next), task)();
+  }
+}
+
+export { computeRevision, readRevision, writeFileAtomic, MutationQueue };
@@ -0,0 +1,29 @@
+import { execFile } from 'child_process';
+import path from 'path';
+
+function git(args, cwd) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, maxBuffer: 64 * 1024 * 1024, timeout: 30000 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(stderr.trim() || error.message));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+async function showFileAtRevision(filePath, revision = 'HEAD') {
+  if (!/^[\w./~^@{}-]+$/.test(revision) || revision.startsWith('-')) {
+    throw new Error(`Invalid git revision: ${revision}`);
+  }
+
+  const cwd = path.dirname(filePath);
+  try {
+    return await git(['show', `${revision}:./${path.basename(filePath)}`], cwd);
+  } catch (error) {
+    throw new Error(`Cannot read ${path.basename(filePath)} at git revision ${revision}: ${error.message}`);
+  }
+}
+
+export { git, showFileAtRevision };
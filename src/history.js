@@ -0,0 +1,245 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { computeRevision, writeFileAtomic } from './file-store.js';
+import { LocalStorage } from './storage.js';
+
+function snapshotRevision(content) {
+  return content === null ? null : computeRevision(content);
+}
+
+// Sidecars hold each entry without its content; the notebook snapshots are stored once per revision beside them
+function withoutContent({ before: _before, after: _after, ...entry }) {
+  return entry;
+}
+
+function snapshots(journal) {
+  const byRevision = new Map();
+  for (const entry of [...journal.undo, ...journal.redo]) {
+    for (const [revision, content] of [[entry.revision_before, entry.before], [entry.revision_after, entry.after]]) {
+      if (content !== null) {
+        byRevision.set(revision, content);
+      }
+    }
+  }
+  return byRevision;
+}
+
+
+function summarizeEntry(entry, index) {
+  return {
+    step: index + 1,
+    tool: entry.tool,
+    arguments: entry.args,
+    timestamp: entry.timestamp,
+    revision_before: entry.revision_before,
+    revision_after: entry.revision_after
+  };
+}
+
+class NotebookHistory {
+  constructor({ directory = null, limit = 50, maxBytes = 64 * 1024 * 1024, storage = new LocalStorage() } = {}) {
+    this.directory = directory;
+    this.storage = storage;
+    this.limit = limit;
+    this.maxBytes = maxBytes;
+    this.journals = new Map();
+    this.groups = new WeakMap();
+  }
+
+  sidecarPath(notebookPath) {
+    const key = crypto.createHash('sha256').update(notebookPath).digest('hex').slice(0, 16);
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  snapshotDirectory(notebookPath) {
+    return this.sidecarPath(notebookPath).replace(/\.json$/, '');
+  }
+
+  async readStored(notebookPath) {
+    const stored = await fs.readJson(this.sidecarPath(notebookPath)).catch(() => null);
+    if (stored?.path !== notebookPath) {
+      return null;
+    }
+
+    const directory = this.snapshotDirectory(notebookPath);
+    const read = revision => (revision === null ? null : fs.readFile(path.join(directory, `${revision}.ipynb`), 'utf8'));
+    try {
+      for (const entry of [...stored.undo, ...stored.redo]) {
+        // Sidecars written before snapshots were split out still carry the content inline
+        if (!('before' in entry)) {
+          entry.before = await read(entry.revision_before);
+          entry.after = await read(entry.revision_after);
+        }
+      }
+    } catch {
+      return null;
+    }
+    return stored;
+  }
+
+  async load(notebookPath) {
+    if (this.journals.has(notebookPath)) {
+      return this.journals.get(notebookPath);
+    }
+
+    let journal = { path: notebookPath, undo: [], redo: [] };
+    if (this.directory) {
+      journal = await this.readStored(notebookPath) || journal;
+    }
+
+    this.journals.set(notebookPath, journal);
+    return journal;
+  }
+
+  async save(journal) {
+    if (!this.directory) {
+      return;
+    }
+    // Only snapshots not yet on disk are written, so recording a step costs its own size rather than the journal's
+    const directory = this.snapshotDirectory(journal.path);
+    const kept = snapshots(journal);
+    await fs.ensureDir(directory);
+    for (const [revision, content] of kept) {
+      const snapshotPath = path.join(directory, `${revision}.ipynb`);
+      if (!await fs.pathExists(snapshotPath)) {
+        await writeFileAtomic(snapshotPath, content);
+      }
+    }
+
+    await writeFileAtomic(this.sidecarPath(journal.path), JSON.stringify({
+      path: journal.path,
+      undo: journal.undo.map(withoutContent),
+      redo: journal.redo.map(withoutContent)
+    }));
+
+    for (const name of await fs.readdir(directory)) {
+      if (!kept.has(path.basename(name, '.ipynb'))) {
+        await fs.remove(path.join(directory, name));
+      }
+    }
+  }
+
+  async record(notebookPath, { tool, args, before, after, group = null, movedFrom = null }) {
+    if (before === after && !movedFrom) {
+      return;
+    }
+
+    const journal = await this.load(notebookPath);
+    const revisionBefore = snapshotRevision(before);
+    const last = journal.undo[journal.undo.length - 1];
+
+    // Successive writes of one tool call (run_all saving each cell) extend its step
+    if (group && this.groups.get(journal) === group && last?.revision_after === revisionBefore) {
+      last.after = after;
+      last.revision_after = snapshotRevision(after);
+      journal.redo = [];
+      await this.save(journal);
+      return;
+    }
+    this.groups.set(journal, group);
+
+    // Steps recorded before an outside edit cannot be undone without losing that edit
+    if (last && last.revision_after !== revisionBefore) {
+      journal.undo = [];
+    }
+
+    const { path: _path, expected_revision: _expected, ...rest } = args;
+    journal.undo.push({
+      tool,
+      args: rest,
+      timestamp: new Date().toISOString(),
+      before,
+      after,
+      revision_before: revisionBefore,
+      revision_after: snapshotRevision(after),
+      ...(movedFrom ? { moved_from: movedFrom, moved_to: notebookPath } : {})
+    });
+    journal.undo = journal.undo.slice(-this.limit);
+    journal.redo = [];
+    // Large notebooks give up their oldest steps first; the step just recorded is always kept
+    const sizes = new Map([...snapshots(journal)].map(([revision, content]) => [revision, Buffer.byteLength(content)]));
+    const heldBytes = () => [...snapshots(journal).keys()].reduce((total, revision) => total + sizes.get(revision), 0);
+    while (journal.undo.length > 1 && heldBytes() > this.maxBytes) {
+      journal.undo.shift();
+    }
+
+    await this.save(journal);
+  }
+
+  async rename(oldPath, newPath) {
+    const journal = await this.load(oldPath);
+    this.journals.delete(oldPath);
+    if (this.directory) {
+      await fs.remove(this.sidecarPath(oldPath));
+      await fs.remove(this.snapshotDirectory(oldPath));
+    }
+
+    journal.path = newPath;
+    this.journals.set(newPath, journal);
+    await this.save(journal);
+  }
+
+  async travel(notebookPath, steps, direction) {
+    const journal = await this.load(notebookPath);
+    const [from, to] = direction === 'undo' ? ['undo', 'redo'] : ['redo', 'undo'];
+    const [expectedKey, restoreKey] = direction === 'undo' ? ['revision_after', 'before'] : ['revision_before', 'after'];
+
+    if (journal[from].length === 0) {
+      throw new Error(`Nothing to ${direction} for ${notebookPath}`);
+    }
+    if (steps < 1 || steps > journal[from].length) {
+      throw new Error(`Cannot ${direction} ${steps} step(s): ${journal[from].length} available`);
+    }
+
+    const entries = journal[from].slice(-steps).reverse();
+    const current = snapshotRevision(await this.storage.readText(notebookPath));
+    if (current !== entries[0][expectedKey]) {
+      throw new Error(`${notebookPath} was changed outside the server since the last recorded operation (revision ${current || 'file does not exist'}, expected ${entries[0][expectedKey] || 'file does not exist'}); refusing to ${direction}`);
+    }
+
+    // Renames among the steps move the notebook back (undo) or along again (redo), taking the journal with it
+    const destination = entries.reduce((location, entry) => (
+      entry.moved_from ? (direction === 'undo' ? entry.moved_from : entry.moved_to) : location
+    ), notebookPath);
+    if (destination !== notebookPath && await this.storage.stat(destination)) {
+      throw new Error(`Cannot ${direction}: the notebook would move to ${destination}, which already exists`);
+    }
+
+    const content = entries[entries.length - 1][restoreKey];
+    if (content !== null) {
+      await this.storage.write(destination, content);
+    }
+    if (current !== null && (content === null || destination !== notebookPath)) {
+      await this.storage.remove(notebookPath);
+    }
+
+    journal[from] = journal[from].slice(0, -steps);
+    journal[to].push(...entries);
+    if (destination !== notebookPath) {
+      await this.rename(notebookPath, destination);
+    } else {
+      await this.save(journal);
+    }
+
+    return { entries, content, path: destination };
+  }
+
+  async undo(notebookPath, steps = 1) {
+    return this.travel(notebookPath, steps, 'undo');
+  }
+
+  async redo(notebookPath, steps = 1) {
+    return this.travel(notebookPath, steps, 'redo');
+  }
+
+  async list(notebookPath, limit = 20) {
+    const journal = await this.load(notebookPath);
+    return {
+      undo: [...journal.undo].reverse().slice(0, limit).map(summarizeEntry),
+      redo: [...journal.redo].reverse().slice(0, limit).map(summarizeEntry)
+    };
+  }
+}
+
+export { NotebookHistory };
@@ -0,0 +1,184 @@
+import http from 'http';
+import crypto from 'crypto';
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+const MCP_PATH = '/mcp';
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+const HEALTH_PATH = '/health';
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+function isAuthorized(req, authToken) {
+  if (!authToken) {
+    return true;
+  }
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  return !!match && crypto.timingSafeEqual(digest(match[1].trim()), digest(authToken));
+}
+
+// Without a token the loopback bind is the only protection, so a page on another site must not reach the
+// server by rebinding its own hostname to 127.0.0.1: the Host header has to name this server
+function isLoopbackRequest(req, port) {
+  try {
+    const url = new URL(`http://${req.headers.host}`);
+    return LOOPBACK_HOSTS.includes(url.hostname.replace(/^\[(.*)\]$/, '$1')) && Number(url.port || 80) === port;
+  } catch {
+    return false;
+  }
+}
+
+function applyCors(req, res, corsOrigins) {
+  const origin = req.headers.origin;
+  if (!origin || corsOrigins.length === 0) {
+    return;
+  }
+  if (corsOrigins.includes('*')) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else if (corsOrigins.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+  } else {
+    return;
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID');
+  res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id');
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendRpcError(res, status, message) {
+  sendJson(res, status, { jsonrpc: '2.0', error: { code: -32000, message }, id: null });
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+function startHttpServer(mcpServer, { host = '127.0.0.1', port = 3000, authToken, corsOrigins = [] } = {}) {
+  if (!authToken && !LOOPBACK_HOSTS.includes(host)) {
+    throw new Error(`Refusing to listen on ${host} without an auth token; set --auth-token or bind to 127.0.0.1`);
+  }
+
+  const transports = new Map();
+
+  const handleMcp = async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    const existing = sessionId ? transports.get(sessionId) : null;
+    if (sessionId && !(existing instanceof StreamableHTTPServerTransport)) {
+      sendRpcError(res, 404, `Unknown session: ${sessionId}`);
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      if (!existing) {
+        sendRpcError(res, 400, 'Mcp-Session-Id header is required');
+        return;
+      }
+      await existing.handleRequest(req, res);
+      return;
+    }
+
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, 400, { jsonrpc: '2.0', error: { code: -32700, message: `Parse error: ${error.message}` }, id: null });
+      return;
+    }
+
+    if (existing) {
+      await existing.handleRequest(req, res, body);
+      return;
+    }
+    if (!isInitializeRequest(body)) {
+      sendRpcError(res, 400, 'Mcp-Session-Id header is required after initialization');
+      return;
+    }
+
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: id => transports.set(id, transport)
+    });
+    transport.onclose = () => transports.delete(transport.sessionId);
+    await mcpServer.connect(transport);
+    await transport.handleRequest(req, res, body);
+  };
+
+  const handleSse = async (req, res) => {
+    const transport = new SSEServerTransport(MESSAGES_PATH, res);
+    transports.set(transport.sessionId, transport);
+    transport.onclose = () => transports.delete(transport.sessionId);
+    await mcpServer.connect(transport);
+  };
+
+  const handleMessage = async (req, res, url) => {
+    const transport = transports.get(url.searchParams.get('sessionId'));
+    if (!(transport instanceof SSEServerTransport)) {
+      sendRpcError(res, 404, `Unknown session: ${url.searchParams.get('sessionId')}`);
+      return;
+    }
+    await transport.handlePostMessage(req, res);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (!authToken && !isLoopbackRequest(req, server.address().port)) {
+      sendJson(res, 403, { error: `Host ${JSON.stringify(req.headers.host ?? '')} is not allowed; use localhost or set --auth-token` });
+      return;
+    }
+    applyCors(req, res, corsOrigins);
+
+    try {
+      if (req.method === 'OPTIONS') {
+        res.writeHead(204).end();
+      } else if (url.pathname === HEALTH_PATH && req.method === 'GET') {
+        sendJson(res, 200, { status: 'ok', sessions: mcpServer.sessions.size });
+      } else if (!isAuthorized(req, authToken)) {
+        sendJson(res, 401, { error: 'Unauthorized' }, { 'WWW-Authenticate': 'Bearer' });
+      } else if (url.pathname === MCP_PATH && ['GET', 'POST', 'DELETE'].includes(req.method)) {
+        await handleMcp(req, res);
+      } else if (url.pathname === SSE_PATH && req.method === 'GET') {
+        await handleSse(req, res);
+      } else if (url.pathname === MESSAGES_PATH && req.method === 'POST') {
+        await handleMessage(req, res, url);
+      } else {
+        sendJson(res, 404, { error: `Not found: ${req.method} ${url.pathname}` });
+      }
+    } catch (error) {
+      console.error(`[HTTP Error] ${req.method} ${url.pathname}:`, error);
+      if (!res.headersSent) {
+        sendRpcError(res, 500, error.message);
+      }
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+export { startHttpServer };
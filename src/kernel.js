@@ -0,0 +1,558 @@
+import { spawn, execFile } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import * as zmq from 'zeromq';
+
+const DELIMITER = '<IDS|MSG>';
+const PROTOCOL_VERSION = '5.3';
+
+function kernelSpecDirs() {
+  const dataDirs = [];
+
+  if (process.env.JUPYTER_DATA_DIR) {
+    dataDirs.push(process.env.JUPYTER_DATA_DIR);
+  }
+  if (process.env.JUPYTER_PATH) {
+    dataDirs.push(...process.env.JUPYTER_PATH.split(path.delimiter).filter(Boolean));
+  }
+
+  if (process.platform === 'darwin') {
+    dataDirs.push(path.join(os.homedir(), 'Library', 'Jupyter'));
+  } else if (process.platform === 'win32') {
+    dataDirs.push(path.join(process.env.APPDATA || os.homedir(), 'jupyter'));
+  } else {
+    dataDirs.push(path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share'), 'jupyter'));
+  }
+
+  for (const prefix of [process.env.VIRTUAL_ENV, process.env.CONDA_PREFIX]) {
+    if (prefix) {
+      dataDirs.push(path.join(prefix, 'share', 'jupyter'));
+    }
+  }
+
+  if (process.platform === 'win32') {
+    dataDirs.push(path.join(process.env.PROGRAMDATA || 'C:\\ProgramData', 'jupyter'));
+  } else {
+    dataDirs.push('/usr/local/share/jupyter', '/usr/share/jupyter');
+  }
+
+  return dataDirs.map(dir => path.join(dir, 'kernels'));
+}
+
+function listJupyterKernelSpecs() {
+  return new Promise(resolve => {
+    execFile('jupyter', ['kernelspec', 'list', '--json'], { timeout: 10000 }, (error, stdout) => {
+      if (error) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(stdout).kernelspecs || {});
+      } catch {
+        resolve({});
+      }
+    });
+  });
+}
+
+async function findKernelSpec(kernelName) {
+  for (const dir of kernelSpecDirs()) {
+    const specFile = path.join(dir, kernelName, 'kernel.json');
+    if (await fs.pathExists(specFile)) {
+      return { name: kernelName, resource_dir: path.dirname(specFile), ...(await fs.readJson(specFile)) };
+    }
+  }
+
+  const specs = await listJupyterKernelSpecs();
+  if (specs[kernelName]) {
+    return { name: kernelName, resource_dir: specs[kernelName].resource_dir, ...specs[kernelName].spec };
+  }
+
+  if (kernelName === 'python3' || kernelName === 'python') {
+    return {
+      name: kernelName,
+      resource_dir: null,
+      argv: [process.platform === 'win32' ? 'python' : 'python3', '-m', 'ipykernel_launcher', '-f', '{connection_file}'],
+      display_name: 'Python 3',
+      language: 'python'
+    };
+  }
+
+  throw new Error(`Kernel spec not found: ${kernelName}`);
+}
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function appendOutput(outputs, output) {
+  const last = outputs[outputs.length - 1];
+  if (output.output_type === 'stream' && last?.output_type === 'stream' && last.name === output.name) {
+    last.text += output.text;
+  } else {
+    outputs.push(output);
+  }
+}
+
+class KernelSession {
+  constructor(kernelName, cwd) {
+    this.kernelName = kernelName;
+    this.cwd = cwd;
+    this.sessionId = crypto.randomUUID();
+    this.pending = new Map();
+    this.process = null;
+    this.sockets = null;
+    this.executionCount = 0;
+    this.stderr = '';
+  }
+
+  async start(startupTimeout = 60000) {
+    this.spec = await findKernelSpec(this.kernelName);
+
+    const ports = [];
+    for (let i = 0; i < 5; i++) {
+      ports.push(await getFreePort());
+    }
+
+    this.connection = {
+      transport: 'tcp',
+      ip: '127.0.0.1',
+      shell_port: ports[0],
+      iopub_port: ports[1],
+      stdin_port: ports[2],
+      control_port: ports[3],
+      hb_port: ports[4],
+      key: crypto.randomUUID(),
+      signature_scheme: 'hmac-sha256',
+      kernel_name: this.kernelName
+    };
+    this.connectionFile = path.join(os.tmpdir(), `kernel-${this.sessionId}.json`);
+    await fs.writeJson(this.connectionFile, this.connection);
+
+    const argv = this.spec.argv.map(arg => arg
+      .replace('{connection_file}', this.connectionFile)
+      .replace('{resource_dir}', this.spec.resource_dir || ''));
+
+    this.process = spawn(argv[0], argv.slice(1), {
+      cwd: this.cwd,
+      env: { ...process.env, ...(this.spec.env || {}) },
+      stdio: ['ignore', 'ignore', 'pipe']
+    });
+    this.process.stderr.on('data', data => {
+      this.stderr = (this.stderr + data.toString()).slice(-4000);
+    });
+
+    const exited = new Promise((resolve, reject) => {
+      this.process.once('error', error => {
+        this.process = null;
+        reject(new Error(`Failed to launch kernel '${this.kernelName}': ${error.message}`));
+      });
+      this.process.once('exit', code => {
+        this.process = null;
+        this.rejectPending(new Error(`Kernel exited with code ${code}`));
+        reject(new Error(`Kernel exited with code ${code}: ${this.stderr.trim()}`));
+      });
+    });
+    exited.catch(() => {});
+
+    const url = port => `tcp://${this.connection.ip}:${port}`;
+    this.sockets = {
+      shell: new zmq.Dealer(),
+      control: new zmq.Dealer(),
+      iopub: new zmq.Subscriber()
+    };
+    this.sockets.shell.connect(url(this.connection.shell_port));
+    this.sockets.control.connect(url(this.connection.control_port));
+    this.sockets.iopub.connect(url(this.connection.iopub_port));
+    this.sockets.iopub.subscribe();
+
+    this.receiveLoop(this.sockets.shell, 'reply');
+    this.receiveLoop(this.sockets.control, 'reply');
+    this.receiveLoop(this.sockets.iopub, 'iopub');
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Kernel did not start within ${startupTimeout / 1000}s`)), startupTimeout);
+    });
+
+    try {
+      const ready = this.waitForReady();
+      ready.catch(() => {});
+      const reply = await Promise.race([ready, exited, timeout]);
+      this.info = reply.content;
+    } catch (error) {
+      await this.shutdown();
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    return this.info;
+  }
+
+  async waitForReady() {
+    // IOPub subscriptions connect asynchronously, so keep asking for kernel_info
+    // until its status messages come through; otherwise early outputs are lost.
+    for (;;) {
+      if (!this.sockets) {
+        throw new Error('Kernel is not running');
+      }
+
+      const message = this.createMessage('kernel_info_request', {});
+      const msgId = message.header.msg_id;
+      const reply = await new Promise((resolve, reject) => {
+        const state = { reply: null, iopub: false };
+        const done = value => {
+          clearTimeout(timer);
+          this.pending.delete(msgId);
+          resolve(value);
+        };
+        const timer = setTimeout(() => done(null), 1000);
+
+        this.pending.set(msgId, {
+          onReply: reply => {
+            state.reply = reply;
+            if (state.iopub) {
+              done(reply);
+            }
+          },
+          onIopub: () => {
+            state.iopub = true;
+            if (state.reply) {
+              done(state.reply);
+            }
+          },
+          onError: error => {
+            clearTimeout(timer);
+            reject(error);
+          }
+        });
+        this.sockets.shell.send(this.serialize(message)).catch(error => {
+          clearTimeout(timer);
+          this.pending.delete(msgId);
+          reject(error);
+        });
+      });
+
+      if (reply) {
+        return reply;
+      }
+    }
+  }
+
+  sign(parts) {
+    const hmac = crypto.createHmac('sha256', this.connection.key);
+    parts.forEach(part => hmac.update(part));
+    return hmac.digest('hex');
+  }
+
+  createMessage(msgType, content) {
+    return {
+      header: {
+        msg_id: crypto.randomUUID(),
+        session: this.sessionId,
+        username: 'notebook-mcp',
+        date: new Date().toISOString(),
+        msg_type: msgType,
+        version: PROTOCOL_VERSION
+      },
+      parent_header: {},
+      metadata: {},
+      content
+    };
+  }
+
+  serialize(message) {
+    const parts = [message.header, message.parent_header, message.metadata, message.content].map(part => JSON.stringify(part));
+    return [DELIMITER, this.sign(parts), ...parts];
+  }
+
+  deserialize(frames) {
+    const start = frames.findIndex(frame => frame.toString() === DELIMITER);
+    if (start === -1) {
+      throw new Error('Malformed kernel message');
+    }
+
+    const signature = frames[start + 1].toString();
+    const parts = frames.slice(start + 2, start + 6).map(frame => frame.toString());
+    if (signature !== this.sign(parts)) {
+      throw new Error('Invalid kernel message signature');
+    }
+
+    const [header, parentHeader, metadata, content] = parts.map(part => JSON.parse(part));
+    return { header, parent_header: parentHeader, metadata, content, buffers: frames.slice(start + 6) };
+  }
+
+  async receiveLoop(socket, channel) {
+    try {
+      for await (const frames of socket) {
+        let message;
+        try {
+          message = this.deserialize(frames);
+        } catch {
+          continue;
+        }
+
+        const pending = this.pending.get(message.parent_header?.msg_id);
+        if (!pending) {
+          continue;
+        }
+        if (channel === 'reply') {
+          pending.onReply(message);
+        } else {
+          pending.onIopub(message);
+        }
+      }
+    } catch {
+      // The socket was closed during shutdown or restart.
+    }
+  }
+
+  rejectPending(error) {
+    for (const pending of this.pending.values()) {
+      pending.onError(error);
+    }
+    this.pending.clear();
+  }
+
+  request(channel, msgType, content) {
+    if (!this.sockets) {
+      return Promise.reject(new Error('Kernel is not running'));
+    }
+
+    const message = this.createMessage(msgType, content);
+    const msgId = message.header.msg_id;
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(msgId, {
+        onReply: reply => {
+          this.pending.delete(msgId);
+          resolve(reply);
+        },
+        onIopub: () => {},
+        onError: reject
+      });
+      this.sockets[channel].send(this.serialize(message)).catch(error => {
+        this.pending.delete(msgId);
+        reject(error);
+      });
+    });
+  }
+
+  execute(code, timeout = 60000) {
+    if (!this.sockets) {
+      return Promise.reject(new Error('Kernel is not running'));
+    }
+
+    const message = this.createMessage('execute_request', {
+      code,
+      silent: false,
+      store_history: true,
+      user_expressions: {},
+      allow_stdin: false,
+      stop_on_error: true
+    });
+    const msgId = message.header.msg_id;
+    const outputs = [];
+    const displayIds = new Map();
+    const state = { reply: null, idle: false, clearOnNext: false, timedOut: false, executionCount: null };
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      let graceTimer = null;
+
+      const finish = () => {
+        clearTimeout(timer);
+        clearTimeout(graceTimer);
+        this.pending.delete(msgId);
+
+        const executionCount = state.reply?.content.execution_count ?? state.executionCount;
+        if (typeof executionCount === 'number') {
+          this.executionCount = executionCount;
+        }
+
+        resolve({
+          status: state.timedOut ? 'timeout' : (state.reply?.content.status || 'error'),
+          execution_count: executionCount,
+          outputs
+        });
+      };
+
+      const addOutput = output => {
+        if (state.clearOnNext) {
+          outputs.length = 0;
+          displayIds.clear();
+          state.clearOnNext = false;
+        }
+        appendOutput(outputs, output);
+      };
+
+      this.pending.set(msgId, {
+        onReply: reply => {
+          state.reply = reply;
+          if (state.idle) {
+            finish();
+          }
+        },
+        onIopub: ({ header, content }) => {
+          switch (header.msg_type) {
+            case 'status':
+              if (content.execution_state === 'idle') {
+                state.idle = true;
+                if (state.reply) {
+                  finish();
+                }
+              }
+              break;
+            case 'execute_input':
+              state.executionCount = content.execution_count;
+              break;
+            case 'stream':
+              addOutput({ output_type: 'stream', name: content.name, text: content.text });
+              break;
+            case 'display_data': {
+              const output = { output_type: 'display_data', data: content.data, metadata: content.metadata || {} };
+              addOutput(output);
+              if (content.transient?.display_id) {
+                displayIds.set(content.transient.display_id, output);
+              }
+              break;
+            }
+            case 'update_display_data': {
+              const output = displayIds.get(content.transient?.display_id);
+              if (output) {
+                output.data = content.data;
+                output.metadata = content.metadata || {};
+              }
+              break;
+            }
+            case 'execute_result':
+              addOutput({
+                output_type: 'execute_result',
+                execution_count: content.execution_count,
+                data: content.data,
+                metadata: content.metadata || {}
+              });
+              break;
+            case 'error':
+              addOutput({ output_type: 'error', ename: content.ename, evalue: content.evalue, traceback: content.traceback });
+              break;
+            case 'clear_output':
+              if (content.wait) {
+                state.clearOnNext = true;
+              } else {
+                outputs.length = 0;
+                displayIds.clear();
+              }
+              break;
+          }
+        },
+        onError: error => {
+          clearTimeout(timer);
+          clearTimeout(graceTimer);
+          reject(error);
+        }
+      });
+
+      if (timeout) {
+        timer = setTimeout(() => {
+          state.timedOut = true;
+          this.interrupt().catch(() => {});
+          graceTimer = setTimeout(finish, 5000);
+        }, timeout);
+      }
+
+      this.sockets.shell.send(this.serialize(message)).catch(error => {
+        this.pending.delete(msgId);
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  }
+
+  async interrupt() {
+    if (!this.process) {
+      throw new Error('Kernel is not running');
+    }
+
+    if (this.spec.interrupt_mode === 'message') {
+      await this.request('control', 'interrupt_request', {});
+    } else {
+      this.process.kill('SIGINT');
+    }
+  }
+
+  async restart() {
+    await this.shutdown();
+    this.sessionId = crypto.randomUUID();
+    this.executionCount = 0;
+    this.stderr = '';
+    return await this.start();
+  }
+
+  waitForExit(timeout) {
+    const child = this.process;
+    if (!child) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => resolve(false), timeout);
+      child.once('exit', () => {
+        clearTimeout(timer);
+        resolve(true);
+      });
+    });
+  }
+
+  async shutdown() {
+    const child = this.process;
+
+    if (child && this.sockets) {
+      const message = this.createMessage('shutdown_request', { restart: false });
+      this.sockets.control.send(this.serialize(message)).catch(() => {});
+      if (!(await this.waitForExit(5000))) {
+        child.kill('SIGKILL');
+        await this.waitForExit(2000);
+      }
+    } else if (child) {
+      child.kill('SIGKILL');
+    }
+
+    this.rejectPending(new Error('Kernel was shut down'));
+
+    if (this.sockets) {
+      Object.values(this.sockets).forEach(socket => socket.close());
+      this.sockets = null;
+    }
+    if (this.connectionFile) {
+      await fs.remove(this.connectionFile);
+    }
+    this.process = null;
+  }
+
+  describe() {
+    return {
+      kernel_name: this.kernelName,
+      display_name: this.spec?.display_name,
+      language: this.info?.language_info?.name || this.spec?.language,
+      implementation: this.info?.implementation,
+      pid: this.process?.pid || null,
+      running: !!this.process,
+      execution_count: this.executionCount
+    };
+  }
+}
+
+export { KernelSession, findKernelSpec };
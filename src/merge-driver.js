@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+import fs from 'fs-extra';
+import { parseArgs } from 'util';
+import { mergeNotebooks } from './merge.js';
+import { validateStructure } from './validator.js';
+import { writeFileAtomic } from './file-store.js';
+import { parseNotebookJson, stringifyNotebook, inheritFormat } from './notebook-json.js';
+import { DEFAULT_CONFIG } from './config.js';
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    options: {
+      outputs: { type: "string", default: "local" }
+    },
+    allowPositionals: true
+  });
+
+  if (positionals.length !== 3) {
+    console.error('Usage: merge-driver.js [--outputs local|remote|clear] <base> <local> <remote>');
+    console.error('Git merge driver: node merge-driver.js %O %A %B (the result is written to <local>)');
+    process.exit(2);
+  }
+
+  const [basePath, localPath, remotePath] = positionals;
+  const [base, local, remote] = await Promise.all([basePath, localPath, remotePath].map(async file => parseNotebookJson(await fs.readFile(file, 'utf8'))));
+  const { notebook, conflicts, unresolved } = mergeNotebooks(base, local, remote, { outputs: values.outputs });
+
+  // Leave <local> untouched rather than hand git an invalid notebook
+  const invalid = validateStructure(notebook).issues.filter(issue => issue.severity === 'error');
+  if (invalid.length > 0) {
+    throw new Error(`the merged notebook is invalid: ${invalid.map(issue => `${issue.path || '(root)'}: ${issue.message}`).join('; ')}`);
+  }
+
+  await writeFileAtomic(localPath, stringifyNotebook(inheritFormat(notebook, local), DEFAULT_CONFIG.write));
+
+  for (const conflict of conflicts) {
+    console.error(`${conflict.resolution ? 'resolved' : 'CONFLICT'} (${conflict.kind}) ${JSON.stringify(conflict.location)}${conflict.key ? ` key ${conflict.key}` : ''}`);
+  }
+  process.exit(unresolved > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(`notebook merge failed: ${error.message}`);
+  process.exit(2);
+});
@@ -0,0 +1,303 @@
+import { joinSource } from './exporter.js';
+import { matchSequences, matchCells } from './diff.js';
+import { generateCellId, supportsCellIds } from './validator.js';
+
+const CONFLICT_KEY = 'notebook_merge_conflict';
+const OUTPUT_POLICIES = ['local', 'remote', 'clear'];
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function cellContent(cell) {
+  return {
+    cell_type: cell.cell_type,
+    source: joinSource(cell.source),
+    metadata: cell.metadata || {},
+    outputs: cell.outputs,
+    execution_count: cell.execution_count
+  };
+}
+
+function sameCell(a, b) {
+  return same(cellContent(a), cellContent(b));
+}
+
+function pick(base, local, remote, equal = same) {
+  if (equal(local, remote) || equal(remote, base)) {
+    return { value: local };
+  }
+  if (equal(local, base)) {
+    return { value: remote };
+  }
+  return { conflict: true };
+}
+
+function matchLines(a, b) {
+  return new Map(matchSequences(a, b));
+}
+
+function mergeLines(base, local, remote) {
+  const localMatches = matchLines(base, local);
+  const remoteMatches = matchLines(base, remote);
+  const lines = [];
+  let conflict = false;
+  let i = 0;
+  let j = 0;
+  let k = 0;
+
+  const mergeChunk = (baseEnd, localEnd, remoteEnd) => {
+    const resolved = pick(base.slice(i, baseEnd), local.slice(j, localEnd), remote.slice(k, remoteEnd));
+    if (resolved.conflict) {
+      conflict = true;
+      lines.push('<<<<<<< local', ...local.slice(j, localEnd), '=======', ...remote.slice(k, remoteEnd), '>>>>>>> remote');
+    } else {
+      lines.push(...resolved.value);
+    }
+  };
+
+  for (let m = 0; m < base.length; m++) {
+    if (localMatches.has(m) && remoteMatches.has(m)) {
+      mergeChunk(m, localMatches.get(m), remoteMatches.get(m));
+      lines.push(base[m]);
+      i = m + 1;
+      j = localMatches.get(m) + 1;
+      k = remoteMatches.get(m) + 1;
+    }
+  }
+  mergeChunk(base.length, local.length, remote.length);
+
+  return { lines, conflict };
+}
+
+function splitSource(source) {
+  const text = joinSource(source);
+  return text === '' ? [] : text.split('\n');
+}
+
+function mergeMetadata(base = {}, local = {}, remote = {}, conflicts, location) {
+  const merged = {};
+  const keys = new Set([...Object.keys(local), ...Object.keys(remote), ...Object.keys(base)]);
+
+  for (const key of keys) {
+    const resolved = pick(base[key], local[key], remote[key]);
+    if (resolved.conflict) {
+      conflicts.push({ kind: 'metadata', location, key, resolution: 'local' });
+    }
+    const value = resolved.conflict ? local[key] : resolved.value;
+    if (value !== undefined) {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+}
+
+function conflictCell(kind, base, local, remote) {
+  const template = local || remote;
+  const describe = (label, cell) => (cell ? [] : [`(${label} deleted this cell)`]);
+  const cell = {
+    id: template.id,
+    cell_type: template.cell_type,
+    metadata: {
+      ...template.metadata,
+      [CONFLICT_KEY]: { kind, base: base || null, local: local || null, remote: remote || null }
+    },
+    source: [
+      '<<<<<<< local',
+      ...(local ? splitSource(local.source) : describe('local', local)),
+      '=======',
+      ...(remote ? splitSource(remote.source) : describe('remote', remote)),
+      '>>>>>>> remote'
+    ].join('\n')
+  };
+
+  if (cell.cell_type === 'code') {
+    cell.execution_count = null;
+    cell.outputs = [];
+  }
+  return cell;
+}
+
+function mergeCell(base, local, remote, outputPolicy, conflicts, location) {
+  if (sameCell(local, remote) || sameCell(remote, base)) {
+    return { ...local };
+  }
+  if (sameCell(local, base)) {
+    return { ...remote, id: local.id || remote.id };
+  }
+
+  const cellType = pick(base.cell_type, local.cell_type, remote.cell_type);
+  if (cellType.conflict) {
+    conflicts.push({ kind: 'cell_type', location });
+    return conflictCell('cell_type', base, local, remote);
+  }
+
+  const cell = {
+    id: local.id || remote.id,
+    cell_type: cellType.value,
+    metadata: mergeMetadata(base.metadata, local.metadata, remote.metadata, conflicts, location)
+  };
+
+  const source = pick(joinSource(base.source), joinSource(local.source), joinSource(remote.source));
+  if (source.conflict) {
+    const merged = mergeLines(splitSource(base.source), splitSource(local.source), splitSource(remote.source));
+    if (merged.conflict) {
+      conflicts.push({ kind: 'source', location });
+      const conflicted = conflictCell('source', base, local, remote);
+      conflicted.source = merged.lines.join('\n');
+      return conflicted;
+    }
+    cell.source = merged.lines.join('\n');
+  } else {
+    cell.source = source.value === joinSource(local.source) ? local.source : remote.source;
+  }
+
+  if (local.attachments || remote.attachments) {
+    cell.attachments = local.attachments || remote.attachments;
+  }
+
+  if (cell.cell_type === 'code') {
+    const execution = (cellData) => ({ outputs: cellData.outputs || [], execution_count: cellData.execution_count ?? null });
+    const resolved = pick(execution(base), execution(local), execution(remote));
+    let chosen = resolved.value;
+    if (resolved.conflict) {
+      conflicts.push({ kind: 'outputs', location, resolution: outputPolicy });
+      chosen = outputPolicy === 'remote'
+        ? execution(remote)
+        : outputPolicy === 'clear' ? { outputs: [], execution_count: null } : execution(local);
+    }
+    cell.execution_count = chosen.execution_count;
+    cell.outputs = chosen.outputs;
+  }
+
+  return cell;
+}
+
+function mergeNotebooks(base, local, remote, { outputs = 'local' } = {}) {
+  if (!OUTPUT_POLICIES.includes(outputs)) {
+    throw new Error(`Unsupported output policy: ${outputs} (expected ${OUTPUT_POLICIES.join(', ')})`);
+  }
+
+  const baseCells = base.cells || [];
+  const localCells = local.cells || [];
+  const remoteCells = remote.cells || [];
+  const localMatches = matchCells(baseCells, localCells);
+  const remoteMatches = matchCells(baseCells, remoteCells);
+  const localToBase = new Map([...localMatches].map(([b, l]) => [l, b]));
+  const remoteToBase = new Map([...remoteMatches].map(([b, r]) => [r, b]));
+  const conflicts = [];
+  const entries = [];
+
+  localCells.forEach((localCell, localIndex) => {
+    const location = { local_index: localIndex, id: localCell.id };
+    if (!localToBase.has(localIndex)) {
+      entries.push({ cell: { ...localCell }, localOnly: true });
+      return;
+    }
+
+    const baseIndex = localToBase.get(localIndex);
+    const baseCell = baseCells[baseIndex];
+    if (!remoteMatches.has(baseIndex)) {
+      if (!sameCell(baseCell, localCell)) {
+        conflicts.push({ kind: 'modify/delete', location });
+        entries.push({ cell: conflictCell('modify/delete', baseCell, localCell, null) });
+      }
+      return;
+    }
+
+    const remoteIndex = remoteMatches.get(baseIndex);
+    entries.push({
+      cell: mergeCell(baseCell, localCell, remoteCells[remoteIndex], outputs, conflicts, location),
+      remoteIndex
+    });
+  });
+
+  remoteCells.forEach((remoteCell, remoteIndex) => {
+    let cell;
+    if (!remoteToBase.has(remoteIndex)) {
+      const duplicate = entries.find(entry => entry.localOnly && entry.remoteIndex === undefined && sameCell(entry.cell, remoteCell));
+      if (duplicate) {
+        duplicate.remoteIndex = remoteIndex;
+        return;
+      }
+      cell = { ...remoteCell };
+    } else {
+      const baseIndex = remoteToBase.get(remoteIndex);
+      if (localMatches.has(baseIndex) || sameCell(baseCells[baseIndex], remoteCell)) {
+        return;
+      }
+      conflicts.push({ kind: 'delete/modify', location: { remote_index: remoteIndex, id: remoteCell.id } });
+      cell = conflictCell('delete/modify', baseCells[baseIndex], null, remoteCell);
+    }
+
+    let position = 0;
+    entries.forEach((entry, index) => {
+      if (entry.remoteIndex !== undefined && entry.remoteIndex < remoteIndex) {
+        position = index + 1;
+      }
+    });
+    entries.splice(position, 0, { cell, remoteIndex });
+  });
+
+  const version = {
+    nbformat: Math.max(local.nbformat, remote.nbformat),
+    nbformat_minor: Math.max(local.nbformat_minor, remote.nbformat_minor)
+  };
+  // Cells keep unique ids when the merged notebook is 4.5 or later; below that the schema forbids them
+  const ids = new Set();
+  const cells = entries.map(({ cell }) => {
+    if (!supportsCellIds(version)) {
+      const { id: _id, ...rest } = cell;
+      return rest;
+    }
+    if (!cell.id || ids.has(cell.id)) {
+      cell.id = generateCellId(ids);
+    }
+    ids.add(cell.id);
+    return cell;
+  });
+
+  const notebook = {
+    ...local,
+    cells,
+    metadata: mergeMetadata(base.metadata, local.metadata, remote.metadata, conflicts, 'notebook'),
+    ...version
+  };
+
+  return {
+    notebook,
+    conflicts,
+    unresolved: conflicts.filter(conflict => !conflict.resolution).length
+  };
+}
+
+function resolveConflictCell(cell, resolution, source) {
+  const conflict = cell.metadata?.[CONFLICT_KEY];
+  if (!conflict) {
+    throw new Error('Cell is not a merge conflict cell');
+  }
+
+  let resolved;
+  if (resolution === 'source') {
+    if (typeof source !== 'string') {
+      throw new Error('source is required for the "source" resolution');
+    }
+    const template = conflict.local || conflict.remote;
+    resolved = { ...template, source };
+  } else if (['local', 'remote', 'base'].includes(resolution)) {
+    resolved = conflict[resolution];
+  } else {
+    throw new Error(`Unsupported resolution: ${resolution} (expected local, remote, base or source)`);
+  }
+
+  if (!resolved) {
+    return null;
+  }
+
+  const { [CONFLICT_KEY]: _conflict, ...metadata } = resolved.metadata || {};
+  const { id: _id, ...rest } = resolved;
+  return cell.id ? { ...resolved, id: cell.id, metadata } : { ...rest, metadata };
+}
+
+export { mergeNotebooks, resolveConflictCell, CONFLICT_KEY, OUTPUT_POLICIES };
@@ -0,0 +1,335 @@
+const annotations = new WeakMap();
+
+const TOKEN = /\s*(?:("(?:[^"\\]|\\.)*")|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|(true|false|null)|([[\]{}:,]))/y;
+const SCAN = /"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g;
+const NON_ASCII_ESCAPE = /\\u(?:00[89a-fA-F][0-9a-fA-F]|0[1-9a-fA-F][0-9a-fA-F]{2}|[1-9a-fA-F][0-9a-fA-F]{3})/;
+const LINE_BREAK = /\r\n|[\n\r\v\f\x1c\x1d\x1e\x85\u2028\u2029]/g;
+const SPLIT_MIME_TYPES = ['application/javascript', 'image/svg+xml'];
+
+function annotate(container) {
+  if (!annotations.has(container)) {
+    annotations.set(container, {});
+  }
+  return annotations.get(container);
+}
+
+function isCanonicalNumber(raw) {
+  return String(Number(raw)) === raw;
+}
+
+// JSON.parse loses how numbers were written (1.0, 1e-05), so files that contain such numbers are
+// parsed again keeping the original text of each one
+function parseKeepingNumbers(text) {
+  let position = 0;
+  const next = () => {
+    TOKEN.lastIndex = position;
+    const match = TOKEN.exec(text);
+    if (!match) {
+      throw new SyntaxError(`Unexpected token in JSON at position ${position}`);
+    }
+    position = TOKEN.lastIndex;
+    return match;
+  };
+  const expect = (...punctuation) => {
+    const match = next();
+    if (!punctuation.includes(match[4])) {
+      throw new SyntaxError(`Expected ${punctuation.join(' or ')} in JSON at position ${position}`);
+    }
+    return match[4];
+  };
+  const store = (container, key, match) => {
+    const value = parseValue(match);
+    if (match[2] !== undefined && !isCanonicalNumber(match[2])) {
+      (annotate(container).numbers ??= new Map()).set(key, match[2]);
+    }
+    if (Array.isArray(container)) {
+      container.push(value);
+    } else {
+      Object.defineProperty(container, key, { value, enumerable: true, writable: true, configurable: true });
+    }
+  };
+  const parseValue = (match) => {
+    const [, string, number, literal, punctuation] = match;
+    if (string !== undefined) {
+      return JSON.parse(string);
+    }
+    if (number !== undefined) {
+      return Number(number);
+    }
+    if (literal !== undefined) {
+      return JSON.parse(literal);
+    }
+    if (punctuation === '[') {
+      const array = [];
+      let item = next();
+      if (item[4] === ']') {
+        return array;
+      }
+      for (;;) {
+        store(array, array.length, item);
+        if (expect(',', ']') === ']') {
+          return array;
+        }
+        item = next();
+      }
+    }
+    if (punctuation === '{') {
+      const object = {};
+      let key = next();
+      if (key[4] === '}') {
+        return object;
+      }
+      for (;;) {
+        if (key[1] === undefined) {
+          throw new SyntaxError(`Expected a property name in JSON at position ${position}`);
+        }
+        expect(':');
+        store(object, JSON.parse(key[1]), next());
+        if (expect(',', '}') === '}') {
+          return object;
+        }
+        key = next();
+      }
+    }
+    throw new SyntaxError(`Unexpected token in JSON at position ${position}`);
+  };
+
+  return parseValue(next());
+}
+
+function hasNonCanonicalNumbers(text) {
+  for (const [token] of text.matchAll(SCAN)) {
+    if (token[0] !== '"' && !isCanonicalNumber(token)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function keysSorted(value) {
+  if (!value || typeof value !== 'object') {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.every(keysSorted);
+  }
+  const keys = Object.keys(value);
+  return keys.every((key, index) => index === 0 || keys[index - 1] <= key) && keys.every(key => keysSorted(value[key]));
+}
+
+function isSplitMimeType(mimeType) {
+  return mimeType.startsWith('text/') || SPLIT_MIME_TYPES.includes(mimeType);
+}
+
+function isJsonMimeType(mimeType) {
+  return mimeType === 'application/json' || (mimeType.startsWith('application/') && mimeType.endsWith('+json'));
+}
+
+// The fields nbformat stores as either a string or a list of lines
+function multilineFields(notebook) {
+  const fields = [];
+  const bundleFields = bundle => {
+    for (const [mimeType, value] of Object.entries(bundle || {})) {
+      if (!isJsonMimeType(mimeType) && (typeof value === 'string' || Array.isArray(value))) {
+        fields.push({ container: bundle, key: mimeType, splittable: isSplitMimeType(mimeType) });
+      }
+    }
+  };
+
+  for (const cell of Array.isArray(notebook.cells) ? notebook.cells : []) {
+    if (cell && typeof cell === 'object') {
+      if (cell.source !== undefined) {
+        fields.push({ container: cell, key: 'source', splittable: true });
+      }
+      Object.values(cell.attachments || {}).forEach(bundleFields);
+      for (const output of Array.isArray(cell.outputs) ? cell.outputs : []) {
+        if (output?.output_type === 'stream' && output.text !== undefined) {
+          fields.push({ container: output, key: 'text', splittable: true });
+        } else if (output?.output_type === 'execute_result' || output?.output_type === 'display_data') {
+          bundleFields(output.data);
+        }
+      }
+    }
+  }
+  return fields;
+}
+
+function detectFormat(text, notebook) {
+  const indent = text.match(/^\s*[{[]\r?\n([ \t]+)/)?.[1] ?? '';
+  const keySeparator = indent ? ': ' : text.match(/^\s*\{\s*"(?:[^"\\]|\\.)*"(\s*:\s*)/)?.[1] ?? ':';
+  const sources = (Array.isArray(notebook.cells) ? notebook.cells : []).map(cell => cell?.source).filter(source => source !== undefined);
+  const lineSources = sources.filter(Array.isArray).length;
+
+  return {
+    indent,
+    newline: /\r\n/.test(text.slice(0, 1000)) ? '\r\n' : '\n',
+    keySeparator,
+    itemSeparator: !indent && keySeparator.endsWith(' ') ? ', ' : ',',
+    sortKeys: keysSorted(notebook),
+    asciiOnly: NON_ASCII_ESCAPE.test(text) && !/[^\x00-\x7f]/.test(text),
+    trailing: text.slice(text.trimEnd().length),
+    splitLines: sources.length === 0 || lineSources === sources.length - lineSources ? null : lineSources > sources.length - lineSources
+  };
+}
+
+function parseNotebookJson(text) {
+  const notebook = JSON.parse(text);
+  const parsed = notebook && typeof notebook === 'object' && hasNonCanonicalNumbers(text) ? parseKeepingNumbers(text) : notebook;
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return parsed;
+  }
+
+  annotate(parsed).format = detectFormat(text, parsed);
+  for (const { container, key } of multilineFields(parsed)) {
+    (annotate(container).styles ??= new Map()).set(key, Array.isArray(container[key]) ? 'lines' : 'string');
+  }
+  return parsed;
+}
+
+function copyAnnotations(source, target) {
+  if (!source || typeof source !== 'object' || !target || typeof target !== 'object') {
+    return;
+  }
+  if (annotations.has(source)) {
+    annotations.set(target, { ...annotations.get(source) });
+  }
+  for (const key of Object.keys(source)) {
+    copyAnnotations(source[key], target[key]);
+  }
+}
+
+function cloneNotebook(notebook) {
+  const clone = structuredClone(notebook);
+  copyAnnotations(notebook, clone);
+  return clone;
+}
+
+function inheritFormat(target, source) {
+  const format = annotations.get(source)?.format;
+  if (format) {
+    annotate(target).format = format;
+  }
+  return target;
+}
+
+function splitLines(text) {
+  const lines = [];
+  let start = 0;
+  for (const match of text.matchAll(LINE_BREAK)) {
+    lines.push(text.slice(start, match.index + match[0].length));
+    start = match.index + match[0].length;
+  }
+  if (start < text.length) {
+    lines.push(text.slice(start));
+  }
+  return lines;
+}
+
+function applyLineStyle(value, style, splittable) {
+  if (style === 'lines') {
+    return typeof value === 'string' && splittable ? splitLines(value) : value;
+  }
+  return Array.isArray(value) && value.every(line => typeof line === 'string') ? value.join('') : value;
+}
+
+// Shallow copies of the containers whose multiline fields need converting, so the caller's notebook is left untouched
+function withLineStyles(notebook, splitByDefault) {
+  const copies = new Map();
+  const copyOf = container => {
+    if (!copies.has(container)) {
+      const copy = Array.isArray(container) ? [...container] : { ...container };
+      if (annotations.has(container)) {
+        annotations.set(copy, annotations.get(container));
+      }
+      copies.set(container, copy);
+    }
+    return copies.get(container);
+  };
+
+  for (const { container, key, splittable } of multilineFields(notebook)) {
+    const style = annotations.get(container)?.styles?.get(key) ?? (splitByDefault ? 'lines' : 'string');
+    const value = applyLineStyle(container[key], style, splittable);
+    if (value !== container[key]) {
+      copyOf(container)[key] = value;
+    }
+  }
+  if (copies.size === 0) {
+    return notebook;
+  }
+
+  const rebuild = value => {
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    let result = copies.get(value) ?? value;
+    for (const key of Object.keys(result)) {
+      const item = rebuild(result[key]);
+      if (item !== result[key]) {
+        result = result === value ? copyOf(value) : result;
+        result[key] = item;
+      }
+    }
+    return result;
+  };
+  return rebuild(notebook);
+}
+
+function quote(text, asciiOnly) {
+  const quoted = JSON.stringify(text);
+  return asciiOnly
+    ? quoted.replace(/[\u0080-\uffff]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`)
+    : quoted;
+}
+
+function writeValue(value, format, depth, raw) {
+  if (typeof value === 'string') {
+    return quote(value, format.asciiOnly);
+  }
+  if (typeof value === 'number') {
+    return raw !== undefined && Number(raw) === value ? raw : JSON.stringify(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+
+  const numbers = annotations.get(value)?.numbers;
+  let items;
+  if (Array.isArray(value)) {
+    items = value.map((item, index) => writeValue(item, format, depth + 1, numbers?.get(index)));
+  } else {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined && typeof value[key] !== 'function');
+    if (format.sortKeys) {
+      keys.sort();
+    }
+    items = keys.map(key => `${quote(key, format.asciiOnly)}${format.keySeparator}${writeValue(value[key], format, depth + 1, numbers?.get(key))}`);
+  }
+
+  const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+  if (items.length === 0) {
+    return `${open}${close}`;
+  }
+  if (!format.indent) {
+    return `${open}${items.join(format.itemSeparator)}${close}`;
+  }
+  const inner = format.newline + format.indent.repeat(depth + 1);
+  return `${open}${inner}${items.join(`,${inner}`)}${format.newline}${format.indent.repeat(depth)}${close}`;
+}
+
+function stringifyNotebook(notebook, { indent = 1, sort_keys: sortKeys = true, split_lines: splitLines = true, trailing_newline: trailingNewline = true, preserve_format: preserveFormat = true } = {}) {
+  const detected = preserveFormat ? annotations.get(notebook)?.format : null;
+  const format = {
+    indent: typeof indent === 'number' ? ' '.repeat(indent) : indent,
+    newline: '\n',
+    keySeparator: indent ? ': ' : ':',
+    itemSeparator: ',',
+    sortKeys,
+    asciiOnly: false,
+    trailing: trailingNewline ? '\n' : '',
+    ...detected,
+    splitLines: detected?.splitLines ?? splitLines
+  };
+
+  return writeValue(withLineStyles(notebook, format.splitLines), format, 0) + format.trailing;
+}
+
+export { parseNotebookJson, stringifyNotebook, cloneNotebook, inheritFormat, splitLines };
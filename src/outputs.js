@@ -0,0 +1,231 @@
+import { joinSource, stripAnsi } from './exporter.js';
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/svg+xml'];
+const TEXT_PREFERENCE = ['text/markdown', 'text/html', 'text/latex', 'application/json', 'text/plain'];
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return value <= 0x10FFFF ? String.fromCodePoint(value) : entity;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+function htmlToText(html) {
+  return decodeEntities(html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n')
+    .trim();
+}
+
+function tableToMarkdown(tableHtml) {
+  const rows = [...tableHtml.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)].map(([, row]) => (
+    [...row.matchAll(/<(t[hd])[^>]*>([\s\S]*?)<\/\1>/gi)].map(([, , cell]) => (
+      htmlToText(cell).replace(/\s+/g, ' ').replace(/\|/g, '\\|')
+    ))
+  )).filter(row => row.length > 0);
+
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const width = Math.max(...rows.map(row => row.length));
+  const pad = row => [...row, ...new Array(width - row.length).fill('')];
+  const [header, ...body] = rows.map(pad);
+
+  return [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...body.map(row => `| ${row.join(' | ')} |`)
+  ].join('\n');
+}
+
+function htmlToMarkdown(html) {
+  if (!/<table[\s>]/i.test(html)) {
+    return null;
+  }
+
+  const parts = [];
+  let last = 0;
+  for (const match of html.matchAll(/<table[\s\S]*?<\/table>/gi)) {
+    parts.push(htmlToText(html.slice(last, match.index)));
+    parts.push(tableToMarkdown(match[0]));
+    last = match.index + match[0].length;
+  }
+  parts.push(htmlToText(html.slice(last)));
+
+  return parts.filter(Boolean).join('\n\n');
+}
+
+function mimeMatcher(mimeTypes) {
+  if (!mimeTypes?.length) {
+    return null;
+  }
+  return mimeType => mimeTypes.some(pattern => (
+    pattern.endsWith('/*') ? mimeType.startsWith(pattern.slice(0, -1)) : mimeType === pattern
+  ));
+}
+
+function renderText(mimeType, value) {
+  const text = joinSource(value);
+  if (mimeType === 'text/html') {
+    return htmlToMarkdown(text) ?? htmlToText(text);
+  }
+  if (mimeType === 'application/json' || typeof value === 'object' && !Array.isArray(value)) {
+    return JSON.stringify(value, null, 2);
+  }
+  return stripAnsi(text);
+}
+
+function imageBlock(mimeType, value) {
+  const data = mimeType === 'image/svg+xml'
+    ? Buffer.from(joinSource(value), 'utf8').toString('base64')
+    : joinSource(value).replace(/\s+/g, '');
+  // Clients reject the whole result when image data is not canonical base64, so a damaged image is
+  // reported as text and the rest of the output stays readable
+  if (!data || Buffer.from(data, 'base64').toString('base64') !== data) {
+    return { type: "text", text: `[${mimeType} omitted: not valid base64 image data]` };
+  }
+  return { type: "image", data, mimeType };
+}
+
+function renderBundle(data, matches) {
+  const blocks = [];
+  const available = Object.keys(data || {});
+
+  if (matches) {
+    for (const mimeType of available.filter(matches)) {
+      blocks.push(IMAGE_TYPES.includes(mimeType)
+        ? imageBlock(mimeType, data[mimeType])
+        : { type: "text", text: `[${mimeType}]\n${renderText(mimeType, data[mimeType])}` });
+    }
+    return blocks;
+  }
+
+  const imageType = IMAGE_TYPES.find(mimeType => data[mimeType] !== undefined);
+  if (imageType) {
+    blocks.push(imageBlock(imageType, data[imageType]));
+  }
+
+  const htmlTable = data['text/html'] !== undefined ? htmlToMarkdown(joinSource(data['text/html'])) : null;
+  const textType = htmlTable
+    ? 'text/html'
+    : TEXT_PREFERENCE.find(mimeType => mimeType !== 'text/html' && data[mimeType] !== undefined)
+      || (data['text/html'] !== undefined ? 'text/html' : null);
+
+  if (textType) {
+    blocks.push({ type: "text", text: renderText(textType, data[textType]) });
+  }
+
+  const omitted = available.filter(mimeType => mimeType !== textType && mimeType !== imageType);
+  if (omitted.length > 0) {
+    blocks.push({ type: "text", text: `(also available: ${omitted.join(', ')})` });
+  }
+
+  return blocks;
+}
+
+function renderOutputs(outputs = [], { mimeTypes } = {}) {
+  const matches = mimeMatcher(mimeTypes);
+  const blocks = [];
+
+  outputs.forEach((output, index) => {
+    const label = output.output_type === 'execute_result'
+      ? `Output ${index} (execute_result [${output.execution_count ?? ' '}])`
+      : output.output_type === 'stream'
+        ? `Output ${index} (stream: ${output.name})`
+        : `Output ${index} (${output.output_type})`;
+    let rendered = [];
+
+    if (output.output_type === 'stream') {
+      if (!matches || matches('text/plain')) {
+        rendered = [{ type: "text", text: stripAnsi(joinSource(output.text)) }];
+      }
+    } else if (output.output_type === 'error') {
+      if (!matches || matches('text/plain')) {
+        const traceback = (output.traceback || []).map(stripAnsi).join('\n');
+        rendered = [{ type: "text", text: traceback || `${output.ename}: ${output.evalue}` }];
+      }
+    } else {
+      rendered = renderBundle(output.data || {}, matches);
+    }
+
+    if (rendered.length > 0) {
+      blocks.push({ type: "text", text: label }, ...rendered);
+    }
+  });
+
+  return blocks;
+}
+
+function filterOutputs(outputs = [], mimeTypes) {
+  const matches = mimeMatcher(mimeTypes);
+  if (!matches) {
+    return outputs;
+  }
+  return outputs.map(output => (output.data
+    ? { ...output, data: Object.fromEntries(Object.entries(output.data).filter(([mimeType]) => matches(mimeType))) }
+    : output));
+}
+
+function truncateText(text, maxChars) {
+  if (!maxChars || text.length <= maxChars) {
+    return text;
+  }
+  return `${text.slice(0, maxChars)}\n... [truncated ${text.length - maxChars} characters]`;
+}
+
+function truncateValue(mimeType, value, maxChars) {
+  const text = typeof value === 'object' && !Array.isArray(value) ? JSON.stringify(value) : joinSource(value);
+  if (!maxChars || text.length <= maxChars) {
+    return value;
+  }
+  if (!mimeType.startsWith('text/') && mimeType !== 'application/json') {
+    return `[${mimeType} omitted: ${text.length} characters]`;
+  }
+  return truncateText(text, maxChars);
+}
+
+function truncateOutputs(outputs = [], maxChars) {
+  if (!maxChars) {
+    return outputs;
+  }
+  return outputs.map(output => {
+    const truncated = { ...output };
+    if (output.text !== undefined) {
+      truncated.text = truncateValue('text/plain', output.text, maxChars);
+    }
+    if (output.traceback && output.traceback.join('\n').length > maxChars) {
+      truncated.traceback = [truncateText(output.traceback.join('\n'), maxChars)];
+    }
+    if (output.data) {
+      truncated.data = Object.fromEntries(Object.entries(output.data).map(([mimeType, value]) => (
+        [mimeType, truncateValue(mimeType, value, maxChars)]
+      )));
+    }
+    return truncated;
+  });
+}
+
+function outputsToText(outputs = [], maxChars) {
+  return renderOutputs(outputs)
+    .map(block => (block.type === 'image' ? `[${block.mimeType} image]` : truncateText(block.text, maxChars)))
+    .join('\n');
+}
+
+export { renderOutputs, filterOutputs, truncateOutputs, outputsToText, htmlToMarkdown };
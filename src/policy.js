@@ -0,0 +1,130 @@
+import path from 'path';
+import { readConfigFile } from './config.js';
+import { globToRegExp, isWithinRoot } from './workspace.js';
+
+const EFFECTS = ['allow', 'deny'];
+
+class PermissionDeniedError extends Error {
+  constructor(message, { tool, path: filePath = null, deniedBy, rule = null }) {
+    super(message);
+    this.name = 'PermissionDeniedError';
+    this.code = 'permission_denied';
+    this.tool = tool;
+    this.path = filePath;
+    this.deniedBy = deniedBy;
+    this.rule = rule;
+  }
+
+  toJSON() {
+    return {
+      error: this.code,
+      denied_by: this.deniedBy,
+      tool: this.tool,
+      path: this.path,
+      rule: this.rule,
+      message: this.message
+    };
+  }
+}
+
+function compilePathGlob(glob) {
+  const pattern = glob.replace(/\\/g, '/').replace(/^\.\//, '');
+  const regExp = globToRegExp(pattern.endsWith('/') ? `${pattern}**` : pattern);
+  return pattern.includes('/')
+    ? relativePath => regExp.test(relativePath)
+    : relativePath => regExp.test(relativePath) || regExp.test(path.posix.basename(relativePath));
+}
+
+function compileRule(rule, index, source) {
+  const label = `rule ${index + 1} in ${source}`;
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error(`Invalid ${label}: expected an object`);
+  }
+  if (!EFFECTS.includes(rule.effect)) {
+    throw new Error(`Invalid ${label}: effect must be "allow" or "deny"`);
+  }
+  for (const key of ['tools', 'paths']) {
+    const value = rule[key];
+    if (value !== undefined && (!Array.isArray(value) || value.some(item => typeof item !== 'string'))) {
+      throw new Error(`Invalid ${label}: ${key} must be a list of glob patterns`);
+    }
+  }
+  if (!rule.tools?.length) {
+    throw new Error(`Invalid ${label}: tools must name at least one tool`);
+  }
+
+  const tools = rule.tools.map(glob => globToRegExp(glob));
+  const paths = rule.paths?.length ? rule.paths.map(compilePathGlob) : null;
+  return {
+    index: index + 1,
+    effect: rule.effect,
+    reason: rule.reason || null,
+    matchesTool: tool => tools.some(regExp => regExp.test(tool)),
+    paths,
+    matchesPath: relativePath => paths.some(matches => matches(relativePath))
+  };
+}
+
+class ToolPolicy {
+  constructor({ rules = [], default: defaultEffect = 'allow' } = {}, { roots = [], source = 'policy' } = {}) {
+    if (!Array.isArray(rules)) {
+      throw new Error(`Invalid ${source}: rules must be a list`);
+    }
+    if (!EFFECTS.includes(defaultEffect)) {
+      throw new Error(`Invalid ${source}: default must be "allow" or "deny"`);
+    }
+    this.source = source;
+    this.roots = roots;
+    this.defaultEffect = defaultEffect;
+    this.rules = rules.map((rule, index) => compileRule(rule, index, source));
+  }
+
+  static async load(filePath, roots) {
+    const data = await readConfigFile(filePath, 'policy file');
+    return new ToolPolicy(data, { roots, source: filePath });
+  }
+
+  relativePath(filePath) {
+    const root = this.roots.find(candidate => isWithinRoot(filePath, candidate));
+    return (root ? path.relative(root, filePath) : filePath).split(path.sep).join('/');
+  }
+
+  evaluate(tool, filePath) {
+    const relativePath = filePath ? this.relativePath(filePath) : null;
+    const rule = this.rules.find(candidate => candidate.matchesTool(tool)
+      && (!candidate.paths || (relativePath !== null && candidate.matchesPath(relativePath))));
+    return rule
+      ? { effect: rule.effect, rule: rule.index, reason: rule.reason }
+      : { effect: this.defaultEffect, rule: null, reason: null };
+  }
+
+  check(tool, paths) {
+    for (const filePath of paths.length ? paths : [null]) {
+      const decision = this.evaluate(tool, filePath);
+      if (decision.effect === 'deny') {
+        const where = filePath ? ` for ${filePath}` : '';
+        const because = decision.reason ? `: ${decision.reason}` : '';
+        throw new PermissionDeniedError(`Tool ${tool} is denied by the policy${where}${because}`, {
+          tool,
+          path: filePath,
+          deniedBy: 'policy',
+          rule: decision.rule
+        });
+      }
+    }
+  }
+
+  isListed(tool) {
+    for (const rule of this.rules.filter(candidate => candidate.matchesTool(tool))) {
+      if (!rule.paths) {
+        return rule.effect === 'allow';
+      }
+      if (rule.effect === 'allow') {
+        return true;
+      }
+    }
+    return this.defaultEffect === 'allow';
+  }
+}
+
+export { ToolPolicy, PermissionDeniedError };
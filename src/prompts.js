@@ -0,0 +1,100 @@
+const MAX_PROMPT_SOURCE_CHARS = 60000;
+
+const PATH_ARGUMENT = {
+  name: 'path',
+  description: 'Path to the notebook file',
+  required: true
+};
+
+const PROMPTS = [
+  {
+    name: 'explain_notebook',
+    description: 'Explain what a notebook does, cell by cell',
+    arguments: [PATH_ARGUMENT],
+    instructions: () => [
+      'Explain what this notebook does.',
+      'Start with a short summary of its purpose, then walk through the main sections in order, referring to cells by index.',
+      'Point out the inputs it reads, the outputs it produces, and any assumptions or fragile steps.'
+    ].join('\n')
+  },
+  {
+    name: 'refactor_cell',
+    description: 'Refactor one cell into well-named functions',
+    arguments: [
+      PATH_ARGUMENT,
+      {
+        name: 'cell',
+        description: 'Index or id of the cell to refactor',
+        required: true
+      }
+    ],
+    scope: 'cell',
+    instructions: ({ cell }) => [
+      `Refactor cell ${cell} into small, well-named functions.`,
+      'Keep the behaviour identical, including the values that later cells rely on; use the outline to see what comes after it.',
+      'Add docstrings, keep top-level code to calls of the new functions, and return the new cell source in a single code block.'
+    ].join('\n')
+  },
+  {
+    name: 'document_notebook',
+    description: 'Write Markdown documentation and docstrings for a notebook',
+    arguments: [
+      PATH_ARGUMENT,
+      {
+        name: 'style',
+        description: 'Docstring style to use, e.g. google or numpy (default: google)',
+        required: false
+      }
+    ],
+    instructions: ({ style }) => [
+      'Document this notebook.',
+      'Propose a Markdown cell for the top of the notebook and a Markdown cell before each major section, giving the index each one should be inserted at.',
+      `Add ${style || 'google'}-style docstrings to every function and class, returning the updated code cells with their indices.`
+    ].join('\n')
+  },
+  {
+    name: 'notebook_to_report',
+    description: 'Turn an exploratory notebook into a clean, linear report',
+    arguments: [
+      PATH_ARGUMENT,
+      {
+        name: 'audience',
+        description: 'Who the report is for (default: a technical reader new to the project)',
+        required: false
+      }
+    ],
+    instructions: ({ audience }) => [
+      `Turn this exploratory notebook into a report for ${audience || 'a technical reader new to the project'}.`,
+      'Remove dead ends, duplicated experiments and debugging cells, and reorder the remaining cells into a linear narrative.',
+      'Add an introduction, Markdown explanations between steps and a conclusion that states the findings.',
+      'Describe the resulting notebook as an ordered list of cells, noting which original cell each one comes from.'
+    ].join('\n')
+  }
+];
+
+function findPrompt(name) {
+  const prompt = PROMPTS.find(candidate => candidate.name === name);
+  if (!prompt) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+  return prompt;
+}
+
+function checkPromptArguments(prompt, args = {}) {
+  for (const argument of prompt.arguments) {
+    if (argument.required && (args[argument.name] === undefined || args[argument.name] === '')) {
+      throw new Error(`Prompt ${prompt.name} requires the "${argument.name}" argument`);
+    }
+  }
+}
+
+function parseCellArgument(value) {
+  const text = String(value).trim();
+  return /^\d+$/.test(text) ? { cell_index: parseInt(text, 10) } : { cell_id: text };
+}
+
+function listPrompts() {
+  return PROMPTS.map(({ name, description, arguments: args }) => ({ name, description, arguments: args }));
+}
+
+export { MAX_PROMPT_SOURCE_CHARS, findPrompt, checkPromptArguments, parseCellArgument, listPrompts };
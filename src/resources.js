@@ -0,0 +1,160 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { readRevision } from './file-store.js';
+
+const NOTEBOOK_MIME_TYPE = 'application/x-ipynb+json';
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'notebook://{+path}',
+    name: 'Notebook',
+    description: 'A notebook file, addressed by its absolute path',
+    mimeType: NOTEBOOK_MIME_TYPE
+  },
+  {
+    uriTemplate: 'notebook://{+path}/cells/{cell_id}',
+    name: 'Notebook cell',
+    description: 'A single cell of a notebook as nbformat JSON',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'notebook://{+path}/outputs/{cell_id}',
+    name: 'Cell outputs',
+    description: 'The rendered outputs of a code cell; images are returned as binary contents'
+  }
+];
+
+// Path segments are encoded one by one so names with `#`, `?` or `%` survive the round trip
+function notebookUri(filePath, part, cellId) {
+  const posixPath = filePath.split(path.sep).join('/');
+  const base = `notebook://${(posixPath.startsWith('/') ? posixPath : `/${posixPath}`).split('/').map(encodeURIComponent).join('/')}`;
+  return part ? `${base}/${part}/${encodeURIComponent(cellId)}` : base;
+}
+
+function parseNotebookUri(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith('notebook://')) {
+    throw new Error(`Unsupported resource URI: ${uri}`);
+  }
+
+  const match = uri.slice('notebook://'.length).match(/^(.*?\.ipynb)(?:\/(cells|outputs)\/([^/]+))?$/i);
+  let decoded;
+  try {
+    decoded = match && {
+      path: match[1].split('/').map(decodeURIComponent).join('/'),
+      cellId: match[3] ? decodeURIComponent(match[3]) : null
+    };
+  } catch {
+    decoded = null;
+  }
+  if (!decoded) {
+    throw new Error(`Not a notebook resource URI: ${uri}`);
+  }
+
+  const filePath = process.platform === 'win32' ? decoded.path.replace(/^\//, '') : decoded.path;
+  return {
+    path: path.normalize(filePath),
+    part: match[2] || null,
+    cellId: decoded.cellId
+  };
+}
+
+class NotebookWatcher {
+  constructor(onChange, { debounceMs = 100, revisionOf = readRevision } = {}) {
+    this.onChange = onChange;
+    this.debounceMs = debounceMs;
+    this.revisionOf = revisionOf;
+    this.subscriptions = new Map();
+    this.revisions = new Map();
+    this.directories = new Map();
+    this.timers = new Map();
+  }
+
+  async subscribe(subscriber, filePath) {
+    if (!this.subscriptions.has(filePath)) {
+      this.subscriptions.set(filePath, new Set());
+      this.revisions.set(filePath, await this.revisionOf(filePath));
+    }
+    this.subscriptions.get(filePath).add(subscriber);
+    this.watchDirectory(path.dirname(filePath));
+  }
+
+  unsubscribe(subscriber, filePath) {
+    const subscribers = this.subscriptions.get(filePath);
+    if (!subscribers) {
+      return;
+    }
+
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0) {
+      this.subscriptions.delete(filePath);
+      this.revisions.delete(filePath);
+      this.unwatchUnusedDirectories();
+    }
+  }
+
+  watchDirectory(directory) {
+    if (this.directories.has(directory)) {
+      return;
+    }
+    try {
+      const watcher = fs.watch(directory, { persistent: false }, (eventType, fileName) => {
+        if (fileName) {
+          this.schedule(path.join(directory, fileName.toString()));
+        } else {
+          for (const filePath of this.subscriptions.keys()) {
+            if (path.dirname(filePath) === directory) {
+              this.schedule(filePath);
+            }
+          }
+        }
+      });
+      watcher.on('error', () => this.directories.delete(directory));
+      this.directories.set(directory, watcher);
+    } catch (error) {
+      console.error(`Cannot watch ${directory}: ${error.message}`);
+    }
+  }
+
+  unwatchUnusedDirectories() {
+    const used = new Set([...this.subscriptions.keys()].map(filePath => path.dirname(filePath)));
+    for (const [directory, watcher] of this.directories) {
+      if (!used.has(directory)) {
+        watcher.close();
+        this.directories.delete(directory);
+      }
+    }
+  }
+
+  schedule(filePath) {
+    if (!this.subscriptions.has(filePath)) {
+      return;
+    }
+    clearTimeout(this.timers.get(filePath));
+    this.timers.set(filePath, setTimeout(() => {
+      this.timers.delete(filePath);
+      this.check(filePath).catch(error => console.error(`Cannot check ${filePath}: ${error.message}`));
+    }, this.debounceMs));
+  }
+
+  async check(filePath) {
+    const subscribers = this.subscriptions.get(filePath);
+    if (!subscribers) {
+      return;
+    }
+
+    const revision = await this.revisionOf(filePath);
+    if (revision !== this.revisions.get(filePath)) {
+      this.revisions.set(filePath, revision);
+      await this.onChange(filePath, [...subscribers]);
+    }
+  }
+
+  close() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.directories.forEach(watcher => watcher.close());
+    this.timers.clear();
+    this.directories.clear();
+    this.subscriptions.clear();
+  }
+}
+
+export { NOTEBOOK_MIME_TYPE, RESOURCE_TEMPLATES, notebookUri, parseNotebookUri, NotebookWatcher };
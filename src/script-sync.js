@@ -0,0 +1,276 @@
+import { joinSource } from './exporter.js';
+import { matchSequences } from './diff.js';
+
+const PERCENT_MARKER = /^\s*#\s*%%(.*)$/;
+const NBCONVERT_MARKER = /^# In\[[\d ]*\]:\s*$/m;
+const CELL_TYPE_ALIASES = {
+  markdown: 'markdown',
+  md: 'markdown',
+  raw: 'raw',
+  code: 'code'
+};
+
+function detectScriptFormat(text) {
+  return text.split('\n').some(line => PERCENT_MARKER.test(line)) ? 'percent' : 'light';
+}
+
+function stripHeader(lines) {
+  if (lines[0]?.startsWith('#!')) {
+    lines = lines.slice(1);
+  }
+  if (lines[0]?.trim() === '# ---') {
+    const end = lines.findIndex((line, i) => i > 0 && line.trim() === '# ---');
+    if (end !== -1) {
+      lines = lines.slice(end + 1);
+    }
+  }
+  return lines;
+}
+
+function trimBlankLines(lines) {
+  let start = 0;
+  let end = lines.length;
+  while (start < end && lines[start].trim() === '') {
+    start++;
+  }
+  while (end > start && lines[end - 1].trim() === '') {
+    end--;
+  }
+  return lines.slice(start, end);
+}
+
+function uncomment(lines) {
+  return lines.map(line => line.replace(/^\s*# ?/, ''));
+}
+
+function parseMarkerOptions(text) {
+  const metadata = {};
+  const pattern = /(\w+)=(\[[^\]]*\]|"[^"]*"|\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    try {
+      metadata[match[1]] = JSON.parse(match[2]);
+    } catch {
+      metadata[match[1]] = match[2];
+    }
+  }
+  return metadata;
+}
+
+function parsePercentMarker(rest) {
+  let cellType = 'code';
+  let remainder = rest.trim();
+
+  const typeMatch = remainder.match(/\[(\w+)\]/);
+  if (typeMatch && CELL_TYPE_ALIASES[typeMatch[1].toLowerCase()]) {
+    cellType = CELL_TYPE_ALIASES[typeMatch[1].toLowerCase()];
+    remainder = remainder.replace(typeMatch[0], '').trim();
+  }
+
+  const metadata = parseMarkerOptions(remainder);
+  const title = remainder.replace(/(\w+)=(\[[^\]]*\]|"[^"]*"|\S+)/g, '').trim();
+  if (title) {
+    metadata.title = title;
+  }
+
+  return { cellType, metadata };
+}
+
+function parsePercentScript(text) {
+  const lines = stripHeader(text.replace(/\r\n/g, '\n').split('\n'));
+  const cells = [];
+  let current = null;
+  let preamble = [];
+
+  const flush = () => {
+    if (!current) {
+      return;
+    }
+    let body = trimBlankLines(current.lines);
+    if (current.cellType !== 'code') {
+      body = uncomment(body);
+    }
+    cells.push({
+      cell_type: current.cellType,
+      source: body.join('\n'),
+      metadata: current.metadata
+    });
+  };
+
+  for (const line of lines) {
+    const marker = line.match(PERCENT_MARKER);
+    if (marker) {
+      flush();
+      current = { ...parsePercentMarker(marker[1]), lines: [] };
+    } else if (current) {
+      current.lines.push(line);
+    } else {
+      preamble.push(line);
+    }
+  }
+  flush();
+
+  preamble = trimBlankLines(preamble);
+  if (preamble.length > 0) {
+    cells.unshift({ cell_type: 'code', source: preamble.join('\n'), metadata: {} });
+  }
+
+  return cells;
+}
+
+function splitParagraphs(lines) {
+  const paragraphs = [];
+  let current = [];
+
+  for (const line of lines) {
+    if (line.trim() === '') {
+      if (current.length > 0) {
+        paragraphs.push(current);
+        current = [];
+      }
+    } else {
+      current.push(line);
+    }
+  }
+  if (current.length > 0) {
+    paragraphs.push(current);
+  }
+
+  return paragraphs;
+}
+
+function explicitCell({ cellType, lines, metadata }) {
+  const body = trimBlankLines(lines);
+  return {
+    cell_type: cellType,
+    source: (cellType === 'code' ? body : uncomment(body)).join('\n'),
+    metadata
+  };
+}
+
+function parseLightScript(text) {
+  const lines = stripHeader(text.replace(/\r\n/g, '\n').split('\n'));
+  const cells = [];
+  let pending = [];
+  let explicit = null;
+
+  const flushPending = () => {
+    for (const paragraph of splitParagraphs(pending)) {
+      // Only comments at the start of the line are Markdown; indented ones belong to the code around them
+      const isComment = paragraph.every(line => /^#/.test(line));
+      const previous = cells[cells.length - 1];
+
+      if (isComment) {
+        cells.push({ cell_type: 'markdown', source: uncomment(paragraph).join('\n'), metadata: {} });
+      } else if (previous?.cell_type === 'code' && previous.continues && /^\s/.test(paragraph[0])) {
+        previous.source += '\n\n' + paragraph.join('\n');
+      } else {
+        cells.push({ cell_type: 'code', source: paragraph.join('\n'), metadata: {}, continues: true });
+      }
+    }
+    pending = [];
+  };
+
+  for (const line of lines) {
+    if (explicit) {
+      if (/^\s*# -\s*$/.test(line)) {
+        cells.push(explicitCell(explicit));
+        explicit = null;
+      } else {
+        explicit.lines.push(line);
+      }
+    } else {
+      const marker = line.match(/^\s*# \+(.*)$/);
+      if (marker) {
+        flushPending();
+        const options = marker[1].trim();
+        const cellType = options.match(/^\[(\w+)\]/)?.[1];
+        explicit = {
+          lines: [],
+          metadata: parseMarkerOptions(options),
+          cellType: CELL_TYPE_ALIASES[cellType?.toLowerCase()] || 'code'
+        };
+      } else {
+        pending.push(line);
+      }
+    }
+  }
+
+  if (explicit) {
+    cells.push(explicitCell(explicit));
+  }
+  flushPending();
+
+  return cells.map(({ cell_type, source, metadata }) => ({ cell_type, source, metadata }));
+}
+
+function parseScript(text, format = 'auto') {
+  const resolvedFormat = format === 'auto' ? detectScriptFormat(text) : format;
+
+  // nbconvert scripts keep code cells apart only with `# In[ ]:` comments, which would read back as Markdown
+  if (resolvedFormat === 'light' && NBCONVERT_MARKER.test(text)) {
+    throw new Error('This looks like an nbconvert script (# In[ ]: markers), which cannot be read back cell for cell; export the notebook with format "percent" to get a script that syncs');
+  }
+
+  if (resolvedFormat === 'percent') {
+    return { format: resolvedFormat, cells: parsePercentScript(text) };
+  }
+  if (resolvedFormat === 'light') {
+    return { format: resolvedFormat, cells: parseLightScript(text) };
+  }
+
+  throw new Error(`Unsupported script format: ${format}`);
+}
+
+function normalizeSource(source) {
+  return joinSource(source).replace(/\s+$/, '');
+}
+
+function cellKey(cell) {
+  return `${cell.cell_type}\u0000${normalizeSource(cell.source)}`;
+}
+
+function matchCells(oldCells, newCells) {
+  const oldKeys = oldCells.map(cellKey);
+  const newKeys = newCells.map(cellKey);
+  return matchSequences(oldKeys, newKeys);
+}
+
+function syncCells(oldCells, parsedCells, createCell) {
+  const pairs = matchCells(oldCells, parsedCells);
+  const result = [];
+  const stats = { unchanged: 0, updated: 0, added: 0, removed: 0 };
+
+  let oldStart = 0;
+  let newStart = 0;
+  for (const [oldEnd, newEnd] of [...pairs, [oldCells.length, parsedCells.length]]) {
+    const oldGap = oldCells.slice(oldStart, oldEnd);
+    const newGap = parsedCells.slice(newStart, newEnd);
+
+    newGap.forEach((parsed, offset) => {
+      const previous = oldGap[offset];
+      const isEdit = previous && previous.cell_type === parsed.cell_type;
+      const cell = createCell(parsed.cell_type, parsed.source);
+
+      cell.metadata = { ...(isEdit ? previous.metadata : {}), ...parsed.metadata };
+      if (isEdit && previous.id) {
+        cell.id = previous.id;
+      }
+      result.push(cell);
+      stats[isEdit ? 'updated' : 'added']++;
+    });
+
+    if (oldEnd < oldCells.length) {
+      result.push(oldCells[oldEnd]);
+      stats.unchanged++;
+    }
+
+    oldStart = oldEnd + 1;
+    newStart = newEnd + 1;
+  }
+
+  stats.removed = oldCells.length - stats.unchanged - stats.updated;
+  return { cells: result, stats };
+}
+
+export { parseScript, syncCells };
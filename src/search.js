@@ -0,0 +1,193 @@
+import { joinSource } from './exporter.js';
+import { diffLines } from './diff.js';
+
+const MAX_MATCHES = 1000;
+const MAX_MATCHES_PER_CELL = 100;
+const MAX_QUERY_LENGTH = 1000;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function buildPattern(query, { regex = false, caseSensitive = false, wholeWord = false } = {}) {
+  if (typeof query !== 'string' || query === '') {
+    throw new Error('query must be a non-empty string');
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new Error(`query is too long (${query.length} characters, at most ${MAX_QUERY_LENGTH})`);
+  }
+
+  let source = regex ? query : escapeRegExp(query);
+  if (wholeWord) {
+    source = `\\b(?:${source})\\b`;
+  }
+
+  return new RegExp(source, caseSensitive ? 'gm' : 'gim');
+}
+
+function cellMatchesFilters(cell, { cellTypes, tags } = {}) {
+  if (cellTypes?.length && !cellTypes.includes(cell.cell_type)) {
+    return false;
+  }
+  if (tags?.length) {
+    const cellTags = cell.metadata?.tags || [];
+    return tags.some(tag => cellTags.includes(tag));
+  }
+  return true;
+}
+
+function textOutputs(cell) {
+  const fields = [];
+  (cell.outputs || []).forEach((output, outputIndex) => {
+    if (output.output_type === 'stream') {
+      fields.push({ output_index: outputIndex, owner: output, key: 'text', label: `stream:${output.name}` });
+    } else if (output.data) {
+      for (const mimeType of Object.keys(output.data)) {
+        if (mimeType.startsWith('text/')) {
+          fields.push({ output_index: outputIndex, owner: output.data, key: mimeType, label: mimeType });
+        }
+      }
+    }
+  });
+  return fields;
+}
+
+function findMatches(text, pattern, limit) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') {
+      lineStarts.push(i + 1);
+    }
+  }
+  const lines = text.split('\n');
+  const found = [];
+  for (const match of text.matchAll(pattern)) {
+    if (found.length >= limit) {
+      break;
+    }
+    found.push(match);
+  }
+
+  return found.map(match => {
+    let line = lineStarts.length - 1;
+    while (lineStarts[line] > match.index) {
+      line--;
+    }
+    const result = {
+      line_number: line + 1,
+      column: match.index - lineStarts[line] + 1,
+      content: lines[line],
+      match: match[0]
+    };
+    if (match.length > 1) {
+      result.groups = match.slice(1);
+    }
+    if (match.groups) {
+      result.named_groups = match.groups;
+    }
+    return result;
+  });
+}
+
+function searchCells(cells, pattern, { cellTypes, tags, includeOutputs = false } = {}) {
+  const results = [];
+  let total = 0;
+  let cellTruncated = false;
+
+  cells.forEach((cell, index) => {
+    if (total >= MAX_MATCHES || !cellMatchesFilters(cell, { cellTypes, tags })) {
+      return;
+    }
+
+    // Each cell reports at most MAX_MATCHES_PER_CELL matches, counting those in its outputs
+    const matches = findMatches(joinSource(cell.source), pattern, MAX_MATCHES_PER_CELL);
+    const outputMatches = [];
+    for (const field of includeOutputs ? textOutputs(cell) : []) {
+      const limit = MAX_MATCHES_PER_CELL - matches.length - outputMatches.length;
+      outputMatches.push(...findMatches(joinSource(field.owner[field.key]), pattern, limit)
+        .map(match => ({ output_index: field.output_index, output: field.label, ...match })));
+    }
+
+    if (matches.length > 0 || outputMatches.length > 0) {
+      const result = {
+        cell_index: index,
+        cell_id: cell.id,
+        cell_type: cell.cell_type,
+        matches
+      };
+      if (outputMatches.length > 0) {
+        result.output_matches = outputMatches;
+      }
+      if (matches.length + outputMatches.length >= MAX_MATCHES_PER_CELL) {
+        result.truncated = true;
+        cellTruncated = true;
+      }
+      results.push(result);
+      total += matches.length + outputMatches.length;
+    }
+  });
+
+  return { results, truncated: total >= MAX_MATCHES || cellTruncated };
+}
+
+function replaceText(text, pattern, replacement, literal) {
+  const count = [...text.matchAll(pattern)].length;
+  if (count === 0) {
+    return { text, count };
+  }
+  const value = literal ? replacement.replace(/\$/g, '$$$$') : replacement;
+  return { text: text.replace(pattern, value), count };
+}
+
+function replaceInCells(cells, pattern, replacement, { regex = false, cellTypes, tags, includeOutputs = false } = {}) {
+  const changes = [];
+
+  cells.forEach((cell, index) => {
+    if (!cellMatchesFilters(cell, { cellTypes, tags })) {
+      return;
+    }
+
+    const before = joinSource(cell.source);
+    const source = replaceText(before, pattern, replacement, !regex);
+    const change = { cell_index: index, cell_id: cell.id, cell_type: cell.cell_type, replacements: source.count };
+
+    if (source.count > 0) {
+      cell.source = source.text;
+      change.preview = diffLines(before.split('\n'), source.text.split('\n'), 1);
+    }
+
+    if (includeOutputs) {
+      let outputReplacements = 0;
+      for (const field of textOutputs(cell)) {
+        const result = replaceText(joinSource(field.owner[field.key]), pattern, replacement, !regex);
+        if (result.count > 0) {
+          field.owner[field.key] = result.text;
+          outputReplacements += result.count;
+        }
+      }
+      if (outputReplacements > 0) {
+        change.output_replacements = outputReplacements;
+      }
+    }
+
+    if (change.replacements > 0 || change.output_replacements) {
+      changes.push(change);
+    }
+  });
+
+  return changes;
+}
+
+function formatReplacePreview(changes) {
+  return changes.map(change => {
+    const id = change.cell_id ? ` [${change.cell_id}]` : '';
+    const lines = [`Cell ${change.cell_index}${id} (${change.cell_type}): ${change.replacements} replacement(s)${change.output_replacements ? `, ${change.output_replacements} in outputs` : ''}`];
+    for (const hunk of change.preview || []) {
+      lines.push(`  @@ -${hunk.old_start} +${hunk.new_start} @@`);
+      lines.push(...hunk.lines.map(line => `  ${line}`));
+    }
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+export { buildPattern, searchCells, replaceInCells, formatReplacePreview, MAX_MATCHES_PER_CELL, MAX_QUERY_LENGTH };
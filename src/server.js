@@ -5,14 +5,214 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { exportNotebookContent, getExportExtension, stripAnsi } from './exporter.js';
+import { parseScript, syncCells } from './script-sync.js';
+import { KernelSession } from './kernel.js';
+import { validateStructure, repairNotebook, generateCellId, supportsCellIds } from './validator.js';
+import { normalizeRoots, checkPath, DEFAULT_IGNORE } from './workspace.js';
+import { computeRevision, MutationQueue } from './file-store.js';
+import { AsyncLocalStorage } from 'async_hooks';
+import { NotebookHistory } from './history.js';
+import { LocalStorage, JupyterContentsStorage } from './storage.js';
+import { diffNotebooks, formatDiff } from './diff.js';
+import { showFileAtRevision } from './git.js';
+import { mergeNotebooks, resolveConflictCell, CONFLICT_KEY, OUTPUT_POLICIES } from './merge.js';
+import { buildPattern, searchCells, replaceInCells, formatReplacePreview } from './search.js';
+import { NOTEBOOK_MIME_TYPE, RESOURCE_TEMPLATES, notebookUri, parseNotebookUri, NotebookWatcher } from './resources.js';
+import { renderOutputs, filterOutputs, truncateOutputs, outputsToText } from './outputs.js';
+import { MAX_PROMPT_SOURCE_CHARS, findPrompt, checkPromptArguments, parseCellArgument, listPrompts } from './prompts.js';
+import { startHttpServer } from './http-server.js';
+import { loadConfig, resolveConfig, redactConfig, CONFIG_OPTIONS } from './config.js';
+import { ToolPolicy, PermissionDeniedError } from './policy.js';
+import { AuditLog } from './audit.js';
+import { parseNotebookJson, stringifyNotebook, cloneNotebook, inheritFormat } from './notebook-json.js';
+import { LATEST_VERSION, TARGET_VERSIONS, notebookVersion, convertNotebook, upgradeForReading } from './versions.js';
+
+const PATH_ARGUMENTS = ['path', 'root', 'old_path', 'new_path', 'base_path', 'local_path', 'remote_path', 'output_path', 'script_path'];
+const NOTEBOOK_PATH_ARGUMENTS = ['path', 'old_path', 'new_path', 'base_path', 'local_path', 'remote_path'];
+const MUTATING_TOOLS = new Set([
+  'notebook_create',
+  'notebook_delete',
+  'notebook_rename',
+  'notebook_add_cell',
+  'notebook_edit_cell',
+  'notebook_delete_cell',
+  'notebook_change_cell_type',
+  'notebook_duplicate_cell',
+  'notebook_edit_metadata',
+  'notebook_edit_cell_metadata',
+  'notebook_clear_cell_outputs',
+  'notebook_clear_all_outputs',
+  'notebook_move_cell',
+  'notebook_split_cell',
+  'notebook_merge_cells',
+  'notebook_migrate_cell_ids',
+  'notebook_convert_version',
+  'notebook_validate',
+  'notebook_edit_cell_output',
+  'notebook_bulk_add_cells',
+  'notebook_apply_operations',
+  'notebook_merge',
+  'notebook_resolve_conflict',
+  'notebook_replace',
+  'notebook_import_script',
+  'notebook_sync_script',
+  'notebook_execute_cell',
+  'notebook_run_all',
+  'notebook_undo',
+  'notebook_redo',
+  'notebook_restore_checkpoint'
+]);
+const CONDITIONAL_WRITE_TOOLS = new Set(['notebook_validate', 'notebook_replace', 'notebook_apply_operations']);
+const WRITE_TOOLS = new Set([...MUTATING_TOOLS, 'notebook_export', 'notebook_create_checkpoint']);
+const JOURNAL_TOOLS = new Set(['notebook_undo', 'notebook_redo']);
+// Kernel runs can take minutes, so these tools take the notebook's lock only while writing outputs back
+const EXECUTION_TOOLS = new Set(['notebook_execute_cell', 'notebook_run_all']);
+const LIST_CHANGING_TOOLS = new Set([
+  'notebook_create',
+  'notebook_delete',
+  'notebook_rename',
+  'notebook_import_script',
+  'notebook_merge',
+  'notebook_undo',
+  'notebook_redo'
+]);
+const RESOURCE_PAGE_SIZE = 100;
+const BATCH_OPERATIONS = [
+  'add_cell',
+  'bulk_add_cells',
+  'edit_cell',
+  'delete_cell',
+  'change_cell_type',
+  'duplicate_cell',
+  'move_cell',
+  'split_cell',
+  'merge_cells',
+  'edit_metadata',
+  'edit_cell_metadata',
+  'edit_cell_output',
+  'clear_cell_outputs',
+  'clear_all_outputs'
+];
+
+function scriptNotebookPath(scriptPath) {
+  return path.join(path.dirname(scriptPath), path.basename(scriptPath, path.extname(scriptPath)) + '.ipynb');
+}
+
+// The notebook a tool call starts from and the one it writes: the same file except for renames, and
+// imports write next to the script unless given a path
+function notebookPaths(name, args) {
+  if (name === 'notebook_rename') {
+    return { source: args.old_path, target: args.new_path };
+  }
+  const target = name === 'notebook_import_script' && !args.path && args.script_path
+    ? scriptNotebookPath(args.script_path)
+    : args.path;
+  return { source: target, target };
+}
+
+function writesFiles(name, args) {
+  switch (name) {
+    case 'notebook_validate':
+      return !!args.repair;
+    case 'notebook_replace':
+      return !!args.confirm;
+    case 'notebook_apply_operations':
+      return !args.dry_run;
+    default:
+      return WRITE_TOOLS.has(name);
+  }
+}
+
+function cellRef(args) {
+  return { cell_index: args.cell_index, cell_id: args.cell_id };
+}
+
+function notebookSummary(notebook) {
+  return {
+    cell_count: notebook.cells.length,
+    code_cells: notebook.cells.filter(cell => cell.cell_type === 'code').length,
+    markdown_cells: notebook.cells.filter(cell => cell.cell_type === 'markdown').length,
+    raw_cells: notebook.cells.filter(cell => cell.cell_type === 'raw').length,
+    nbformat: notebook.metadata.orig_nbformat < 4 ? notebook.metadata.orig_nbformat : notebook.nbformat,
+    nbformat_minor: notebook.metadata.orig_nbformat < 4 ? notebook.metadata.orig_nbformat_minor : notebook.nbformat_minor,
+    kernel: notebook.metadata.kernelspec?.name || 'unknown',
+    language: notebook.metadata.language_info?.name || 'unknown'
+  };
+}
+
+function paginate(items, offset = 0, limit = 50) {
+  const start = Math.max(0, offset);
+  const page = items.slice(start, start + Math.max(1, limit));
+  return {
+    total: items.length,
+    offset: start,
+    limit,
+    next_offset: start + page.length < items.length ? start + page.length : null,
+    page
+  };
+}
+
+function searchOptions(args) {
+  return {
+    regex: args.regex || false,
+    caseSensitive: args.case_sensitive || false,
+    wholeWord: args.whole_word || false,
+    cellTypes: args.cell_types,
+    tags: args.tags,
+    includeOutputs: args.include_outputs || false
+  };
+}
+
+function insertRef(args) {
+  return { index: args.index, after_cell_id: args.after_cell_id };
+}
 
 class JupyterMCPServer {
-  constructor() {
-    this.server = new Server(
+  constructor({ config = {}, sources = {}, file = null } = {}) {
+    this.config = resolveConfig(config);
+    this.configSources = sources;
+    this.configFile = file;
+    this.sessions = new Set();
+    this.kernels = new Map();
+    this.mutations = new MutationQueue();
+    this.executions = new MutationQueue();
+    this.requestContext = new AsyncLocalStorage();
+    this.allowedRoots = normalizeRoots(this.config.allowed_roots.length ? this.config.allowed_roots : [process.cwd()]);
+    this.storage = this.config.storage.backend === 'jupyter'
+      ? new JupyterContentsStorage({
+        baseUrl: this.config.storage.jupyter_url,
+        token: this.config.storage.jupyter_token,
+        root: this.config.storage.jupyter_root || this.allowedRoots[0],
+      })
+      : new LocalStorage();
+    this.history = new NotebookHistory({ directory: this.config.history_dir, storage: this.storage });
+    this.policy = null;
+    this.auditLog = this.config.audit.file
+      ? new AuditLog({ file: this.config.audit.file, maxBytes: this.config.audit.max_bytes, maxFiles: this.config.audit.max_files })
+      : null;
+
+    this.watcher = new NotebookWatcher(async (filePath, subscribers) => {
+      for (const { session, uri } of subscribers) {
+        await session.server.sendResourceUpdated({ uri }).catch(() => {});
+      }
+    }, { revisionOf: filePath => this.storage.revision(filePath) });
+
+    this.setupErrorHandling();
+  }
+
+  createServer(session) {
+    const server = new Server(
       {
         name: "claude-code-notebook-mcp",
         version: "1.0.0",
@@ -20,24 +220,52 @@ class JupyterMCPServer {
       {
         capabilities: {
           tools: {},
+          resources: {
+            subscribe: true,
+            listChanged: true,
+          },
+          prompts: {},
         },
       }
     );
+    
+    server.onerror = (error) => console.error("[MCP Error]", error);
+    this.setupToolHandlers(server);
+    this.setupResourceHandlers(server, session);
+    this.setupPromptHandlers(server);
+    return server;
+  }
 
-    this.setupToolHandlers();
-    this.setupErrorHandling();
+  async connect(transport) {
+    const session = { subscriptions: new Map() };
+    session.server = this.createServer(session);
+    session.server.onclose = () => {
+      this.sessions.delete(session);
+      for (const subscriber of session.subscriptions.values()) {
+        this.watcher.unsubscribe(subscriber, subscriber.filePath);
+      }
+    };
+    
+    this.sessions.add(session);
+    await session.server.connect(transport);
+    return session;
   }
 
   setupErrorHandling() {
-    this.server.onerror = (error) => console.error("[MCP Error]", error);
     process.on("SIGINT", async () => {
-      await this.server.close();
+      this.watcher.close();
+      await this.shutdownAllKernels();
+      await new Promise(resolve => (this.httpServer ? this.httpServer.close(resolve) : resolve()));
+      await Promise.all([...this.sessions].map(session => session.server.close().catch(() => {})));
       process.exit(0);
     });
+    process.on("exit", () => {
+      this.kernels.forEach(kernel => kernel.process?.kill('SIGKILL'));
+    });
   }
 
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+  setupToolHandlers(server) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
       tools: [
         {
           name: "notebook_create",
@@ -48,6 +276,10 @@ class JupyterMCPServer {
               path: {
                 type: "string",
                 description: "Path where the notebook will be created"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
               }
             },
             required: ["path"]
@@ -62,6 +294,10 @@ class JupyterMCPServer {
               path: {
                 type: "string",
                 description: "Path to the notebook to delete"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
               }
             },
             required: ["path"]
@@ -80,6 +316,10 @@ class JupyterMCPServer {
               new_path: {
                 type: "string",
                 description: "New path for the notebook"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
               }
             },
             required: ["old_path", "new_path"]
@@ -87,13 +327,42 @@ class JupyterMCPServer {
         },
         {
           name: "notebook_read",
-          description: "Reads an entire notebook and returns its structure as a dictionary",
+          description: "Reads a notebook (or a range of its cells) and returns its structure as a dictionary, or a compact source view. Large notebooks are returned in pages; the response says whether more cells are available",
           inputSchema: {
             type: "object",
             properties: {
               path: {
                 type: "string",
                 description: "Path to the notebook to read"
+              },
+              start_index: {
+                type: "number",
+                description: "First cell to return (default: 0)"
+              },
+              end_index: {
+                type: "number",
+                description: "Cell index to stop before (default: end of notebook)"
+              },
+              view: {
+                type: "string",
+                enum: ["json", "source"],
+                description: "json returns nbformat JSON; source returns each cell's source under a header line (default: json)"
+              },
+              include_outputs: {
+                type: "boolean",
+                description: "Include cell outputs (default: true for json, false for source)"
+              },
+              include_metadata: {
+                type: "boolean",
+                description: "Include notebook and cell metadata (default: true)"
+              },
+              max_output_chars: {
+                type: "number",
+                description: "Truncate each output field longer than this many characters, with a marker (default: the limits.max_output_chars setting, 5000; 0 for no limit)"
+              },
+              max_chars: {
+                type: "number",
+                description: "Approximate size budget for the response; cells past it are left for the next page (default: the limits.max_read_chars setting, 100000)"
               }
             },
             required: ["path"]
@@ -112,9 +381,13 @@ class JupyterMCPServer {
               cell_index: {
                 type: "number",
                 description: "Index of the cell to read"
+              },
+              cell_id: {
+                type: "string",
+                description: "Id of the cell (alternative to cell_index)"
               }
             },
-            required: ["path", "cell_index"]
+            required: ["path"]
           }
         },
         {
@@ -139,9 +412,17 @@ class JupyterMCPServer {
               index: {
                 type: "number",
                 description: "Index after which to insert the cell"
+              },
+              after_cell_id: {
+                type: "string",
+                description: "Id of the cell after which to insert (alternative to index)"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
               }
             },
-            required: ["path", "cell_type", "source", "index"]
+            required: ["path", "cell_type", "source"]
           }
         },
         {
@@ -158,12 +439,20 @@ class JupyterMCPServer {
                 type: "number",
                 description: "Index of the cell to edit"
               },
+              cell_id: {
+                type: "string",
+                description: "Id of the cell (alternative to cell_index)"
+              },
               new_source: {
                 type: "string",
                 description: "New source content for the cell"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
               }
             },
-            required: ["path", "cell_index", "new_source"]
+            required: ["path", "new_source"]
           }
         },
         {
@@ -179,9 +468,17 @@ class JupyterMCPServer {
               cell_index: {
                 type: "number",
                 description: "Index of the cell to delete"
+              },
+              cell_id: {
+                type: "string",
+                description: "Id of the cell (alternative to cell_index)"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
               }
             },
-            required: ["path", "cell_index"]
+            required: ["path"]
           }
         },
         {
@@ -198,13 +495,21 @@ class JupyterMCPServer {
                 type: "number",
                 description: "Index of the cell to modify"
               },
+              cell_id: {
+                type: "string",
+                description: "Id of the cell (alternative to cell_index)"
+              },
               new_type: {
                 type: "string",
                 enum: ["code", "markdown", "raw"],
                 description: "New cell type"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
               }
             },
-            required: ["path", "cell_index", "new_type"]
+            required: ["path", "new_type"]
           }
         },
         {
@@ -221,13 +526,21 @@ class JupyterMCPServer {
                 type: "number",
                 description: "Index of the cell to duplicate"
               },
+              cell_id: {
+                type: "string",
+                description: "Id of the cell (alternative to cell_index)"
+              },
               count: {
                 type: "number",
                 default: 1,
                 description: "Number of times to duplicate the cell"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
               }
             },
-            required: ["path", "cell_index"]
+            required: ["path"]
           }
         },
         {
@@ -271,6 +584,10 @@ class JupyterMCPServer {
               metadata: {
                 type: "object",
                 description: "New metadata object"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
               }
             },
             required: ["path", "metadata"]
@@ -289,14 +606,18 @@ class JupyterMCPServer {
               cell_index: {
                 type: "number",
                 description: "Index of the cell"
+              },
+              cell_id: {
+                type: "string",
+                description: "Id of the cell (alternative to cell_index)"
               }
             },
-            required: ["path", "cell_index"]
+            required: ["path"]
           }
         },
         {
           name: "notebook_read_cell_output",
-          description: "Reads the output list of a specific code cell",
+          description: "Reads the outputs of a specific code cell. Images are returned as image content, HTML tables as Markdown tables, and ANSI colour codes are stripped from streams and tracebacks",
           inputSchema: {
             type: "object",
             properties: {
@@ -307,9 +628,25 @@ class JupyterMCPServer {
               cell_index: {
                 type: "number",
                 description: "Index of the cell"
+              },
+              cell_id: {
+                type: "string",
+                description: "Id of the cell (alternative to cell_index)"
+              },
+              mime_types: {
+                type: "array",
+                items: {
+                  type: "string"
+                },
+                description: "Only return these output representations, e.g. [\"image/png\", \"text/*\"] (default: the best image plus the best text form of each output)"
+              },
+              format: {
+                type: "string",
+                enum: ["rich", "json"],
+                description: "rich renders outputs as text and image content; json returns the raw nbformat outputs (default: rich)"
               }
             },
-            required: ["path", "cell_index"]
+            required: ["path"]
           }
         },
         {
@@ -326,12 +663,20 @@ class JupyterMCPServer {
                 type: "number",
                 description: "Index of the cell"
               },
+              cell_id: {
+                type: "string",
+                description: "Id of the cell (alternative to cell_index)"
+              },
               metadata: {
                 type: "object",
                 description: "New metadata object"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
               }
             },
-            required: ["path", "cell_index", "metadata"]
+            required: ["path", "metadata"]
           }
         },
         {
@@ -347,9 +692,17 @@ class JupyterMCPServer {
               cell_index: {
                 type: "number",
                 description: "Index of the cell"
+              },
+              cell_id: {
+                type: "string",
+                description: "Id of the cell (alternative to cell_index)"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
               }
             },
-            required: ["path", "cell_index"]
+            required: ["path"]
           }
         },
         {
@@ -361,6 +714,10 @@ class JupyterMCPServer {
               path: {
                 type: "string",
                 description: "Path to the notebook"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
               }
             },
             required: ["path"]
@@ -380,12 +737,20 @@ class JupyterMCPServer {
                 type: "number",
                 description: "Current index of the cell"
               },
+              cell_id: {
+                type: "string",
+                description: "Id of the cell to move (alternative to from_index)"
+              },
               to_index: {
                 type: "number",
                 description: "Target index for the cell"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
               }
             },
-            required: ["path", "from_index", "to_index"]
+            required: ["path", "to_index"]
           }
         },
         {
@@ -402,12 +767,20 @@ class JupyterMCPServer {
                 type: "number",
                 description: "Index of the cell to split"
               },
+              cell_id: {
+                type: "string",
+                description: "Id of the cell (alternative to cell_index)"
+              },
               line_number: {
                 type: "number",
                 description: "Line number at which to split"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
               }
             },
-            required: ["path", "cell_index", "line_number"]
+            required: ["path", "line_number"]
           }
         },
         {
@@ -423,20 +796,78 @@ class JupyterMCPServer {
               cell_index: {
                 type: "number",
                 description: "Index of the first cell to merge"
+              },
+              cell_id: {
+                type: "string",
+                description: "Id of the cell (alternative to cell_index)"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "notebook_migrate_cell_ids",
+          description: "Adds nbformat 4.5 cell ids to every cell that lacks one and upgrades nbformat_minor to 5",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Path to the notebook"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "notebook_convert_version",
+          description: "Converts a notebook between nbformat versions: upgrades nbformat 3 (worksheets, input/prompt_number, pyout/pyerr outputs) or older 4.x notebooks to 4.5 with cell ids, or downgrades 4.5 to 4.4 by removing cell ids for older tools",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Path to the notebook"
+              },
+              target_version: {
+                type: "string",
+                enum: ["4.5", "4.4"],
+                description: "nbformat version to convert to (default: 4.5)"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
               }
             },
-            required: ["path", "cell_index"]
+            required: ["path"]
           }
         },
         {
           name: "notebook_validate",
-          description: "Validates the notebook structure against the nbformat schema",
+          description: "Validates the notebook against the bundled nbformat 4.0-4.5 JSON schemas, reporting each problem with its JSON path and severity",
           inputSchema: {
             type: "object",
             properties: {
               path: {
                 type: "string",
                 description: "Path to the notebook"
+              },
+              repair: {
+                type: "boolean",
+                default: false,
+                description: "Fix common problems (missing outputs/metadata, bad sources, legacy output types, missing cell ids) and save the notebook"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
               }
             },
             required: ["path"]
@@ -458,7 +889,7 @@ class JupyterMCPServer {
         },
         {
           name: "notebook_export",
-          description: "Exports the notebook to another format (e.g., python, html) using nbconvert",
+          description: "Exports the notebook to a Python script, a percent-format (# %%) script that notebook_sync_script can read back, a Markdown document or a standalone HTML page",
           inputSchema: {
             type: "object",
             properties: {
@@ -468,57 +899,87 @@ class JupyterMCPServer {
               },
               format: {
                 type: "string",
-                enum: ["python", "html", "markdown", "latex", "pdf"],
+                enum: ["python", "percent", "html", "markdown"],
                 description: "Export format"
               },
               output_path: {
                 type: "string",
-                description: "Path for the exported file"
+                description: "Path for the exported file, ending in the format's extension (defaults to the notebook path with that extension)"
+              },
+              overwrite: {
+                type: "boolean",
+                default: false,
+                description: "Whether to replace an existing file at the output path"
               }
             },
             required: ["path", "format"]
           }
         },
         {
-          name: "notebook_get_outline",
-          description: "Produces an outline showing cell numbers with major headings/functions and line counts",
+          name: "notebook_diff",
+          description: "Compares a notebook with another notebook or with a git revision of itself, reporting per-cell changes: added, removed and moved cells, source line diffs, metadata changes and output changes by MIME type",
           inputSchema: {
             type: "object",
             properties: {
               path: {
                 type: "string",
-                description: "Path to the notebook"
+                description: "Path to the notebook (the newer side of the diff)"
+              },
+              base_path: {
+                type: "string",
+                description: "Notebook to compare against (the older side)"
+              },
+              revision: {
+                type: "string",
+                description: "Git revision of the same notebook to compare against, read with git show (default: HEAD when base_path is not given)"
+              },
+              format: {
+                type: "string",
+                enum: ["text", "json"],
+                description: "Output format (default: text)"
               }
             },
             required: ["path"]
           }
         },
         {
-          name: "notebook_search",
-          description: "Searches cells for a keyword, showing which cell matches were found with contextual snippets",
+          name: "notebook_merge",
+          description: "Three-way merges notebooks cell by cell and writes the result to path. Non-overlapping edits are merged automatically, output conflicts are resolved by policy, and source conflicts become marked conflict cells (metadata.notebook_merge_conflict) for notebook_resolve_conflict",
           inputSchema: {
             type: "object",
             properties: {
               path: {
                 type: "string",
-                description: "Path to the notebook"
+                description: "Notebook to write the merged result to; also the local side unless local_path is given"
               },
-              query: {
+              base_path: {
                 type: "string",
-                description: "Search query"
+                description: "Common ancestor notebook"
               },
-              case_sensitive: {
-                type: "boolean",
-                default: false,
-                description: "Whether the search should be case sensitive"
+              local_path: {
+                type: "string",
+                description: "Local side of the merge (default: path)"
+              },
+              remote_path: {
+                type: "string",
+                description: "Remote side of the merge"
+              },
+              output_policy: {
+                type: "string",
+                enum: OUTPUT_POLICIES,
+                description: "How to resolve cells whose outputs changed on both sides: keep local, keep remote, or clear (default: local)"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
               }
             },
-            required: ["path", "query"]
+            required: ["path", "base_path", "remote_path"]
           }
         },
         {
-          name: "notebook_edit_cell_output",
-          description: "Allows direct manipulation and setting of cell outputs",
+          name: "notebook_resolve_conflict",
+          description: "Resolves a merge conflict cell created by notebook_merge by keeping the local, remote or base version, or by supplying the merged source",
           inputSchema: {
             type: "object",
             properties: {
@@ -528,19 +989,46 @@ class JupyterMCPServer {
               },
               cell_index: {
                 type: "number",
-                description: "Index of the cell"
+                description: "Index of the conflict cell"
               },
-              outputs: {
-                type: "array",
-                description: "New outputs array"
+              cell_id: {
+                type: "string",
+                description: "Id of the conflict cell (alternative to cell_index)"
+              },
+              resolution: {
+                type: "string",
+                enum: ["local", "remote", "base", "source"],
+                description: "Which version to keep; choosing a side that deleted the cell removes it"
+              },
+              source: {
+                type: "string",
+                description: "Merged source, required when resolution is \"source\""
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
               }
             },
-            required: ["path", "cell_index", "outputs"]
+            required: ["path", "resolution"]
           }
         },
         {
-          name: "notebook_bulk_add_cells",
-          description: "Adds multiple cells to a notebook in a single operation",
+          name: "notebook_get_outline",
+          description: "Produces an outline showing cell numbers with major headings/functions and line counts",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Path to the notebook"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "notebook_search",
+          description: "Searches cells for a keyword or regular expression, showing each matching line with its line number, column and capture groups",
           inputSchema: {
             type: "object",
             properties: {
@@ -548,814 +1036,2849 @@ class JupyterMCPServer {
                 type: "string",
                 description: "Path to the notebook"
               },
-              cells: {
+              query: {
+                type: "string",
+                description: "Search query"
+              },
+              case_sensitive: {
+                type: "boolean",
+                default: false,
+                description: "Whether the search should be case sensitive"
+              },
+              regex: {
+                type: "boolean",
+                default: false,
+                description: "Treat the query as a JavaScript regular expression (capture groups are reported and usable as $1 in replacements)"
+              },
+              whole_word: {
+                type: "boolean",
+                default: false,
+                description: "Only match whole words"
+              },
+              cell_types: {
                 type: "array",
                 items: {
-                  type: "object",
-                  properties: {
-                    cell_type: {
-                      type: "string",
-                      enum: ["code", "markdown", "raw"]
-                    },
-                    source: {
-                      type: "string"
-                    }
-                  },
-                  required: ["cell_type", "source"]
+                  type: "string",
+                  enum: ["code", "markdown", "raw"]
                 },
-                description: "Array of cells to add"
+                description: "Only search cells of these types"
               },
-              index: {
-                type: "number",
-                description: "Index after which to insert the cells"
+              tags: {
+                type: "array",
+                items: {
+                  type: "string"
+                },
+                description: "Only search cells having at least one of these tags"
+              },
+              include_outputs: {
+                type: "boolean",
+                default: false,
+                description: "Also search text outputs (streams and text/* data)"
               }
             },
-            required: ["path", "cells", "index"]
+            required: ["path", "query"]
           }
         },
         {
-          name: "notebook_get_server_path_context",
-          description: "Provides detailed server path configuration (allowed_roots, OS path style, project directory validation, and path construction guidance)",
+          name: "notebook_replace",
+          description: "Replaces text or regular expression matches across cells. Returns a per-cell preview and only writes when confirm is true",
           inputSchema: {
             type: "object",
             properties: {
               path: {
                 type: "string",
-                description: "Path to analyze"
-              }
-            },
-            required: ["path"]
+                description: "Path to the notebook"
+              },
+              query: {
+                type: "string",
+                description: "Text or regular expression to replace"
+              },
+              replacement: {
+                type: "string",
+                description: "Replacement text; with regex, $1, $2 or $<name> insert capture groups"
+              },
+              case_sensitive: {
+                type: "boolean",
+                default: false,
+                description: "Whether matching should be case sensitive"
+              },
+              regex: {
+                type: "boolean",
+                default: false,
+                description: "Treat the query as a JavaScript regular expression (capture groups are reported and usable as $1 in replacements)"
+              },
+              whole_word: {
+                type: "boolean",
+                default: false,
+                description: "Only match whole words"
+              },
+              cell_types: {
+                type: "array",
+                items: {
+                  type: "string",
+                  enum: ["code", "markdown", "raw"]
+                },
+                description: "Only change cells of these types"
+              },
+              tags: {
+                type: "array",
+                items: {
+                  type: "string"
+                },
+                description: "Only change cells having at least one of these tags"
+              },
+              include_outputs: {
+                type: "boolean",
+                default: false,
+                description: "Also replace in text outputs (streams and text/* data)"
+              },
+              confirm: {
+                type: "boolean",
+                default: false,
+                description: "Write the changes; when false only the preview is returned"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
+              }
+            },
+            required: ["path", "query", "replacement"]
+          }
+        },
+        {
+          name: "notebook_edit_cell_output",
+          description: "Allows direct manipulation and setting of cell outputs",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Path to the notebook"
+              },
+              cell_index: {
+                type: "number",
+                description: "Index of the cell"
+              },
+              cell_id: {
+                type: "string",
+                description: "Id of the cell (alternative to cell_index)"
+              },
+              outputs: {
+                type: "array",
+                description: "New outputs array"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
+              }
+            },
+            required: ["path", "outputs"]
+          }
+        },
+        {
+          name: "notebook_bulk_add_cells",
+          description: "Adds multiple cells to a notebook in a single operation",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Path to the notebook"
+              },
+              cells: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    cell_type: {
+                      type: "string",
+                      enum: ["code", "markdown", "raw"]
+                    },
+                    source: {
+                      type: "string"
+                    }
+                  },
+                  required: ["cell_type", "source"]
+                },
+                description: "Array of cells to add"
+              },
+              index: {
+                type: "number",
+                description: "Index after which to insert the cells"
+              },
+              after_cell_id: {
+                type: "string",
+                description: "Id of the cell after which to insert (alternative to index)"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
+              }
+            },
+            required: ["path", "cells"]
+          }
+        },
+        {
+          name: "notebook_apply_operations",
+          description: "Applies an ordered list of cell operations in memory and writes the notebook once, only if every operation succeeds and the result passes schema validation",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Path to the notebook"
+              },
+              operations: {
+                type: "array",
+                description: "Operations to apply in order. Each takes the same arguments as the matching notebook_* tool, without path",
+                items: {
+                  type: "object",
+                  properties: {
+                    op: {
+                      type: "string",
+                      enum: BATCH_OPERATIONS,
+                      description: "Operation name, e.g. add_cell for notebook_add_cell"
+                    }
+                  },
+                  required: ["op"]
+                }
+              },
+              dry_run: {
+                type: "boolean",
+                description: "Validate and apply the operations without writing, returning the resulting outline (default: false)"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
+              }
+            },
+            required: ["path", "operations"]
+          }
+        },
+        {
+          name: "notebook_import_script",
+          description: "Creates a notebook from a percent-format (# %%) or light-format Python script",
+          inputSchema: {
+            type: "object",
+            properties: {
+              script_path: {
+                type: "string",
+                description: "Path to the .py script to import"
+              },
+              path: {
+                type: "string",
+                description: "Path where the notebook will be created (defaults to the script path with .ipynb)"
+              },
+              format: {
+                type: "string",
+                enum: ["auto", "percent", "light"],
+                default: "auto",
+                description: "Script format; 'auto' detects percent markers"
+              },
+              overwrite: {
+                type: "boolean",
+                default: false,
+                description: "Whether to replace an existing notebook"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
+              }
+            },
+            required: ["script_path"]
+          }
+        },
+        {
+          name: "notebook_sync_script",
+          description: "Updates a notebook from its edited paired script, keeping outputs and metadata of unchanged cells",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Path to the notebook to update"
+              },
+              script_path: {
+                type: "string",
+                description: "Path to the paired .py script (defaults to the notebook path with .py)"
+              },
+              format: {
+                type: "string",
+                enum: ["auto", "percent", "light"],
+                default: "auto",
+                description: "Script format; 'auto' detects percent markers"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "notebook_kernel_start",
+          description: "Starts a local Jupyter kernel for the notebook using its metadata.kernelspec",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Path to the notebook"
+              },
+              kernel_name: {
+                type: "string",
+                description: "Kernel spec name to launch instead of the notebook's kernelspec"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "notebook_execute_cell",
+          description: "Executes a code cell in the notebook's kernel and saves its outputs and execution count (starts a kernel if needed)",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Path to the notebook"
+              },
+              cell_index: {
+                type: "number",
+                description: "Index of the cell to execute"
+              },
+              cell_id: {
+                type: "string",
+                description: "Id of the cell (alternative to cell_index)"
+              },
+              timeout: {
+                type: "number",
+                default: 60,
+                description: "Execution timeout in seconds; the kernel is interrupted when it expires"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "notebook_run_all",
+          description: "Executes every code cell in order in a fresh kernel and saves outputs and execution counts to the notebook",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Path to the notebook"
+              },
+              allow_errors: {
+                type: "boolean",
+                default: false,
+                description: "Continue past failing cells instead of stopping at the first error"
+              },
+              timeout: {
+                type: "number",
+                default: 600,
+                description: "Per-cell execution timeout in seconds"
+              },
+              skip_tags: {
+                type: "array",
+                items: {
+                  type: "string"
+                },
+                default: ["skip-execution"],
+                description: "Cells carrying any of these tags are not executed"
+              },
+              kernel_name: {
+                type: "string",
+                description: "Kernel spec name to launch instead of the notebook's kernelspec"
+              },
+              expected_revision: {
+                type: "string",
+                description: "Fail with a conflict error if the notebook no longer has this revision (as reported by the last read or write)"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "notebook_kernel_interrupt",
+          description: "Interrupts the running execution in the notebook's kernel",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Path to the notebook"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "notebook_kernel_restart",
+          description: "Restarts the notebook's kernel, clearing its state",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Path to the notebook"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "notebook_kernel_shutdown",
+          description: "Shuts down the notebook's kernel",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Path to the notebook"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "notebook_undo",
+          description: "Reverts the most recent operations the server applied to a notebook",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Path to the notebook"
+              },
+              steps: {
+                type: "number",
+                description: "Number of operations to revert (default: 1)"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "notebook_redo",
+          description: "Re-applies operations previously reverted with notebook_undo",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Path to the notebook"
+              },
+              steps: {
+                type: "number",
+                description: "Number of operations to re-apply (default: 1)"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "notebook_history",
+          description: "Lists the recent operations on a notebook that can be undone or redone, most recent first",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Path to the notebook"
+              },
+              limit: {
+                type: "number",
+                description: "Maximum number of operations to list per stack (default: 20)"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "notebook_create_checkpoint",
+          description: "Saves a checkpoint of the notebook's current contents (Jupyter's \"Save and Checkpoint\")",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Path to the notebook"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "notebook_list_checkpoints",
+          description: "Lists the checkpoints saved for a notebook",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Path to the notebook"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "notebook_restore_checkpoint",
+          description: "Restores a notebook to a saved checkpoint (Jupyter's \"Revert to Checkpoint\")",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Path to the notebook"
+              },
+              checkpoint_id: {
+                type: "string",
+                description: "Checkpoint id from notebook_list_checkpoints"
+              }
+            },
+            required: ["path", "checkpoint_id"]
+          }
+        },
+        {
+          name: "notebook_list",
+          description: "Lists the notebooks under a directory tree with cell counts, kernel, language and nbformat version",
+          inputSchema: {
+            type: "object",
+            properties: {
+              root: {
+                type: "string",
+                description: "Directory to scan (default: every allowed workspace root)"
+              },
+              ignore: {
+                type: "array",
+                items: {
+                  type: "string"
+                },
+                description: "Glob patterns to skip; patterns without a slash match any path segment (default: .ipynb_checkpoints, .git, node_modules, __pycache__, .venv)"
+              },
+              offset: {
+                type: "number",
+                description: "Number of results to skip (default: 0)"
+              },
+              limit: {
+                type: "number",
+                description: "Maximum number of results to return (default: 50)"
+              },
+              sort_by: {
+                type: "string",
+                enum: ["path", "modified", "cell_count"],
+                description: "Sort order (default: path; modified and cell_count sort descending)"
+              }
+            }
+          }
+        },
+        {
+          name: "notebook_search_workspace",
+          description: "Searches every notebook under a directory tree, returning matching cells ranked by number of matches with their notebook path and cell index",
+          inputSchema: {
+            type: "object",
+            properties: {
+              query: {
+                type: "string",
+                description: "Search query"
+              },
+              case_sensitive: {
+                type: "boolean",
+                default: false,
+                description: "Whether the search should be case sensitive"
+              },
+              regex: {
+                type: "boolean",
+                default: false,
+                description: "Treat the query as a JavaScript regular expression"
+              },
+              whole_word: {
+                type: "boolean",
+                default: false,
+                description: "Only match whole words"
+              },
+              cell_types: {
+                type: "array",
+                items: {
+                  type: "string",
+                  enum: ["code", "markdown", "raw"]
+                },
+                description: "Only search cells of these types"
+              },
+              tags: {
+                type: "array",
+                items: {
+                  type: "string"
+                },
+                description: "Only search cells having at least one of these tags"
+              },
+              include_outputs: {
+                type: "boolean",
+                default: false,
+                description: "Also search text outputs (streams and text/* data)"
+              },
+              root: {
+                type: "string",
+                description: "Directory to scan (default: every allowed workspace root)"
+              },
+              ignore: {
+                type: "array",
+                items: {
+                  type: "string"
+                },
+                description: "Glob patterns to skip; patterns without a slash match any path segment (default: .ipynb_checkpoints, .git, node_modules, __pycache__, .venv)"
+              },
+              offset: {
+                type: "number",
+                description: "Number of results to skip (default: 0)"
+              },
+              limit: {
+                type: "number",
+                description: "Maximum number of results to return (default: 50)"
+              }
+            },
+            required: ["query"]
+          }
+        },
+        {
+          name: "notebook_get_server_path_context",
+          description: "Provides detailed server path configuration (allowed_roots, whether a path is permitted, OS path style, and path construction guidance)",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Path to analyze"
+              }
+            },
+            required: ["path"]
+          }
+        },
+        {
+          name: "notebook_audit_query",
+          description: "Searches the audit log of tool calls (requires audit.file to be configured), oldest first",
+          inputSchema: {
+            type: "object",
+            properties: {
+              path: {
+                type: "string",
+                description: "Only include calls that affected this notebook"
+              },
+              since: {
+                type: "string",
+                description: "Only include calls made at or after this ISO 8601 time"
+              },
+              until: {
+                type: "string",
+                description: "Only include calls made at or before this ISO 8601 time"
+              },
+              tool: {
+                type: "string",
+                description: "Only include calls of this tool"
+              },
+              status: {
+                type: "string",
+                enum: ["ok", "error"],
+                description: "Only include successful or failed calls"
+              },
+              offset: {
+                type: "number",
+                description: "Number of matching entries to skip (default: 0)"
+              },
+              limit: {
+                type: "number",
+                description: "Maximum number of entries to return (default: 50)"
+              }
+            }
+          }
+        },
+        {
+          name: "notebook_get_server_config",
+          description: "Reports the server's effective configuration and where each setting came from (config file, environment or command line)",
+          inputSchema: {
+            type: "object",
+            properties: {}
           }
         }
-      ]
+      ].filter(tool => this.isToolListed(tool.name))
+    }));
+
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      const { name } = request.params;
+      const audit = { args: request.params.arguments || {}, started: Date.now() };
+      // Long-running tools report progress when the client asked for it, so it can keep extending its timeout
+      const progressToken = request.params._meta?.progressToken;
+      const progress = progressToken === undefined ? null : (value, total, message) => extra.sendNotification({
+        method: "notifications/progress",
+        params: { progressToken, progress: value, total, message }
+      }).catch(() => {});
+
+      try {
+        const args = await this.resolveToolPaths(name, audit.args);
+        audit.args = args;
+
+        const result = await this.callTool(name, args, audit, progress);
+        await this.recordAudit(name, audit, result.isError ? result.content[0]?.text : null);
+        return result;
+      } catch (error) {
+        await this.recordAudit(name, audit, error.message);
+        if (error instanceof PermissionDeniedError) {
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(error.toJSON()),
+              },
+            ],
+            structuredContent: error.toJSON(),
+            isError: true,
+          };
+        }
+        return {
+          content: [
+            {
+              type: "text",
+              text: `Error: ${error.message}`,
+            },
+          ],
+          isError: true,
+        };
+      }
+    });
+  }
+
+  setupPromptHandlers(server) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: listPrompts(),
+    }));
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args = {} } = request.params;
+      const prompt = findPrompt(name);
+      checkPromptArguments(prompt, args);
+      const notebookPath = await this.resolvePath(args.path, { notebook: true });
+      return await this.getPrompt(prompt, notebookPath, args);
+    });
+  }
+
+  setupResourceHandlers(server, session) {
+    server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      const offset = parseInt(request.params?.cursor || '0', 10) || 0;
+      const { notebooks } = await this.collectNotebooks();
+      const page = notebooks.slice(offset, offset + RESOURCE_PAGE_SIZE);
+      const root = notebookPath => this.allowedRoots.find(candidate => notebookPath.startsWith(candidate + path.sep)) || path.dirname(notebookPath);
+      
+      return {
+        resources: page.map(notebookPath => ({
+          uri: notebookUri(notebookPath),
+          name: path.relative(root(notebookPath), notebookPath),
+          mimeType: NOTEBOOK_MIME_TYPE,
+        })),
+        ...(offset + page.length < notebooks.length ? { nextCursor: String(offset + page.length) } : {}),
+      };
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: RESOURCE_TEMPLATES,
     }));
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const { path: filePath, part, cellId } = parseNotebookUri(uri);
+      return await this.readResource(uri, await this.resolvePath(filePath, { notebook: true }), part, cellId);
+    });
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const filePath = await this.resolvePath(parseNotebookUri(uri).path, { notebook: true });
+      if (!session.subscriptions.has(uri)) {
+        session.subscriptions.set(uri, { session, uri, filePath });
+      }
+      await this.watcher.subscribe(session.subscriptions.get(uri), filePath);
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const subscriber = session.subscriptions.get(uri);
+      if (subscriber) {
+        session.subscriptions.delete(uri);
+        this.watcher.unsubscribe(subscriber, subscriber.filePath);
+      }
+      return {};
+    });
+  }
+
+  async readResource(uri, notebookPath, part, cellId) {
+    if (!part) {
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: NOTEBOOK_MIME_TYPE,
+            text: (await this.storage.read(notebookPath)).toString('utf8'),
+          },
+        ],
+      };
+    }
+    
+    const notebook = await this.loadNotebook(notebookPath);
+    const cell = notebook.cells.find(candidate => candidate.id === cellId);
+    if (!cell) {
+      throw new Error(`Cell id ${cellId} not found in ${notebookPath}`);
+    }
+    
+    if (part === 'cells') {
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: "application/json",
+            text: JSON.stringify(cell, null, 2),
+          },
+        ],
+      };
+    }
+    
+    const contents = [];
+    for (const block of renderOutputs(cell.outputs || [])) {
+      const previous = contents[contents.length - 1];
+      if (block.type === 'image') {
+        contents.push({ uri, mimeType: block.mimeType, blob: block.data });
+      } else if (previous?.text !== undefined) {
+        previous.text += `\n${block.text}`;
+      } else {
+        contents.push({ uri, mimeType: "text/plain", text: block.text });
+      }
+    }
+    
+    return {
+      contents: contents.length > 0 ? contents : [{ uri, mimeType: "text/plain", text: "" }],
+    };
+  }
+
+  async notifyResourceChanges(name, args) {
+    for (const filePath of [args.path, args.old_path, args.new_path]) {
+      if (filePath) {
+        this.watcher.schedule(filePath);
+      }
+    }
+    if (LIST_CHANGING_TOOLS.has(name)) {
+      for (const session of this.sessions) {
+        await session.server.sendResourceListChanged().catch(() => {});
+      }
+    }
+  }
+
+  async recordAudit(name, audit, error) {
+    if (!this.auditLog) {
+      return;
+    }
+    await this.auditLog.append({
+      timestamp: new Date(audit.started).toISOString(),
+      tool: name,
+      args: audit.args,
+      notebook: audit.notebook,
+      durationMs: Date.now() - audit.started,
+      before: audit.before,
+      after: audit.after,
+      error
+    });
+  }
+
+  async callTool(name, args, audit = {}, progress = null) {
+    const { source, target } = notebookPaths(name, args);
+    audit.notebook = target;
+    if (this.config.read_only && writesFiles(name, args)) {
+      throw new PermissionDeniedError(`Tool ${name} is not available: the server is in read-only mode`, {
+        tool: name,
+        path: args.path || null,
+        deniedBy: 'read_only'
+      });
+    }
+    
+    const context = { path: target, revision: null, call: { tool: name, args, audit, progress } };
+    const locked = MUTATING_TOOLS.has(name) && !EXECUTION_TOOLS.has(name) && target;
+    const run = () => this.requestContext.run(context, async () => {
+      if (args.expected_revision !== undefined) {
+        await this.checkRevision(source, args.expected_revision);
+      }
+      
+      if (locked) {
+        audit.before = await this.storage.readText(source);
+      }
+      
+      let result;
+      try {
+        result = await this.dispatchTool(name, args);
+      } finally {
+        if (locked) {
+          audit.after = await this.storage.readText(target).catch(() => undefined);
+        }
+      }
+      
+      // A rename takes the notebook's journal along and adds a step that moves it back
+      if (source !== target) {
+        await this.history.rename(source, target);
+      }
+      if (locked && !JOURNAL_TOOLS.has(name)) {
+        await this.history.record(target, {
+          tool: name,
+          args,
+          before: audit.before,
+          after: audit.after,
+          movedFrom: source !== target ? source : null
+        });
+      }
+      
+      return result;
+    });
+    
+    const result = locked
+      ? await this.mutations.runAll([source, target], run)
+      : await run();
+    
+    if (MUTATING_TOOLS.has(name)) {
+      await this.notifyResourceChanges(name, args);
+    }
+    
+    if (context.revision) {
+      result.content.push({
+        type: "text",
+        text: `Revision: ${context.revision}`,
+      });
+    }
+    if (context.legacy) {
+      const notebooks = [...context.legacy].map(([notebookPath, version]) => `${notebookPath} (nbformat ${version})`);
+      result.content.push({
+        type: "text",
+        text: `Note: read ${notebooks.join(', ')} through an in-memory upgrade to nbformat ${LATEST_VERSION}; convert with notebook_convert_version before editing`,
+      });
+    }
+    
+    return result;
+  }
+
+  isToolEnabled(name) {
+    const { enabled, disabled } = this.config.tools;
+    return (enabled.length === 0 || enabled.includes(name)) && !disabled.includes(name);
+  }
+
+  isToolListed(name) {
+    return this.isToolEnabled(name)
+      && !(this.config.read_only && WRITE_TOOLS.has(name) && !CONDITIONAL_WRITE_TOOLS.has(name))
+      && (!this.policy || this.policy.isListed(name));
+  }
+
+  async dispatchTool(name, args) {
+    if (!this.isToolEnabled(name)) {
+      throw new PermissionDeniedError(`Tool ${name} is disabled by the server configuration`, {
+        tool: name,
+        path: args.path || null,
+        deniedBy: 'configuration'
+      });
+    }
+    this.policy?.check(name, PATH_ARGUMENTS.map(key => args[key]).filter(Boolean));
+    
+    switch (name) {
+      case "notebook_create":
+        return await this.createNotebook(args.path);
+      case "notebook_delete":
+        return await this.deleteNotebook(args.path);
+      case "notebook_rename":
+        return await this.renameNotebook(args.old_path, args.new_path);
+      case "notebook_read":
+        return await this.readNotebook(args.path, {
+          startIndex: args.start_index ?? 0,
+          endIndex: args.end_index,
+          view: args.view || 'json',
+          includeOutputs: args.include_outputs ?? args.view !== 'source',
+          includeMetadata: args.include_metadata ?? true,
+          maxOutputChars: args.max_output_chars ?? this.config.limits.max_output_chars,
+          maxChars: args.max_chars ?? this.config.limits.max_read_chars
+        });
+      case "notebook_read_cell":
+        return await this.readCell(args.path, cellRef(args));
+      case "notebook_add_cell":
+        return await this.addCell(args.path, args.cell_type, args.source, insertRef(args));
+      case "notebook_edit_cell":
+        return await this.editCell(args.path, cellRef(args), args.new_source);
+      case "notebook_delete_cell":
+        return await this.deleteCell(args.path, cellRef(args));
+      case "notebook_change_cell_type":
+        return await this.changeCellType(args.path, cellRef(args), args.new_type);
+      case "notebook_duplicate_cell":
+        return await this.duplicateCell(args.path, cellRef(args), args.count || 1);
+      case "notebook_get_cell_count":
+        return await this.getCellCount(args.path);
+      case "notebook_read_metadata":
+        return await this.readMetadata(args.path);
+      case "notebook_edit_metadata":
+        return await this.editMetadata(args.path, args.metadata);
+      case "notebook_read_cell_metadata":
+        return await this.readCellMetadata(args.path, cellRef(args));
+      case "notebook_read_cell_output":
+        return await this.readCellOutput(args.path, cellRef(args), args.mime_types, args.format || 'rich');
+      case "notebook_edit_cell_metadata":
+        return await this.editCellMetadata(args.path, cellRef(args), args.metadata);
+      case "notebook_clear_cell_outputs":
+        return await this.clearCellOutputs(args.path, cellRef(args));
+      case "notebook_clear_all_outputs":
+        return await this.clearAllOutputs(args.path);
+      case "notebook_move_cell":
+        return await this.moveCell(args.path, { cell_index: args.from_index, cell_id: args.cell_id }, args.to_index);
+      case "notebook_split_cell":
+        return await this.splitCell(args.path, cellRef(args), args.line_number);
+      case "notebook_merge_cells":
+        return await this.mergeCells(args.path, cellRef(args));
+      case "notebook_migrate_cell_ids":
+        return await this.migrateCellIds(args.path);
+      case "notebook_convert_version":
+        return await this.convertNotebookVersion(args.path, args.target_version || LATEST_VERSION);
+      case "notebook_validate":
+        return await this.validateNotebook(args.path, args.repair || false);
+      case "notebook_get_info":
+        return await this.getNotebookInfo(args.path);
+      case "notebook_export":
+        return await this.exportNotebook(args.path, args.format, args.output_path, args.overwrite ?? false);
+      case "notebook_diff":
+        return await this.diffNotebook(args.path, args.base_path, args.revision, args.format || 'text');
+      case "notebook_merge":
+        return await this.mergeNotebook(args.path, args.base_path, args.local_path || args.path, args.remote_path, args.output_policy || 'local');
+      case "notebook_resolve_conflict":
+        return await this.resolveConflict(args.path, cellRef(args), args.resolution, args.source);
+      case "notebook_get_outline":
+        return await this.getOutline(args.path);
+      case "notebook_search":
+        return await this.searchNotebook(args.path, args.query, searchOptions(args));
+      case "notebook_replace":
+        return await this.replaceInNotebook(args.path, args.query, args.replacement, searchOptions(args), args.confirm || false);
+      case "notebook_edit_cell_output":
+        return await this.editCellOutput(args.path, cellRef(args), args.outputs);
+      case "notebook_bulk_add_cells":
+        return await this.bulkAddCells(args.path, args.cells, insertRef(args));
+      case "notebook_apply_operations":
+        return await this.applyOperations(args.path, args.operations, args.dry_run || false);
+      case "notebook_import_script":
+        return await this.importScript(args.script_path, args.path, args.format || 'auto', args.overwrite || false);
+      case "notebook_sync_script":
+        return await this.syncScript(args.path, args.script_path, args.format || 'auto');
+      case "notebook_kernel_start":
+        return await this.startKernel(args.path, args.kernel_name);
+      case "notebook_execute_cell":
+        return await this.executeCell(args.path, cellRef(args), args.timeout ?? 60);
+      case "notebook_run_all":
+        return await this.runAll(args.path, {
+          allowErrors: args.allow_errors || false,
+          timeout: args.timeout ?? 600,
+          skipTags: args.skip_tags || ['skip-execution'],
+          kernelName: args.kernel_name
+        });
+      case "notebook_kernel_interrupt":
+        return await this.interruptKernel(args.path);
+      case "notebook_kernel_restart":
+        return await this.restartKernel(args.path);
+      case "notebook_kernel_shutdown":
+        return await this.shutdownKernel(args.path);
+      case "notebook_undo":
+        return await this.undoNotebook(args.path, args.steps ?? 1);
+      case "notebook_redo":
+        return await this.redoNotebook(args.path, args.steps ?? 1);
+      case "notebook_history":
+        return await this.getHistory(args.path, args.limit ?? 20);
+      case "notebook_audit_query":
+        return await this.queryAuditLog(args);
+      case "notebook_get_server_config":
+        return this.getServerConfig();
+      case "notebook_create_checkpoint":
+        return await this.createCheckpoint(args.path);
+      case "notebook_list_checkpoints":
+        return await this.listCheckpoints(args.path);
+      case "notebook_restore_checkpoint":
+        return await this.restoreCheckpoint(args.path, args.checkpoint_id);
+      case "notebook_list":
+        return await this.listNotebooks(args.root, args.ignore, args.sort_by || 'path', args.offset ?? 0, args.limit ?? 50);
+      case "notebook_search_workspace":
+        return await this.searchWorkspace(args.query, args.root, args.ignore, searchOptions(args), args.offset ?? 0, args.limit ?? 50);
+      case "notebook_get_server_path_context":
+        return await this.getServerPathContext(args.path);
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
+  createEmptyNotebook() {
+    const { kernelspec, language_version: languageVersion } = this.config;
+    return {
+      cells: [],
+      metadata: {
+        kernelspec: {
+          display_name: kernelspec.display_name,
+          language: kernelspec.language,
+          name: kernelspec.name
+        },
+        language_info: {
+          name: kernelspec.language,
+          ...(languageVersion ? { version: languageVersion } : {})
+        }
+      },
+      nbformat: 4,
+      nbformat_minor: 5
+    };
+  }
+
+  createCell(cellType, source, notebook) {
+    const cell = {
+      ...(supportsCellIds(notebook) ? { id: generateCellId(new Set(notebook.cells.map(existing => existing.id))) } : {}),
+      cell_type: cellType,
+      metadata: {},
+      source: source
+    };
+    
+    if (cellType === 'code') {
+      cell.execution_count = null;
+      cell.outputs = [];
+    }
+    
+    return cell;
+  }
+
+  async resolvePath(filePath, { notebook = false } = {}) {
+    const check = await checkPath(filePath, this.allowedRoots);
+    
+    if (!check.permitted) {
+      throw new Error(`Access denied: ${check.reason}`);
+    }
+    if (notebook && path.extname(check.resolvedPath).toLowerCase() !== '.ipynb') {
+      throw new Error(`Access denied: ${filePath} is not a .ipynb notebook`);
+    }
+    
+    return check.resolvedPath;
+  }
+
+  async resolveToolPaths(name, args) {
+    if (name === 'notebook_get_server_path_context') {
+      return args;
+    }
+    
+    const resolved = { ...args };
+    for (const key of PATH_ARGUMENTS) {
+      if (args[key] !== undefined) {
+        resolved[key] = await this.resolvePath(args[key], { notebook: NOTEBOOK_PATH_ARGUMENTS.includes(key) });
+      }
+    }
+    
+    return resolved;
+  }
+
+  assignCellIds(notebook) {
+    const usedIds = new Set(notebook.cells.map(cell => cell.id).filter(Boolean));
+    let changed = false;
+    
+    notebook.cells.forEach(cell => {
+      if (!cell.id) {
+        cell.id = generateCellId(usedIds);
+        changed = true;
+      }
+    });
+    
+    return changed;
+  }
+
+  ensureCellIds(notebook) {
+    let changed = false;
+    if (notebook.nbformat === 4 && notebook.nbformat_minor < 5) {
+      notebook.nbformat_minor = 5;
+      changed = true;
+    }
+    
+    return this.assignCellIds(notebook) || changed;
+  }
+
+  resolveCellIndex(notebook, cellRef) {
+    const { cell_index: cellIndex, cell_id: cellId } = typeof cellRef === 'number' ? { cell_index: cellRef } : cellRef;
+    
+    if (cellId !== undefined && cellId !== null) {
+      const index = notebook.cells.findIndex(cell => cell.id === cellId);
+      if (index === -1) {
+        throw new Error(`Cell id '${cellId}' not found`);
+      }
+      if (cellIndex !== undefined && cellIndex !== null && cellIndex !== index) {
+        throw new Error(`Cell id '${cellId}' is at index ${index}, not ${cellIndex}`);
+      }
+      return index;
+    }
+    
+    if (cellIndex === undefined || cellIndex === null) {
+      throw new Error("Either cell_index or cell_id is required");
+    }
+    if (cellIndex >= notebook.cells.length || cellIndex < 0) {
+      throw new Error(`Cell index ${cellIndex} out of bounds`);
+    }
+    return cellIndex;
+  }
+
+  resolveInsertIndex(notebook, insertRef) {
+    const { index, after_cell_id: afterCellId } = typeof insertRef === 'number' ? { index: insertRef } : insertRef;
+    
+    if (afterCellId !== undefined && afterCellId !== null) {
+      return this.resolveCellIndex(notebook, { cell_id: afterCellId }) + 1;
+    }
+    if (index === undefined || index === null) {
+      throw new Error("Either index or after_cell_id is required");
+    }
+    return index + 1;
+  }
+
+  describeCell(notebook, cellIndex) {
+    const id = notebook.cells[cellIndex]?.id;
+    return id ? `cell ${cellIndex} (id: ${id})` : `cell ${cellIndex}`;
+  }
+
+  async loadNotebook(notebookPath, { upgradeLegacy = true } = {}) {
+    const transaction = this.requestContext.getStore()?.transaction;
+    if (transaction?.path === notebookPath) {
+      return cloneNotebook(transaction.notebook);
+    }
+    
+    const content = await this.storage.read(notebookPath);
+    this.checkNotebookSize(notebookPath, content.length);
+    const { notebook, legacyVersion } = this.parseNotebook(notebookPath, content.toString('utf8'), { upgradeLegacy });
+    
+    this.recordRevision(notebookPath, content);
+    const context = this.requestContext.getStore();
+    if (legacyVersion && context) {
+      (context.legacy ??= new Map()).set(notebookPath, legacyVersion);
+    }
+    return notebook;
+  }
+
+  // Parses notebook text from any source (a file, a git revision) the same way, upgrading nbformat 3 in memory
+  parseNotebook(label, text, { upgradeLegacy = true } = {}) {
+    let notebook;
+    try {
+      notebook = parseNotebookJson(text);
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+    
+    if (Number.isInteger(notebook?.nbformat) && notebook.nbformat !== 4 && (notebook.nbformat !== 3 || upgradeLegacy)) {
+      if (notebook.nbformat !== 3) {
+        throw new Error(`${label} is an nbformat ${notebookVersion(notebook)} notebook; only nbformat 3 and 4 notebooks are supported`);
+      }
+      return { notebook: inheritFormat(upgradeForReading(notebook), notebook), legacyVersion: notebookVersion(notebook) };
+    }
+    return { notebook, legacyVersion: null };
+  }
+
+  async writeNotebook(notebookPath, notebook) {
+    const legacyVersion = this.requestContext.getStore()?.legacy?.get(notebookPath);
+    if (legacyVersion) {
+      throw new Error(`${notebookPath} is an nbformat ${legacyVersion} notebook and can only be read; convert it with notebook_convert_version before editing it`);
+    }
+    
+    // New cells (inserted, duplicated, synced) get ids only when the notebook already uses them;
+    // upgrading older notebooks is left to notebook_migrate_cell_ids and notebook_convert_version
+    if (supportsCellIds(notebook)) {
+      this.assignCellIds(notebook);
+    }
+    this.checkCellSizes(notebook);
+    const transaction = this.requestContext.getStore()?.transaction;
+    if (transaction?.path === notebookPath) {
+      transaction.notebook = notebook;
+      return;
+    }
+    
+    const content = this.serializeNotebook(notebook);
+    this.checkNotebookSize(notebookPath, Buffer.byteLength(content));
+    await this.storage.write(notebookPath, content);
+    this.recordRevision(notebookPath, content);
+  }
+
+  serializeNotebook(notebook) {
+    return stringifyNotebook(notebook, this.config.write);
+  }
+
+  checkNotebookSize(notebookPath, size) {
+    const limit = this.config.limits.max_notebook_bytes;
+    if (limit && size > limit) {
+      throw new Error(`${notebookPath} is ${size} bytes, over the limits.max_notebook_bytes limit of ${limit}`);
+    }
+  }
+
+  checkCellSizes(notebook) {
+    const limit = this.config.limits.max_cell_chars;
+    if (!limit) {
+      return;
+    }
+    notebook.cells.forEach((cell, index) => {
+      const length = Array.isArray(cell.source) ? cell.source.join('').length : (cell.source || '').length;
+      if (length > limit) {
+        throw new Error(`Cell ${index} has ${length} characters, over the limits.max_cell_chars limit of ${limit}`);
+      }
+    });
+  }
+
+  recordRevision(notebookPath, content) {
+    const context = this.requestContext.getStore();
+    if (context && context.path === notebookPath) {
+      context.revision = computeRevision(content);
+    }
+  }
+
+  // Applies update to the current notebook under its mutation lock, recording the write for undo and the
+  // audit log; writes made by one call are kept as a single undo step while nothing else edits the file
+  async writeNotebookLocked(notebookPath, update) {
+    const { call } = this.requestContext.getStore();
+    return this.mutations.run(notebookPath, async () => {
+      const before = await this.storage.readText(notebookPath);
+      const notebook = await this.loadNotebook(notebookPath);
+      const value = update(notebook);
+      await this.writeNotebook(notebookPath, notebook);
+      const after = await this.storage.readText(notebookPath);
+      
+      if (!('before' in call.audit)) {
+        call.audit.before = before;
+      }
+      call.audit.after = after;
+      await this.history.record(notebookPath, { tool: call.tool, args: call.args, before, after, group: call });
+      return value;
+    });
+  }
+
+  async checkRevision(notebookPath, expectedRevision) {
+    const currentRevision = await this.storage.revision(notebookPath);
+    if (currentRevision !== expectedRevision) {
+      throw new Error(`Conflict: ${notebookPath} has changed since revision ${expectedRevision} (current revision: ${currentRevision || 'file does not exist'}); re-read the notebook and retry`);
+    }
+  }
+
+  async createNotebook(notebookPath) {
+    const notebook = this.createEmptyNotebook();
+    await this.writeNotebook(notebookPath, notebook);
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Created new notebook at: ${notebookPath}`,
+        },
+      ],
+    };
+  }
+
+  async deleteNotebook(notebookPath) {
+    await this.storage.remove(notebookPath);
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Deleted notebook: ${notebookPath}`,
+        },
+      ],
+    };
+  }
+
+  async renameNotebook(oldPath, newPath) {
+    await this.storage.rename(oldPath, newPath);
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Renamed notebook from ${oldPath} to ${newPath}`,
+        },
+      ],
+    };
+  }
+
+  async readNotebook(notebookPath, options = {}) {
+    const {
+      startIndex = 0,
+      endIndex,
+      view = 'json',
+      includeOutputs = true,
+      includeMetadata = true,
+      maxOutputChars = this.config.limits.max_output_chars,
+      maxChars = this.config.limits.max_read_chars
+    } = options;
+    const notebook = await this.loadNotebook(notebookPath);
+    const total = notebook.cells.length;
+    const start = Math.min(Math.max(0, startIndex), total);
+    const end = Math.min(endIndex ?? total, total);
+    
+    const pieces = [];
+    let size = 0;
+    for (let index = start; index < end; index++) {
+      const piece = view === 'source'
+        ? this.formatCellSource(notebook.cells[index], index, { includeOutputs, includeMetadata, maxOutputChars })
+        : this.formatCellJson(notebook.cells[index], { includeOutputs, includeMetadata, maxOutputChars });
+      const pieceSize = typeof piece === 'string' ? piece.length : JSON.stringify(piece, null, 2).length;
+      
+      if (pieces.length > 0 && size + pieceSize > maxChars) {
+        break;
+      }
+      pieces.push(piece);
+      size += pieceSize;
+    }
+    
+    const shownEnd = start + pieces.length;
+    const hasMore = shownEnd < end;
+    let text;
+    if (view === 'source') {
+      text = pieces.join('\n\n');
+    } else {
+      const page = {};
+      for (const [key, value] of Object.entries(notebook)) {
+        if (key === 'cells') {
+          page.cells = pieces;
+        } else if (key !== 'metadata' || includeMetadata) {
+          page[key] = value;
+        }
+      }
+      text = JSON.stringify(page, null, 2);
+    }
+    
+    const range = pieces.length > 0 ? `cells ${start}-${shownEnd - 1}` : 'no cells';
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text,
+        },
+        {
+          type: "text",
+          text: `Showing ${range} of ${total}; has_more: ${hasMore}${hasMore ? `, next start_index: ${shownEnd}` : ''}`,
+        },
+      ],
+    };
+  }
 
-      try {
-        switch (name) {
-          case "notebook_create":
-            return await this.createNotebook(args.path);
-          case "notebook_delete":
-            return await this.deleteNotebook(args.path);
-          case "notebook_rename":
-            return await this.renameNotebook(args.old_path, args.new_path);
-          case "notebook_read":
-            return await this.readNotebook(args.path);
-          case "notebook_read_cell":
-            return await this.readCell(args.path, args.cell_index);
-          case "notebook_add_cell":
-            return await this.addCell(args.path, args.cell_type, args.source, args.index);
-          case "notebook_edit_cell":
-            return await this.editCell(args.path, args.cell_index, args.new_source);
-          case "notebook_delete_cell":
-            return await this.deleteCell(args.path, args.cell_index);
-          case "notebook_change_cell_type":
-            return await this.changeCellType(args.path, args.cell_index, args.new_type);
-          case "notebook_duplicate_cell":
-            return await this.duplicateCell(args.path, args.cell_index, args.count || 1);
-          case "notebook_get_cell_count":
-            return await this.getCellCount(args.path);
-          case "notebook_read_metadata":
-            return await this.readMetadata(args.path);
-          case "notebook_edit_metadata":
-            return await this.editMetadata(args.path, args.metadata);
-          case "notebook_read_cell_metadata":
-            return await this.readCellMetadata(args.path, args.cell_index);
-          case "notebook_read_cell_output":
-            return await this.readCellOutput(args.path, args.cell_index);
-          case "notebook_edit_cell_metadata":
-            return await this.editCellMetadata(args.path, args.cell_index, args.metadata);
-          case "notebook_clear_cell_outputs":
-            return await this.clearCellOutputs(args.path, args.cell_index);
-          case "notebook_clear_all_outputs":
-            return await this.clearAllOutputs(args.path);
-          case "notebook_move_cell":
-            return await this.moveCell(args.path, args.from_index, args.to_index);
-          case "notebook_split_cell":
-            return await this.splitCell(args.path, args.cell_index, args.line_number);
-          case "notebook_merge_cells":
-            return await this.mergeCells(args.path, args.cell_index);
-          case "notebook_validate":
-            return await this.validateNotebook(args.path);
-          case "notebook_get_info":
-            return await this.getNotebookInfo(args.path);
-          case "notebook_export":
-            return await this.exportNotebook(args.path, args.format, args.output_path);
-          case "notebook_get_outline":
-            return await this.getOutline(args.path);
-          case "notebook_search":
-            return await this.searchNotebook(args.path, args.query, args.case_sensitive);
-          case "notebook_edit_cell_output":
-            return await this.editCellOutput(args.path, args.cell_index, args.outputs);
-          case "notebook_bulk_add_cells":
-            return await this.bulkAddCells(args.path, args.cells, args.index);
-          case "notebook_get_server_path_context":
-            return await this.getServerPathContext(args.path);
-          default:
-            throw new Error(`Unknown tool: ${name}`);
+  formatCellJson(cell, { includeOutputs, includeMetadata, maxOutputChars }) {
+    const formatted = {};
+    
+    for (const [key, value] of Object.entries(cell)) {
+      if (key === 'outputs') {
+        if (includeOutputs) {
+          formatted.outputs = truncateOutputs(value, maxOutputChars);
         }
-      } catch (error) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Error: ${error.message}`,
-            },
-          ],
-          isError: true,
-        };
+      } else if (key !== 'metadata' || includeMetadata) {
+        formatted[key] = value;
+      }
+    }
+    
+    return formatted;
+  }
+
+  formatCellSource(cell, index, { includeOutputs, includeMetadata, maxOutputChars }) {
+    const id = cell.id ? ` [${cell.id}]` : '';
+    const execution = cell.cell_type === 'code' ? ` [${cell.execution_count ?? ' '}]` : '';
+    const lines = [`--- Cell ${index}${id} (${cell.cell_type})${execution} ---`];
+    
+    if (includeMetadata && Object.keys(cell.metadata || {}).length > 0) {
+      lines.push(`metadata: ${JSON.stringify(cell.metadata)}`);
+    }
+    lines.push(Array.isArray(cell.source) ? cell.source.join('') : cell.source);
+    if (includeOutputs && cell.outputs?.length > 0) {
+      lines.push('--- outputs ---', outputsToText(cell.outputs, maxOutputChars));
+    }
+    
+    return lines.join('\n');
+  }
+
+  async readCell(notebookPath, cellRef) {
+    const notebook = await this.loadNotebook(notebookPath);
+    const cellIndex = this.resolveCellIndex(notebook, cellRef);
+    
+    const cell = notebook.cells[cellIndex];
+    const source = Array.isArray(cell.source) ? cell.source.join('') : cell.source;
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: source,
+        },
+      ],
+    };
+  }
+
+  async addCell(notebookPath, cellType, source, insertRef) {
+    const notebook = await this.loadNotebook(notebookPath);
+    const insertAt = this.resolveInsertIndex(notebook, insertRef);
+    
+    const newCell = this.createCell(cellType, source, notebook);
+    notebook.cells.splice(insertAt, 0, newCell);
+    await this.writeNotebook(notebookPath, notebook);
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Added ${cellType} cell at index ${insertAt}${newCell.id ? ` (id: ${newCell.id})` : ''}`,
+        },
+      ],
+    };
+  }
+
+  async editCell(notebookPath, cellRef, newSource) {
+    const notebook = await this.loadNotebook(notebookPath);
+    const cellIndex = this.resolveCellIndex(notebook, cellRef);
+    
+    notebook.cells[cellIndex].source = newSource;
+    await this.writeNotebook(notebookPath, notebook);
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Updated ${this.describeCell(notebook, cellIndex)}`,
+        },
+      ],
+    };
+  }
+
+  async deleteCell(notebookPath, cellRef) {
+    const notebook = await this.loadNotebook(notebookPath);
+    const cellIndex = this.resolveCellIndex(notebook, cellRef);
+    
+    const description = this.describeCell(notebook, cellIndex);
+    notebook.cells.splice(cellIndex, 1);
+    await this.writeNotebook(notebookPath, notebook);
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Deleted ${description}`,
+        },
+      ],
+    };
+  }
+
+  async changeCellType(notebookPath, cellRef, newType) {
+    const notebook = await this.loadNotebook(notebookPath);
+    const cellIndex = this.resolveCellIndex(notebook, cellRef);
+    
+    const cell = notebook.cells[cellIndex];
+    cell.cell_type = newType;
+    
+    if (newType === 'code') {
+      cell.execution_count = null;
+      cell.outputs = [];
+    } else {
+      delete cell.execution_count;
+      delete cell.outputs;
+    }
+    
+    await this.writeNotebook(notebookPath, notebook);
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Changed ${this.describeCell(notebook, cellIndex)} type to ${newType}`,
+        },
+      ],
+    };
+  }
+
+  async duplicateCell(notebookPath, cellRef, count) {
+    const notebook = await this.loadNotebook(notebookPath);
+    const cellIndex = this.resolveCellIndex(notebook, cellRef);
+    
+    const originalCell = JSON.parse(JSON.stringify(notebook.cells[cellIndex]));
+    delete originalCell.id;
+    
+    for (let i = 0; i < count; i++) {
+      const duplicatedCell = JSON.parse(JSON.stringify(originalCell));
+      if (duplicatedCell.cell_type === 'code') {
+        duplicatedCell.execution_count = null;
+        duplicatedCell.outputs = [];
+      }
+      notebook.cells.splice(cellIndex + 1 + i, 0, duplicatedCell);
+    }
+    
+    await this.writeNotebook(notebookPath, notebook);
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Duplicated ${this.describeCell(notebook, cellIndex)} ${count} time(s)${supportsCellIds(notebook) ? `; new cell ids: ${notebook.cells.slice(cellIndex + 1, cellIndex + 1 + count).map(cell => cell.id).join(', ')}` : ''}`,
+        },
+      ],
+    };
+  }
+
+  async getCellCount(notebookPath) {
+    const notebook = await this.loadNotebook(notebookPath);
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: `${notebook.cells.length}`,
+        },
+      ],
+    };
+  }
+
+  async readMetadata(notebookPath) {
+    const notebook = await this.loadNotebook(notebookPath);
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(notebook.metadata, null, 2),
+        },
+      ],
+    };
+  }
+
+  async editMetadata(notebookPath, metadata) {
+    const notebook = await this.loadNotebook(notebookPath);
+    // Assigned in place so the parsed object keeps how its numbers were written (1.0, 1e-05)
+    notebook.metadata = Object.assign(notebook.metadata || {}, metadata);
+    await this.writeNotebook(notebookPath, notebook);
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Updated notebook metadata",
+        },
+      ],
+    };
+  }
+
+  async readCellMetadata(notebookPath, cellRef) {
+    const notebook = await this.loadNotebook(notebookPath);
+    const cellIndex = this.resolveCellIndex(notebook, cellRef);
+    
+    const metadata = notebook.cells[cellIndex].metadata || {};
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(metadata, null, 2),
+        },
+      ],
+    };
+  }
+
+  async readCellOutput(notebookPath, cellRef, mimeTypes, format = 'rich') {
+    const notebook = await this.loadNotebook(notebookPath);
+    const cellIndex = this.resolveCellIndex(notebook, cellRef);
+    
+    const cell = notebook.cells[cellIndex];
+    const outputs = cell.outputs || [];
+    
+    if (format === 'json') {
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(filterOutputs(outputs, mimeTypes), null, 2),
+          },
+        ],
+      };
+    }
+    
+    const blocks = renderOutputs(outputs, { mimeTypes });
+    
+    return {
+      content: blocks.length > 0 ? blocks : [
+        {
+          type: "text",
+          text: `${this.describeCell(notebook, cellIndex)} has no ${outputs.length > 0 ? 'matching ' : ''}outputs`,
+        },
+      ],
+    };
+  }
+
+  async editCellMetadata(notebookPath, cellRef, metadata) {
+    const notebook = await this.loadNotebook(notebookPath);
+    const cellIndex = this.resolveCellIndex(notebook, cellRef);
+    
+    notebook.cells[cellIndex].metadata = Object.assign(notebook.cells[cellIndex].metadata || {}, metadata);
+    await this.writeNotebook(notebookPath, notebook);
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Updated metadata for ${this.describeCell(notebook, cellIndex)}`,
+        },
+      ],
+    };
+  }
+
+  async clearCellOutputs(notebookPath, cellRef) {
+    const notebook = await this.loadNotebook(notebookPath);
+    const cellIndex = this.resolveCellIndex(notebook, cellRef);
+    
+    const cell = notebook.cells[cellIndex];
+    if (cell.cell_type === 'code') {
+      cell.outputs = [];
+      cell.execution_count = null;
+    }
+    
+    await this.writeNotebook(notebookPath, notebook);
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Cleared outputs for ${this.describeCell(notebook, cellIndex)}`,
+        },
+      ],
+    };
+  }
+
+  async clearAllOutputs(notebookPath) {
+    const notebook = await this.loadNotebook(notebookPath);
+    
+    notebook.cells.forEach(cell => {
+      if (cell.cell_type === 'code') {
+        cell.outputs = [];
+        cell.execution_count = null;
       }
     });
+    
+    await this.writeNotebook(notebookPath, notebook);
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: "Cleared all outputs",
+        },
+      ],
+    };
   }
 
-  createEmptyNotebook() {
+  async moveCell(notebookPath, cellRef, toIndex) {
+    const notebook = await this.loadNotebook(notebookPath);
+    const fromIndex = this.resolveCellIndex(notebook, cellRef);
+    
+    if (toIndex >= notebook.cells.length || toIndex < 0) {
+      throw new Error("Cell index out of bounds");
+    }
+    
+    const description = this.describeCell(notebook, fromIndex);
+    const cell = notebook.cells.splice(fromIndex, 1)[0];
+    notebook.cells.splice(toIndex, 0, cell);
+    
+    await this.writeNotebook(notebookPath, notebook);
+    
     return {
-      cells: [],
-      metadata: {
-        kernelspec: {
-          display_name: "Python 3",
-          language: "python",
-          name: "python3"
+      content: [
+        {
+          type: "text",
+          text: `Moved ${description} to index ${toIndex}`,
         },
-        language_info: {
-          name: "python",
-          version: "3.8.0"
-        }
-      },
-      nbformat: 4,
-      nbformat_minor: 4
+      ],
     };
   }
 
-  async createNotebook(notebookPath) {
-    const notebook = this.createEmptyNotebook();
-    await fs.ensureDir(path.dirname(notebookPath));
-    await fs.writeJson(notebookPath, notebook, { spaces: 2 });
+  async splitCell(notebookPath, cellRef, lineNumber) {
+    const notebook = await this.loadNotebook(notebookPath);
+    const cellIndex = this.resolveCellIndex(notebook, cellRef);
+    
+    const cell = notebook.cells[cellIndex];
+    const source = Array.isArray(cell.source) ? cell.source.join('') : cell.source;
+    const lines = source.split('\n');
+    
+    if (lineNumber >= lines.length || lineNumber < 0) {
+      throw new Error(`Line number ${lineNumber} out of bounds`);
+    }
+    
+    const firstPart = lines.slice(0, lineNumber).join('\n');
+    const secondPart = lines.slice(lineNumber).join('\n');
+    
+    cell.source = firstPart;
+    
+    const newCell = this.createCell(cell.cell_type, secondPart, notebook);
+    notebook.cells.splice(cellIndex + 1, 0, newCell);
+    await this.writeNotebook(notebookPath, notebook);
     
     return {
       content: [
         {
           type: "text",
-          text: `Created new notebook at: ${notebookPath}`,
+          text: `Split ${this.describeCell(notebook, cellIndex)} at line ${lineNumber}${newCell.id ? `; new cell id: ${newCell.id}` : ''}`,
         },
       ],
     };
   }
 
-  async deleteNotebook(notebookPath) {
-    await fs.remove(notebookPath);
+  async mergeCells(notebookPath, cellRef) {
+    const notebook = await this.loadNotebook(notebookPath);
+    const cellIndex = this.resolveCellIndex(notebook, cellRef);
+    
+    if (cellIndex >= notebook.cells.length - 1) {
+      throw new Error("Cannot merge: no next cell");
+    }
+    
+    const currentCell = notebook.cells[cellIndex];
+    const nextCell = notebook.cells[cellIndex + 1];
+    
+    const currentSource = Array.isArray(currentCell.source) ? currentCell.source.join('') : currentCell.source;
+    const nextSource = Array.isArray(nextCell.source) ? nextCell.source.join('') : nextCell.source;
+    
+    currentCell.source = currentSource + '\n' + nextSource;
+    const nextDescription = this.describeCell(notebook, cellIndex + 1);
+    notebook.cells.splice(cellIndex + 1, 1);
+    
+    await this.writeNotebook(notebookPath, notebook);
     
     return {
       content: [
         {
           type: "text",
-          text: `Deleted notebook: ${notebookPath}`,
+          text: `Merged ${this.describeCell(notebook, cellIndex)} with ${nextDescription}`,
         },
       ],
     };
   }
 
-  async renameNotebook(oldPath, newPath) {
-    await fs.ensureDir(path.dirname(newPath));
-    await fs.move(oldPath, newPath);
+  async migrateCellIds(notebookPath) {
+    const notebook = await this.loadNotebook(notebookPath);
+    const previousMinor = notebook.nbformat_minor;
+    const missing = notebook.cells.filter(cell => !cell.id).length;
+    const changed = this.ensureCellIds(notebook);
+    
+    if (changed) {
+      await this.writeNotebook(notebookPath, notebook);
+    }
+    
+    const result = {
+      changed,
+      nbformat_minor: { from: previousMinor, to: notebook.nbformat_minor },
+      ids_added: missing,
+      cell_ids: notebook.cells.map(cell => cell.id)
+    };
     
     return {
       content: [
         {
           type: "text",
-          text: `Renamed notebook from ${oldPath} to ${newPath}`,
+          text: JSON.stringify(result, null, 2),
         },
       ],
     };
   }
 
-  async readNotebook(notebookPath) {
-    const notebook = await fs.readJson(notebookPath);
+  async convertNotebookVersion(notebookPath, targetVersion) {
+    if (!TARGET_VERSIONS.includes(targetVersion)) {
+      throw new Error(`Unsupported target_version ${targetVersion} (expected one of ${TARGET_VERSIONS.join(', ')})`);
+    }
+    
+    const original = await this.loadNotebook(notebookPath, { upgradeLegacy: false });
+    const { notebook, from, to, changes } = convertNotebook(original, targetVersion);
+    const changed = from !== to;
+    
+    if (changed) {
+      await this.writeNotebook(notebookPath, inheritFormat(notebook, original));
+    }
     
     return {
       content: [
         {
           type: "text",
-          text: JSON.stringify(notebook, null, 2),
+          text: changed
+            ? JSON.stringify({ path: notebookPath, from, to, cell_count: notebook.cells.length, changes }, null, 2)
+            : `${notebookPath} is already nbformat ${to}; nothing to convert`,
         },
       ],
     };
   }
 
-  async readCell(notebookPath, cellIndex) {
-    const notebook = await fs.readJson(notebookPath);
+  async validateNotebook(notebookPath, repair = false) {
+    let notebook;
+    try {
+      notebook = await this.loadNotebook(notebookPath, { upgradeLegacy: false });
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Validation failed: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
     
-    if (cellIndex >= notebook.cells.length || cellIndex < 0) {
-      throw new Error(`Cell index ${cellIndex} out of bounds`);
+    let repairs = [];
+    if (repair) {
+      repairs = repairNotebook(notebook);
+      if (repairs.length > 0) {
+        await this.writeNotebook(notebookPath, notebook);
+      }
     }
     
-    const cell = notebook.cells[cellIndex];
-    const source = Array.isArray(cell.source) ? cell.source.join('') : cell.source;
+    const { schema_version, issues } = validateStructure(notebook);
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+    const result = {
+      valid: errorCount === 0,
+      schema_version,
+      error_count: errorCount,
+      warning_count: issues.length - errorCount,
+      issues
+    };
+    
+    if (repair) {
+      result.repairs = repairs;
+    }
     
     return {
       content: [
         {
           type: "text",
-          text: source,
+          text: JSON.stringify(result, null, 2),
         },
       ],
+      isError: errorCount > 0,
     };
   }
 
-  async addCell(notebookPath, cellType, source, index) {
-    const notebook = await fs.readJson(notebookPath);
+  async getNotebookInfo(notebookPath) {
+    const notebook = await this.loadNotebook(notebookPath);
     
-    const newCell = {
-      cell_type: cellType,
-      metadata: {},
-      source: source
-    };
+    const info = notebookSummary(notebook);
     
-    if (cellType === 'code') {
-      newCell.execution_count = null;
-      newCell.outputs = [];
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(info, null, 2),
+        },
+      ],
+    };
+  }
+
+  async exportNotebook(notebookPath, format, outputPath, overwrite = false) {
+    const notebook = await this.loadNotebook(notebookPath);
+    const extension = getExportExtension(format);
+
+    if (!extension) {
+      throw new Error(`Unsupported export format: ${format}`);
     }
-    
-    notebook.cells.splice(index + 1, 0, newCell);
-    await fs.writeJson(notebookPath, notebook, { spaces: 2 });
+
+    const targetPath = outputPath || path.join(
+      path.dirname(notebookPath),
+      path.basename(notebookPath, path.extname(notebookPath)) + extension
+    );
+    // The extension check also keeps exports from ever replacing a notebook
+    if (path.extname(targetPath).toLowerCase() !== extension) {
+      throw new Error(`The output path for a ${format} export must end in ${extension}: ${targetPath}`);
+    }
+    const title = path.basename(notebookPath, path.extname(notebookPath));
+    const content = exportNotebookContent(notebook, format, title);
+
+    await this.mutations.run(targetPath, async () => {
+      if (!overwrite && await this.storage.stat(targetPath)) {
+        throw new Error(`File already exists: ${targetPath} (use overwrite to replace it)`);
+      }
+      await this.storage.write(targetPath, content);
+    });
     
     return {
       content: [
         {
           type: "text",
-          text: `Added ${cellType} cell at index ${index + 1}`,
+          text: `Exported notebook to ${format}: ${targetPath}`,
         },
       ],
     };
   }
 
-  async editCell(notebookPath, cellIndex, newSource) {
-    const notebook = await fs.readJson(notebookPath);
+  async diffNotebook(notebookPath, basePath, revision, format = 'text') {
+    if (basePath && revision) {
+      throw new Error('Specify either base_path or revision, not both');
+    }
     
-    if (cellIndex >= notebook.cells.length || cellIndex < 0) {
-      throw new Error(`Cell index ${cellIndex} out of bounds`);
+    let base;
+    let baseLabel;
+    if (basePath) {
+      base = await this.loadNotebook(basePath);
+      baseLabel = basePath;
+    } else {
+      const gitRevision = revision || 'HEAD';
+      const content = await showFileAtRevision(notebookPath, gitRevision);
+      baseLabel = `${notebookPath}@${gitRevision}`;
+      this.checkNotebookSize(baseLabel, Buffer.byteLength(content));
+      base = this.parseNotebook(baseLabel, content).notebook;
     }
     
-    notebook.cells[cellIndex].source = newSource;
-    await fs.writeJson(notebookPath, notebook, { spaces: 2 });
+    const notebook = await this.loadNotebook(notebookPath);
+    const diff = diffNotebooks(base, notebook);
     
     return {
       content: [
         {
           type: "text",
-          text: `Updated cell ${cellIndex}`,
+          text: format === 'json' ? JSON.stringify(diff, null, 2) : formatDiff(diff, baseLabel, notebookPath),
         },
       ],
     };
   }
 
-  async deleteCell(notebookPath, cellIndex) {
-    const notebook = await fs.readJson(notebookPath);
+  async mergeNotebook(notebookPath, basePath, localPath, remotePath, outputPolicy) {
+    const [base, local, remote] = await Promise.all([basePath, localPath, remotePath].map(file => this.loadNotebook(file)));
+    const { notebook, conflicts, unresolved } = mergeNotebooks(base, local, remote, { outputs: outputPolicy });
     
-    if (cellIndex >= notebook.cells.length || cellIndex < 0) {
-      throw new Error(`Cell index ${cellIndex} out of bounds`);
+    await this.writeNotebook(notebookPath, inheritFormat(notebook, local));
+    
+    const result = {
+      path: notebookPath,
+      cell_count: notebook.cells.length,
+      unresolved_conflicts: unresolved,
+      conflict_cells: notebook.cells
+        .map((cell, index) => ({ index, id: cell.id, kind: cell.metadata?.[CONFLICT_KEY]?.kind }))
+        .filter(cell => cell.kind),
+      conflicts
+    };
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+      isError: unresolved > 0,
+    };
+  }
+
+  async resolveConflict(notebookPath, cellRef, resolution, source) {
+    const notebook = await this.loadNotebook(notebookPath);
+    const cellIndex = this.resolveCellIndex(notebook, cellRef);
+    const description = this.describeCell(notebook, cellIndex);
+    const resolved = resolveConflictCell(notebook.cells[cellIndex], resolution, source);
+    
+    if (resolved) {
+      notebook.cells[cellIndex] = resolved;
+    } else {
+      notebook.cells.splice(cellIndex, 1);
     }
+    await this.writeNotebook(notebookPath, notebook);
     
-    notebook.cells.splice(cellIndex, 1);
-    await fs.writeJson(notebookPath, notebook, { spaces: 2 });
+    const remaining = notebook.cells.filter(cell => cell.metadata?.[CONFLICT_KEY]).length;
     
     return {
       content: [
         {
           type: "text",
-          text: `Deleted cell ${cellIndex}`,
+          text: `Resolved conflict in ${description} using ${resolution}${resolved ? '' : ' (cell removed)'}; ${remaining} conflict cell(s) remaining`,
         },
       ],
     };
   }
 
-  async changeCellType(notebookPath, cellIndex, newType) {
-    const notebook = await fs.readJson(notebookPath);
+  async getOutline(notebookPath) {
+    const notebook = await this.loadNotebook(notebookPath);
     
-    if (cellIndex >= notebook.cells.length || cellIndex < 0) {
-      throw new Error(`Cell index ${cellIndex} out of bounds`);
+    return {
+      content: [
+        {
+          type: "text",
+          text: this.formatOutline(notebook),
+        },
+      ],
+    };
+  }
+
+  formatOutline(notebook) {
+    const outline = notebook.cells.map((cell, index) => {
+      const source = Array.isArray(cell.source) ? cell.source.join('') : cell.source;
+      const lines = source.split('\n');
+      const lineCount = lines.length;
+      
+      let title = cell.id ? `Cell ${index} [${cell.id}] (${cell.cell_type})` : `Cell ${index} (${cell.cell_type})`;
+      
+      if (cell.cell_type === 'markdown') {
+        const headerMatch = source.match(/^#+\s+(.+)/m);
+        if (headerMatch) {
+          title += ` - ${headerMatch[1]}`;
+        }
+      } else if (cell.cell_type === 'code') {
+        const defMatch = source.match(/^def\s+(\w+)/m);
+        const classMatch = source.match(/^class\s+(\w+)/m);
+        if (defMatch) {
+          title += ` - def ${defMatch[1]}()`;
+        } else if (classMatch) {
+          title += ` - class ${classMatch[1]}`;
+        }
+      }
+      
+      return `${title} (${lineCount} lines)`;
+    });
+    
+    return outline.join('\n');
+  }
+
+  async getPrompt(prompt, notebookPath, args) {
+    // One load serves the outline and every source, so they agree even for v3 notebooks upgraded on read
+    const notebook = await this.loadNotebook(notebookPath);
+    const outline = this.formatOutline(notebook);
+    const indices = prompt.scope === 'cell'
+      ? [this.resolveCellIndex(notebook, parseCellArgument(args.cell))]
+      : notebook.cells.map((cell, index) => index);
+    const language = notebook.metadata?.language_info?.name || notebook.metadata?.kernelspec?.language || '';
+    
+    const sources = [];
+    let remaining = MAX_PROMPT_SOURCE_CHARS;
+    for (const index of indices) {
+      const cell = notebook.cells[index];
+      const source = Array.isArray(cell.source) ? cell.source.join('') : cell.source;
+      if (source.length > remaining) {
+        sources.push(`(${indices.length - sources.length} more cell(s) omitted; read them with notebook_read_cell)`);
+        break;
+      }
+      const id = cell.id ? ` [${cell.id}]` : '';
+      const fence = cell.cell_type === 'code' ? `\`\`\`${language}` : '```';
+      sources.push(`Cell ${index}${id} (${cell.cell_type}):\n${fence}\n${source}\n\`\`\``);
+      remaining -= source.length;
     }
     
-    const cell = notebook.cells[cellIndex];
-    cell.cell_type = newType;
+    const text = [
+      prompt.instructions(args),
+      `Notebook: ${notebookPath}`,
+      `Outline:\n${outline}`,
+      `${prompt.scope === 'cell' ? 'Cell source' : 'Cell sources'}:\n\n${sources.join('\n\n')}`,
+    ].join('\n\n');
     
-    if (newType === 'code') {
-      cell.execution_count = null;
-      cell.outputs = [];
-    } else {
-      delete cell.execution_count;
-      delete cell.outputs;
+    return {
+      description: `${prompt.description}: ${path.basename(notebookPath)}`,
+      messages: [
+        {
+          role: "user",
+          content: {
+            type: "text",
+            text,
+          },
+        },
+      ],
+    };
+  }
+
+  async searchNotebook(notebookPath, query, options = {}) {
+    const notebook = await this.loadNotebook(notebookPath);
+    const pattern = buildPattern(query, options);
+    const { results, truncated } = searchCells(notebook.cells, pattern, options);
+    
+    const content = [
+      {
+        type: "text",
+        text: JSON.stringify(results, null, 2),
+      },
+    ];
+    if (truncated) {
+      content.push({
+        type: "text",
+        text: "Results truncated; narrow the query or filters to see all matches",
+      });
+    }
+    
+    return { content };
+  }
+
+  async replaceInNotebook(notebookPath, query, replacement, options = {}, confirm = false) {
+    if (typeof replacement !== 'string') {
+      throw new Error('replacement must be a string');
+    }
+    
+    const notebook = await this.loadNotebook(notebookPath);
+    const pattern = buildPattern(query, options);
+    const changes = replaceInCells(notebook.cells, pattern, replacement, options);
+    const total = changes.reduce((sum, change) => sum + change.replacements + (change.output_replacements || 0), 0);
+    
+    if (changes.length === 0) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: "No matches found; nothing to replace",
+          },
+        ],
+      };
     }
     
-    await fs.writeJson(notebookPath, notebook, { spaces: 2 });
+    if (confirm) {
+      await this.writeNotebook(notebookPath, notebook);
+    }
+    
+    const header = confirm
+      ? `Replaced ${total} occurrence(s) in ${changes.length} cell(s)`
+      : `Preview: ${total} occurrence(s) in ${changes.length} cell(s) would be replaced (pass confirm: true to write)`;
     
     return {
       content: [
         {
           type: "text",
-          text: `Changed cell ${cellIndex} type to ${newType}`,
+          text: `${header}\n\n${formatReplacePreview(changes)}`,
         },
       ],
     };
   }
 
-  async duplicateCell(notebookPath, cellIndex, count) {
-    const notebook = await fs.readJson(notebookPath);
+  async editCellOutput(notebookPath, cellRef, outputs) {
+    const notebook = await this.loadNotebook(notebookPath);
+    const cellIndex = this.resolveCellIndex(notebook, cellRef);
     
-    if (cellIndex >= notebook.cells.length || cellIndex < 0) {
-      throw new Error(`Cell index ${cellIndex} out of bounds`);
+    const cell = notebook.cells[cellIndex];
+    if (cell.cell_type !== 'code') {
+      throw new Error(`Cell ${cellIndex} is not a code cell`);
     }
     
-    const originalCell = JSON.parse(JSON.stringify(notebook.cells[cellIndex]));
+    cell.outputs = outputs;
+    await this.writeNotebook(notebookPath, notebook);
     
-    for (let i = 0; i < count; i++) {
-      const duplicatedCell = JSON.parse(JSON.stringify(originalCell));
-      if (duplicatedCell.cell_type === 'code') {
-        duplicatedCell.execution_count = null;
-        duplicatedCell.outputs = [];
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Updated outputs for ${this.describeCell(notebook, cellIndex)}`,
+        },
+      ],
+    };
+  }
+
+  async bulkAddCells(notebookPath, cells, insertRef) {
+    const notebook = await this.loadNotebook(notebookPath);
+    const insertAt = this.resolveInsertIndex(notebook, insertRef);
+    
+    const newCells = cells.map(cellData => this.createCell(cellData.cell_type, cellData.source, notebook));
+    
+    notebook.cells.splice(insertAt, 0, ...newCells);
+    await this.writeNotebook(notebookPath, notebook);
+    
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Added ${cells.length} cells at index ${insertAt}${supportsCellIds(notebook) ? `; cell ids: ${newCells.map(cell => cell.id).join(', ')}` : ''}`,
+        },
+      ],
+    };
+  }
+
+  async applyOperations(notebookPath, operations, dryRun = false) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw new Error('operations must be a non-empty array');
+    }
+    
+    const transaction = { path: notebookPath, notebook: await this.loadNotebook(notebookPath) };
+    const inTransaction = (task) => this.requestContext.run({ path: null, revision: null, transaction }, task);
+    const results = [];
+    let failed = false;
+    
+    for (const [index, operation] of operations.entries()) {
+      const { op, path: _path, ...operationArgs } = operation || {};
+      if (failed) {
+        results.push({ index, op, status: 'skipped' });
+        continue;
       }
-      notebook.cells.splice(cellIndex + 1 + i, 0, duplicatedCell);
+      
+      try {
+        if (!BATCH_OPERATIONS.includes(op)) {
+          throw new Error(`Unsupported operation: ${op} (expected one of ${BATCH_OPERATIONS.join(', ')})`);
+        }
+        const result = await inTransaction(() => this.dispatchTool(`notebook_${op}`, { ...operationArgs, path: notebookPath }));
+        results.push({ index, op, status: 'ok', message: result.content[0].text });
+      } catch (error) {
+        if (error instanceof PermissionDeniedError) {
+          throw error;
+        }
+        failed = true;
+        results.push({ index, op, status: 'error', error: error.message });
+      }
+    }
+    
+    // A batch that leaves the notebook invalid is rejected whole, like one whose operation failed
+    const validationErrors = failed ? [] : validateStructure(transaction.notebook).issues.filter(issue => issue.severity === 'error');
+    if (validationErrors.length > 0) {
+      failed = true;
     }
     
-    await fs.writeJson(notebookPath, notebook, { spaces: 2 });
+    const summary = {
+      applied: !failed && !dryRun,
+      dry_run: dryRun,
+      operations: results,
+      ...(validationErrors.length > 0 ? { validation_errors: validationErrors } : {})
+    };
+    
+    if (!failed) {
+      if (dryRun) {
+        const outline = await inTransaction(() => this.getOutline(notebookPath));
+        summary.outline = outline.content[0].text.split('\n');
+      } else {
+        await this.writeNotebook(notebookPath, transaction.notebook);
+      }
+    }
     
     return {
       content: [
         {
           type: "text",
-          text: `Duplicated cell ${cellIndex} ${count} time(s)`,
+          text: JSON.stringify(summary, null, 2),
         },
       ],
+      isError: failed,
     };
   }
 
-  async getCellCount(notebookPath) {
-    const notebook = await fs.readJson(notebookPath);
+  async importScript(scriptPath, notebookPath, format, overwrite) {
+    const targetPath = notebookPath || scriptNotebookPath(scriptPath);
+    
+    if (!overwrite && await this.storage.stat(targetPath)) {
+      throw new Error(`Notebook already exists: ${targetPath} (use overwrite or notebook_sync_script)`);
+    }
+    
+    const script = (await this.storage.read(scriptPath)).toString('utf8');
+    const parsed = parseScript(script, format);
+    const notebook = this.createEmptyNotebook();
+    
+    notebook.cells = parsed.cells.map(cellData => {
+      const cell = this.createCell(cellData.cell_type, cellData.source, notebook);
+      cell.metadata = { ...cellData.metadata };
+      return cell;
+    });
+    
+    await this.writeNotebook(targetPath, notebook);
     
     return {
       content: [
         {
           type: "text",
-          text: `${notebook.cells.length}`,
+          text: `Imported ${notebook.cells.length} cells from ${parsed.format}-format script ${scriptPath} into ${targetPath}`,
         },
       ],
     };
   }
 
-  async readMetadata(notebookPath) {
-    const notebook = await fs.readJson(notebookPath);
+  async syncScript(notebookPath, scriptPath, format) {
+    const sourcePath = scriptPath || path.join(
+      path.dirname(notebookPath),
+      path.basename(notebookPath, path.extname(notebookPath)) + '.py'
+    );
+    
+    const notebook = await this.loadNotebook(notebookPath);
+    const script = (await this.storage.read(sourcePath)).toString('utf8');
+    const parsed = parseScript(script, format);
+    const { cells, stats } = syncCells(notebook.cells, parsed.cells, (cellType, source) => this.createCell(cellType, source, notebook));
+    
+    notebook.cells = cells;
+    await this.writeNotebook(notebookPath, notebook);
     
     return {
       content: [
         {
           type: "text",
-          text: JSON.stringify(notebook.metadata, null, 2),
+          text: JSON.stringify({ script_path: sourcePath, format: parsed.format, ...stats }, null, 2),
         },
       ],
     };
   }
 
-  async editMetadata(notebookPath, metadata) {
-    const notebook = await fs.readJson(notebookPath);
-    notebook.metadata = { ...notebook.metadata, ...metadata };
-    await fs.writeJson(notebookPath, notebook, { spaces: 2 });
+  getKernel(notebookPath) {
+    const kernel = this.kernels.get(path.resolve(notebookPath));
+    if (!kernel) {
+      throw new Error(`No kernel running for ${notebookPath}`);
+    }
+    return kernel;
+  }
+
+  async ensureKernel(notebookPath, kernelName) {
+    const key = path.resolve(notebookPath);
+    const existing = this.kernels.get(key);
+    if (existing) {
+      return existing;
+    }
+    
+    const notebook = await this.loadNotebook(notebookPath);
+    const name = kernelName || notebook.metadata?.kernelspec?.name || this.config.kernelspec.name;
+    const kernel = new KernelSession(name, path.dirname(key));
+    
+    await kernel.start();
+    this.kernels.set(key, kernel);
+    return kernel;
+  }
+
+  async startKernel(notebookPath, kernelName) {
+    // Shares the execution queue so a concurrent execute_cell cannot start a second kernel for the notebook
+    const { alreadyRunning, kernel } = await this.executions.run(path.resolve(notebookPath), async () => ({
+      alreadyRunning: this.kernels.has(path.resolve(notebookPath)),
+      kernel: await this.ensureKernel(notebookPath, kernelName)
+    }));
     
     return {
       content: [
         {
           type: "text",
-          text: "Updated notebook metadata",
+          text: JSON.stringify({ already_running: alreadyRunning, ...kernel.describe() }, null, 2),
         },
       ],
     };
   }
 
-  async readCellMetadata(notebookPath, cellIndex) {
-    const notebook = await fs.readJson(notebookPath);
+  async executeCell(notebookPath, cellRef, timeout) {
+    const notebook = await this.loadNotebook(notebookPath);
+    const cellIndex = this.resolveCellIndex(notebook, cellRef);
     
-    if (cellIndex >= notebook.cells.length || cellIndex < 0) {
-      throw new Error(`Cell index ${cellIndex} out of bounds`);
+    const cell = notebook.cells[cellIndex];
+    if (cell.cell_type !== 'code') {
+      throw new Error(`Cell ${cellIndex} is not a code cell`);
     }
     
-    const metadata = notebook.cells[cellIndex].metadata || {};
+    const source = Array.isArray(cell.source) ? cell.source.join('') : cell.source;
+    // Runs on the same kernel queue up here, without holding the notebook's lock
+    const result = await this.executions.run(path.resolve(notebookPath), async () => {
+      const kernel = await this.ensureKernel(notebookPath);
+      return kernel.execute(source, timeout * 1000);
+    });
+    
+    const target = await this.writeNotebookLocked(notebookPath, latest => {
+      const executed = this.saveExecution(latest, cell, cellIndex, result);
+      if (!executed) {
+        throw new Error(`Cell ${cellIndex} changed while it was executing; outputs were not saved`);
+      }
+      return { index: latest.cells.indexOf(executed), id: executed.id, execution_count: executed.execution_count };
+    });
+    
+    const summary = {
+      cell_index: target.index,
+      cell_id: target.id,
+      status: result.status,
+      execution_count: target.execution_count,
+      output_count: result.outputs.length
+    };
     
     return {
       content: [
         {
           type: "text",
-          text: JSON.stringify(metadata, null, 2),
+          text: JSON.stringify(summary, null, 2),
         },
+        ...renderOutputs(result.outputs),
       ],
+      isError: result.status !== 'ok',
     };
   }
 
-  async readCellOutput(notebookPath, cellIndex) {
-    const notebook = await fs.readJson(notebookPath);
+  // Stores execution results on the cell that ran, found again by id (or by index in notebooks without ids)
+  // because the notebook may have been edited while the kernel was busy
+  saveExecution(notebook, cell, cellIndex, result) {
+    const target = cell.id ? notebook.cells.find(candidate => candidate.id === cell.id) : notebook.cells[cellIndex];
+    if (!target || target.cell_type !== 'code') {
+      return null;
+    }
     
-    if (cellIndex >= notebook.cells.length || cellIndex < 0) {
-      throw new Error(`Cell index ${cellIndex} out of bounds`);
+    target.outputs = result.outputs;
+    target.execution_count = result.execution_count ?? null;
+    return target;
+  }
+
+  async runAll(notebookPath, { allowErrors, timeout, skipTags, kernelName }) {
+    const startedAt = Date.now();
+    const notebook = await this.loadNotebook(notebookPath);
+    const name = kernelName || notebook.metadata?.kernelspec?.name || this.config.kernelspec.name;
+    const kernel = new KernelSession(name, path.dirname(path.resolve(notebookPath)));
+    const summary = {
+      path: notebookPath,
+      kernel_name: name,
+      status: 'completed',
+      executed: 0,
+      skipped: [],
+      failed: [],
+      unsaved: []
+    };
+    
+    const { progress } = this.requestContext.getStore().call;
+    const codeCells = notebook.cells.filter(cell => cell.cell_type === 'code').length;
+    let done = 0;
+    
+    await kernel.start();
+    await progress?.(0, codeCells, `Started kernel ${name}`);
+    
+    try {
+      for (let index = 0; index < notebook.cells.length; index++) {
+        const cell = notebook.cells[index];
+        if (cell.cell_type !== 'code') {
+          continue;
+        }
+        
+        const tags = cell.metadata?.tags || [];
+        if (tags.some(tag => skipTags.includes(tag))) {
+          summary.skipped.push(index);
+          await progress?.(++done, codeCells, `Skipped cell ${index}`);
+          continue;
+        }
+        
+        const source = Array.isArray(cell.source) ? cell.source.join('') : cell.source;
+        const result = await kernel.execute(source, timeout * 1000);
+        
+        const saved = await this.writeNotebookLocked(notebookPath, latest => this.saveExecution(latest, cell, index, result) !== null);
+        if (!saved) {
+          summary.unsaved.push(index);
+        }
+        summary.executed++;
+        await progress?.(++done, codeCells, `Ran cell ${index}: ${result.status}`);
+        
+        if (result.status === 'ok' || tags.includes('raises-exception')) {
+          continue;
+        }
+        
+        const error = result.outputs.find(output => output.output_type === 'error');
+        const timedOut = result.status === 'timeout';
+        summary.failed.push({
+          cell_index: index,
+          status: result.status,
+          ename: timedOut ? 'CellTimeoutError' : (error?.ename || 'Error'),
+          evalue: timedOut ? `Cell execution timed out after ${timeout}s` : (error?.evalue || ''),
+          traceback: stripAnsi((error?.traceback || []).join('\n'))
+        });
+        
+        if (!allowErrors) {
+          summary.status = 'stopped';
+          summary.stopped_at = index;
+          break;
+        }
+      }
+    } finally {
+      await kernel.shutdown();
     }
     
-    const cell = notebook.cells[cellIndex];
-    const outputs = cell.outputs || [];
+    summary.duration_seconds = (Date.now() - startedAt) / 1000;
     
     return {
       content: [
         {
           type: "text",
-          text: JSON.stringify(outputs, null, 2),
+          text: JSON.stringify(summary, null, 2),
         },
       ],
+      isError: summary.status === 'stopped',
     };
   }
 
-  async editCellMetadata(notebookPath, cellIndex, metadata) {
-    const notebook = await fs.readJson(notebookPath);
-    
-    if (cellIndex >= notebook.cells.length || cellIndex < 0) {
-      throw new Error(`Cell index ${cellIndex} out of bounds`);
-    }
-    
-    notebook.cells[cellIndex].metadata = { ...notebook.cells[cellIndex].metadata, ...metadata };
-    await fs.writeJson(notebookPath, notebook, { spaces: 2 });
+  async interruptKernel(notebookPath) {
+    await this.getKernel(notebookPath).interrupt();
     
     return {
       content: [
         {
           type: "text",
-          text: `Updated metadata for cell ${cellIndex}`,
+          text: `Interrupted kernel for ${notebookPath}`,
         },
       ],
     };
   }
 
-  async clearCellOutputs(notebookPath, cellIndex) {
-    const notebook = await fs.readJson(notebookPath);
-    
-    if (cellIndex >= notebook.cells.length || cellIndex < 0) {
-      throw new Error(`Cell index ${cellIndex} out of bounds`);
-    }
-    
-    const cell = notebook.cells[cellIndex];
-    if (cell.cell_type === 'code') {
-      cell.outputs = [];
-      cell.execution_count = null;
-    }
-    
-    await fs.writeJson(notebookPath, notebook, { spaces: 2 });
+  async restartKernel(notebookPath) {
+    const kernel = this.getKernel(notebookPath);
+    await kernel.restart();
     
     return {
       content: [
         {
           type: "text",
-          text: `Cleared outputs for cell ${cellIndex}`,
+          text: JSON.stringify(kernel.describe(), null, 2),
         },
       ],
     };
   }
 
-  async clearAllOutputs(notebookPath) {
-    const notebook = await fs.readJson(notebookPath);
-    
-    notebook.cells.forEach(cell => {
-      if (cell.cell_type === 'code') {
-        cell.outputs = [];
-        cell.execution_count = null;
-      }
-    });
-    
-    await fs.writeJson(notebookPath, notebook, { spaces: 2 });
+  async shutdownKernel(notebookPath) {
+    const kernel = this.getKernel(notebookPath);
+    this.kernels.delete(path.resolve(notebookPath));
+    await kernel.shutdown();
     
     return {
       content: [
         {
           type: "text",
-          text: "Cleared all outputs",
+          text: `Shut down kernel for ${notebookPath}`,
         },
       ],
     };
   }
 
-  async moveCell(notebookPath, fromIndex, toIndex) {
-    const notebook = await fs.readJson(notebookPath);
-    
-    if (fromIndex >= notebook.cells.length || fromIndex < 0 || toIndex >= notebook.cells.length || toIndex < 0) {
-      throw new Error("Cell index out of bounds");
+  async shutdownAllKernels() {
+    const kernels = [...this.kernels.values()];
+    this.kernels.clear();
+    await Promise.all(kernels.map(kernel => kernel.shutdown().catch(() => {})));
+  }
+
+  async undoNotebook(notebookPath, steps) {
+    const { entries, content, path: destination } = await this.history.undo(notebookPath, steps);
+    if (content !== null) {
+      this.recordRevision(destination, content);
     }
     
-    const cell = notebook.cells.splice(fromIndex, 1)[0];
-    notebook.cells.splice(toIndex, 0, cell);
-    
-    await fs.writeJson(notebookPath, notebook, { spaces: 2 });
-    
     return {
       content: [
         {
           type: "text",
-          text: `Moved cell from index ${fromIndex} to ${toIndex}`,
+          text: `Undid ${entries.length} operation(s) on ${notebookPath}: ${entries.map(entry => entry.tool).join(', ')}${content === null ? ' (notebook removed)' : destination !== notebookPath ? ` (notebook moved to ${destination})` : ''}`,
         },
       ],
     };
   }
 
-  async splitCell(notebookPath, cellIndex, lineNumber) {
-    const notebook = await fs.readJson(notebookPath);
-    
-    if (cellIndex >= notebook.cells.length || cellIndex < 0) {
-      throw new Error(`Cell index ${cellIndex} out of bounds`);
-    }
-    
-    const cell = notebook.cells[cellIndex];
-    const source = Array.isArray(cell.source) ? cell.source.join('') : cell.source;
-    const lines = source.split('\n');
-    
-    if (lineNumber >= lines.length || lineNumber < 0) {
-      throw new Error(`Line number ${lineNumber} out of bounds`);
-    }
-    
-    const firstPart = lines.slice(0, lineNumber).join('\n');
-    const secondPart = lines.slice(lineNumber).join('\n');
-    
-    cell.source = firstPart;
-    
-    const newCell = {
-      cell_type: cell.cell_type,
-      metadata: {},
-      source: secondPart
-    };
-    
-    if (cell.cell_type === 'code') {
-      newCell.execution_count = null;
-      newCell.outputs = [];
+  async redoNotebook(notebookPath, steps) {
+    const { entries, content, path: destination } = await this.history.redo(notebookPath, steps);
+    if (content !== null) {
+      this.recordRevision(destination, content);
     }
     
-    notebook.cells.splice(cellIndex + 1, 0, newCell);
-    await fs.writeJson(notebookPath, notebook, { spaces: 2 });
-    
     return {
       content: [
         {
           type: "text",
-          text: `Split cell ${cellIndex} at line ${lineNumber}`,
+          text: `Redid ${entries.length} operation(s) on ${notebookPath}: ${entries.map(entry => entry.tool).join(', ')}${content === null ? ' (notebook removed)' : destination !== notebookPath ? ` (notebook moved to ${destination})` : ''}`,
         },
       ],
     };
   }
 
-  async mergeCells(notebookPath, cellIndex) {
-    const notebook = await fs.readJson(notebookPath);
-    
-    if (cellIndex >= notebook.cells.length - 1 || cellIndex < 0) {
-      throw new Error("Cannot merge: cell index out of bounds or no next cell");
-    }
-    
-    const currentCell = notebook.cells[cellIndex];
-    const nextCell = notebook.cells[cellIndex + 1];
-    
-    const currentSource = Array.isArray(currentCell.source) ? currentCell.source.join('') : currentCell.source;
-    const nextSource = Array.isArray(nextCell.source) ? nextCell.source.join('') : nextCell.source;
-    
-    currentCell.source = currentSource + '\n' + nextSource;
-    notebook.cells.splice(cellIndex + 1, 1);
-    
-    await fs.writeJson(notebookPath, notebook, { spaces: 2 });
+  async getHistory(notebookPath, limit) {
+    const history = await this.history.list(notebookPath, limit);
     
     return {
       content: [
         {
           type: "text",
-          text: `Merged cell ${cellIndex} with cell ${cellIndex + 1}`,
+          text: JSON.stringify(history, null, 2),
         },
       ],
     };
   }
 
-  async validateNotebook(notebookPath) {
-    try {
-      const notebook = await fs.readJson(notebookPath);
-      
-      const requiredFields = ['cells', 'metadata', 'nbformat', 'nbformat_minor'];
-      const missingFields = requiredFields.filter(field => !(field in notebook));
-      
-      if (missingFields.length > 0) {
-        throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
-      }
-      
-      if (!Array.isArray(notebook.cells)) {
-        throw new Error("'cells' must be an array");
-      }
-      
-      for (let i = 0; i < notebook.cells.length; i++) {
-        const cell = notebook.cells[i];
-        if (!cell.cell_type || !['code', 'markdown', 'raw'].includes(cell.cell_type)) {
-          throw new Error(`Invalid cell_type at index ${i}: ${cell.cell_type}`);
-        }
-        if (!('source' in cell)) {
-          throw new Error(`Missing 'source' in cell at index ${i}`);
-        }
-      }
-      
-      return {
-        content: [
-          {
-            type: "text",
-            text: "Notebook validation passed",
-          },
-        ],
-      };
-    } catch (error) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Validation failed: ${error.message}`,
-          },
-        ],
-        isError: true,
-      };
-    }
-  }
-
-  async getNotebookInfo(notebookPath) {
-    const notebook = await fs.readJson(notebookPath);
+  async createCheckpoint(notebookPath) {
+    const checkpoint = await this.storage.createCheckpoint(notebookPath);
     
-    const info = {
-      cell_count: notebook.cells.length,
-      code_cells: notebook.cells.filter(cell => cell.cell_type === 'code').length,
-      markdown_cells: notebook.cells.filter(cell => cell.cell_type === 'markdown').length,
-      raw_cells: notebook.cells.filter(cell => cell.cell_type === 'raw').length,
-      nbformat: notebook.nbformat,
-      nbformat_minor: notebook.nbformat_minor,
-      kernel: notebook.metadata.kernelspec?.name || 'unknown',
-      language: notebook.metadata.language_info?.name || 'unknown'
+    return {
+      content: [
+        {
+          type: "text",
+          text: `Created checkpoint ${checkpoint.id} of ${notebookPath} at ${checkpoint.last_modified}`,
+        },
+      ],
     };
+  }
+
+  async listCheckpoints(notebookPath) {
+    const checkpoints = await this.storage.listCheckpoints(notebookPath);
     
     return {
       content: [
         {
           type: "text",
-          text: JSON.stringify(info, null, 2),
+          text: JSON.stringify(checkpoints, null, 2),
         },
       ],
     };
   }
 
-  async exportNotebook(notebookPath, format, outputPath) {
+  async restoreCheckpoint(notebookPath, checkpointId) {
+    await this.storage.restoreCheckpoint(notebookPath, checkpointId);
+    await this.loadNotebook(notebookPath);
+    
     return {
       content: [
         {
           type: "text",
-          text: `Export functionality requires nbconvert. This is a basic implementation that would need nbconvert integration for formats: ${format}`,
+          text: `Restored ${notebookPath} to checkpoint ${checkpointId}`,
         },
       ],
     };
   }
 
-  async getOutline(notebookPath) {
-    const notebook = await fs.readJson(notebookPath);
+  async collectNotebooks(root, ignore) {
+    const roots = root ? [root] : this.allowedRoots;
+    const notebooks = [];
+    let truncated = false;
+    
+    for (const directory of roots) {
+      const found = await this.storage.listNotebooks(directory, { ignore: ignore || DEFAULT_IGNORE, roots: this.allowedRoots });
+      notebooks.push(...found.notebooks);
+      truncated = truncated || found.truncated;
+    }
     
-    const outline = notebook.cells.map((cell, index) => {
-      const source = Array.isArray(cell.source) ? cell.source.join('') : cell.source;
-      const lines = source.split('\n');
-      const lineCount = lines.length;
-      
-      let title = `Cell ${index} (${cell.cell_type})`;
-      
-      if (cell.cell_type === 'markdown') {
-        const headerMatch = source.match(/^#+\s+(.+)/m);
-        if (headerMatch) {
-          title += ` - ${headerMatch[1]}`;
-        }
-      } else if (cell.cell_type === 'code') {
-        const defMatch = source.match(/^def\s+(\w+)/m);
-        const classMatch = source.match(/^class\s+(\w+)/m);
-        if (defMatch) {
-          title += ` - def ${defMatch[1]}()`;
-        } else if (classMatch) {
-          title += ` - class ${classMatch[1]}`;
-        }
+    return { notebooks, truncated };
+  }
+
+  async listNotebooks(root, ignore, sortBy = 'path', offset = 0, limit = 50) {
+    const { notebooks, truncated } = await this.collectNotebooks(root, ignore);
+    const entries = [];
+    
+    for (const notebookPath of notebooks) {
+      const stats = await this.storage.stat(notebookPath);
+      const entry = {
+        path: notebookPath,
+        size: stats?.size,
+        modified: stats?.modified
+      };
+      try {
+        Object.assign(entry, notebookSummary(await this.loadNotebook(notebookPath)));
+      } catch (error) {
+        entry.error = error.message;
       }
-      
-      return `${title} (${lineCount} lines)`;
-    });
+      entries.push(entry);
+    }
+    
+    if (sortBy === 'modified') {
+      entries.sort((a, b) => (b.modified || '').localeCompare(a.modified || ''));
+    } else if (sortBy === 'cell_count') {
+      entries.sort((a, b) => (b.cell_count ?? -1) - (a.cell_count ?? -1));
+    }
+    
+    const { page, ...pagination } = paginate(entries, offset, limit);
     
     return {
       content: [
         {
           type: "text",
-          text: outline.join('\n'),
+          text: JSON.stringify({ ...pagination, truncated, notebooks: page }, null, 2),
         },
       ],
     };
   }
 
-  async searchNotebook(notebookPath, query, caseSensitive = false) {
-    const notebook = await fs.readJson(notebookPath);
-    const results = [];
-    
-    notebook.cells.forEach((cell, index) => {
-      const source = Array.isArray(cell.source) ? cell.source.join('') : cell.source;
-      const searchText = caseSensitive ? source : source.toLowerCase();
-      const searchQuery = caseSensitive ? query : query.toLowerCase();
+  async searchWorkspace(query, root, ignore, options = {}, offset = 0, limit = 50) {
+    const pattern = buildPattern(query, options);
+    const { notebooks, truncated } = await this.collectNotebooks(root, ignore);
+    const hits = [];
+    const errors = [];
+    
+    for (const notebookPath of notebooks) {
+      let notebook;
+      try {
+        notebook = await this.loadNotebook(notebookPath);
+      } catch (error) {
+        errors.push({ path: notebookPath, error: error.message });
+        continue;
+      }
       
-      if (searchText.includes(searchQuery)) {
-        const lines = source.split('\n');
-        const matchingLines = lines
-          .map((line, lineIndex) => ({ line, lineIndex }))
-          .filter(({ line }) => (caseSensitive ? line : line.toLowerCase()).includes(searchQuery));
-        
-        results.push({
-          cell_index: index,
-          cell_type: cell.cell_type,
-          matches: matchingLines.map(({ line, lineIndex }) => ({
-            line_number: lineIndex + 1,
-            content: line.trim()
-          }))
+      for (const result of searchCells(notebook.cells || [], pattern, options).results) {
+        hits.push({
+          path: notebookPath,
+          ...result,
+          match_count: result.matches.length + (result.output_matches?.length || 0)
         });
       }
-    });
+    }
+    
+    hits.sort((a, b) => b.match_count - a.match_count || a.path.localeCompare(b.path) || a.cell_index - b.cell_index);
+    
+    const { page, ...pagination } = paginate(hits, offset, limit);
+    const result = {
+      ...pagination,
+      notebooks_searched: notebooks.length,
+      truncated,
+      results: page
+    };
+    if (errors.length > 0) {
+      result.errors = errors;
+    }
     
     return {
       content: [
         {
           type: "text",
-          text: JSON.stringify(results, null, 2),
+          text: JSON.stringify(result, null, 2),
         },
       ],
     };
   }
 
-  async editCellOutput(notebookPath, cellIndex, outputs) {
-    const notebook = await fs.readJson(notebookPath);
-    
-    if (cellIndex >= notebook.cells.length || cellIndex < 0) {
-      throw new Error(`Cell index ${cellIndex} out of bounds`);
-    }
-    
-    const cell = notebook.cells[cellIndex];
-    if (cell.cell_type !== 'code') {
-      throw new Error(`Cell ${cellIndex} is not a code cell`);
+  async queryAuditLog({ path: notebookPath, since, until, tool, status, offset, limit }) {
+    if (!this.auditLog) {
+      throw new Error('Audit logging is disabled; set audit.file (--audit-log) to enable it');
     }
     
-    cell.outputs = outputs;
-    await fs.writeJson(notebookPath, notebook, { spaces: 2 });
+    const entries = await this.auditLog.query({ notebook: notebookPath, since, until, tool, status });
+    const { page, ...pagination } = paginate(entries, offset ?? 0, limit ?? 50);
     
     return {
       content: [
         {
           type: "text",
-          text: `Updated outputs for cell ${cellIndex}`,
+          text: JSON.stringify({ ...pagination, entries: page }, null, 2),
         },
       ],
     };
   }
 
-  async bulkAddCells(notebookPath, cells, index) {
-    const notebook = await fs.readJson(notebookPath);
-    
-    const newCells = cells.map(cellData => {
-      const cell = {
-        cell_type: cellData.cell_type,
-        metadata: {},
-        source: cellData.source
-      };
-      
-      if (cellData.cell_type === 'code') {
-        cell.execution_count = null;
-        cell.outputs = [];
-      }
-      
-      return cell;
-    });
-    
-    notebook.cells.splice(index + 1, 0, ...newCells);
-    await fs.writeJson(notebookPath, notebook, { spaces: 2 });
+  getServerConfig() {
+    const sources = Object.fromEntries(CONFIG_OPTIONS.map(option => [option.key, this.configSources[option.key] || 'default']));
     
     return {
       content: [
         {
           type: "text",
-          text: `Added ${cells.length} cells at index ${index + 1}`,
+          text: JSON.stringify({
+            config_file: this.configFile,
+            config: redactConfig(this.config),
+            effective: {
+              allowed_roots: this.allowedRoots,
+              storage: this.storage.name,
+              enabled_tools: this.config.tools.enabled.length ? this.config.tools.enabled.filter(name => this.isToolEnabled(name)) : 'all',
+              read_only: this.config.read_only,
+              policy: this.policy && {
+                file: this.policy.source,
+                default: this.policy.defaultEffect,
+                rules: this.policy.rules.length,
+              },
+            },
+            sources,
+          }, null, 2),
         },
       ],
     };
   }
 
   async getServerPathContext(filePath) {
-    const stats = await fs.stat(filePath).catch(() => null);
+    const check = await checkPath(filePath, this.allowedRoots);
+    // Nothing about a denied path is looked up on disk, so this tool cannot probe files outside the roots
+    const stats = check.permitted ? await this.storage.stat(check.resolvedPath).catch(() => null) : null;
     const pathInfo = {
       path: filePath,
-      exists: !!stats,
-      is_file: stats?.isFile() || false,
-      is_directory: stats?.isDirectory() || false,
-      absolute_path: path.resolve(filePath),
+      ...(check.permitted ? {
+        exists: !!stats,
+        is_file: stats?.type === 'file',
+        is_directory: stats?.type === 'directory',
+        absolute_path: path.resolve(this.allowedRoots[0], filePath),
+        resolved_path: check.resolvedPath
+      } : {}),
+      permitted: check.permitted,
+      is_notebook: path.extname(filePath).toLowerCase() === '.ipynb',
+      allowed_roots: this.allowedRoots,
+      matched_root: check.root,
+      reason: check.permitted ? null : (check.resolvedPath ? 'path is outside the allowed roots' : check.reason),
+      storage: this.storage.name,
       dirname: path.dirname(filePath),
       basename: path.basename(filePath),
       extname: path.extname(filePath),
       os_path_style: process.platform === 'win32' ? 'windows' : 'posix',
-      platform: process.platform
+      platform: process.platform,
+      guidance: "Relative paths are resolved against the first allowed root; symlinks are followed and must stay inside an allowed root"
     };
     
     return {
@@ -1369,12 +3892,27 @@ class JupyterMCPServer {
   }
 
   async run() {
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
+    if (this.config.policy_file) {
+      this.policy = await ToolPolicy.load(this.config.policy_file, this.allowedRoots);
+    }
+    
+    const { type, host, port, auth_token: authToken, cors_origins: corsOrigins } = this.config.transport;
+    if (type === 'http') {
+      this.httpServer = await startHttpServer(this, { host, port, authToken, corsOrigins });
+      const { address, port: boundPort } = this.httpServer.address();
+      console.error(`Jupyter MCP Server listening on http://${address.includes(':') ? `[${address}]` : address}:${boundPort} (streamable HTTP: /mcp, SSE: /sse)`);
+      return;
+    }
+    
+    await this.connect(new StdioServerTransport());
     console.error("Jupyter MCP Server running on stdio");
   }
 }
 
 const __filename = fileURLToPath(import.meta.url);
-const server = new JupyterMCPServer();
-server.run().catch(console.error);
\ No newline at end of file
+loadConfig()
+  .then(options => new JupyterMCPServer(options).run())
+  .catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
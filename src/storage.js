@@ -0,0 +1,301 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { computeRevision, readRevision, writeFileAtomic } from './file-store.js';
+import { findNotebooks, createIgnoreMatcher, DEFAULT_IGNORE, MAX_NOTEBOOKS } from './workspace.js';
+
+function notFound(message) {
+  const error = new Error(message);
+  error.code = 'ENOENT';
+  return error;
+}
+
+function checkpointPath(filePath) {
+  const extension = path.extname(filePath);
+  return path.join(
+    path.dirname(filePath),
+    '.ipynb_checkpoints',
+    `${path.basename(filePath, extension)}-checkpoint${extension}`
+  );
+}
+
+class LocalStorage {
+  constructor() {
+    this.name = 'local';
+  }
+
+  async read(filePath) {
+    return await fs.readFile(filePath);
+  }
+
+  async readText(filePath) {
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async write(filePath, content) {
+    await fs.ensureDir(path.dirname(filePath));
+    await writeFileAtomic(filePath, content);
+  }
+
+  async revision(filePath) {
+    return await readRevision(filePath);
+  }
+
+  async stat(filePath) {
+    const stats = await fs.stat(filePath).catch(() => null);
+    return stats && {
+      type: stats.isDirectory() ? 'directory' : 'file',
+      size: stats.size,
+      modified: stats.mtime.toISOString()
+    };
+  }
+
+  async remove(filePath) {
+    const stats = await fs.lstat(filePath);
+    if (!stats.isFile()) {
+      throw new Error(`Not a notebook file: ${filePath}`);
+    }
+    await fs.unlink(filePath);
+  }
+
+  async rename(oldPath, newPath) {
+    await fs.ensureDir(path.dirname(newPath));
+    await fs.move(oldPath, newPath);
+  }
+
+  async listNotebooks(root, options) {
+    return await findNotebooks(root, options);
+  }
+
+  async createCheckpoint(filePath) {
+    const target = checkpointPath(filePath);
+    await fs.ensureDir(path.dirname(target));
+    await fs.copy(filePath, target, { preserveTimestamps: true });
+    return { id: 'checkpoint', last_modified: (await fs.stat(target)).mtime.toISOString() };
+  }
+
+  async listCheckpoints(filePath) {
+    const stats = await fs.stat(checkpointPath(filePath)).catch(() => null);
+    return stats ? [{ id: 'checkpoint', last_modified: stats.mtime.toISOString() }] : [];
+  }
+
+  async restoreCheckpoint(filePath, checkpointId) {
+    const source = checkpointPath(filePath);
+    if (checkpointId !== 'checkpoint' || !await fs.pathExists(source)) {
+      throw new Error(`Checkpoint ${checkpointId} not found for ${filePath}`);
+    }
+    await writeFileAtomic(filePath, await fs.readFile(source));
+  }
+}
+
+class JupyterContentsStorage {
+  constructor({ baseUrl, token, root, fetch = globalThis.fetch, timeoutMs = 30000 }) {
+    if (!baseUrl) {
+      throw new Error('A Jupyter server URL is required for the Jupyter storage backend');
+    }
+    this.name = 'jupyter';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.token = token;
+    this.root = path.resolve(root);
+    this.fetch = fetch;
+    this.timeoutMs = timeoutMs;
+  }
+
+  apiPath(filePath) {
+    const relative = path.relative(this.root, path.resolve(filePath));
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`${filePath} is outside the Jupyter contents root ${this.root}`);
+    }
+    return relative.split(path.sep).filter(Boolean).join('/');
+  }
+
+  localPath(apiPath) {
+    return path.join(this.root, ...apiPath.split('/'));
+  }
+
+  async request(method, apiPath, { query = '', body, suffix = '' } = {}) {
+    const url = `${this.baseUrl}/api/contents/${apiPath.split('/').map(encodeURIComponent).join('/')}${suffix}${query}`;
+    let response;
+    let text;
+    try {
+      // The timeout covers reading the body too, so a server that stalls mid-response cannot hang a tool call
+      response = await this.fetch(url, {
+        method,
+        headers: {
+          ...(this.token ? { Authorization: `token ${this.token}` } : {}),
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      text = await response.text();
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error(`Jupyter Contents API ${method} /${apiPath}${suffix} timed out after ${this.timeoutMs}ms`);
+      }
+      throw error;
+    }
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = null;
+    }
+
+    if (response.status === 404) {
+      throw notFound(`${this.localPath(apiPath)} not found on the Jupyter server`);
+    }
+    if (!response.ok) {
+      const reason = data?.message || data?.reason || text || response.statusText;
+      throw new Error(`Jupyter Contents API ${method} /${apiPath}${suffix} failed (${response.status}): ${reason}`);
+    }
+    return data;
+  }
+
+  async read(filePath) {
+    const model = await this.request('GET', this.apiPath(filePath), { query: '?type=file&format=text&content=1' });
+    if (model.type === 'directory') {
+      throw new Error(`${filePath} is a directory`);
+    }
+    return Buffer.from(model.content, model.format === 'base64' ? 'base64' : 'utf8');
+  }
+
+  async readText(filePath) {
+    try {
+      return (await this.read(filePath)).toString('utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async ensureDirectory(apiPath) {
+    const segments = apiPath.split('/').slice(0, -1);
+    for (let i = 1; i <= segments.length; i++) {
+      const directory = segments.slice(0, i).join('/');
+      try {
+        await this.request('GET', directory, { query: '?content=0' });
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        await this.request('PUT', directory, { body: { type: 'directory' } });
+      }
+    }
+  }
+
+  async write(filePath, content) {
+    const apiPath = this.apiPath(filePath);
+    await this.ensureDirectory(apiPath);
+    await this.request('PUT', apiPath, {
+      body: { type: 'file', format: 'text', content: Buffer.isBuffer(content) ? content.toString('utf8') : content }
+    });
+  }
+
+  async revision(filePath) {
+    try {
+      return computeRevision(await this.read(filePath));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async stat(filePath) {
+    try {
+      const model = await this.request('GET', this.apiPath(filePath), { query: '?content=0' });
+      return {
+        type: model.type === 'directory' ? 'directory' : 'file',
+        size: model.size ?? null,
+        modified: model.last_modified
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async remove(filePath) {
+    const stats = await this.stat(filePath);
+    if (!stats) {
+      throw notFound(`${filePath} not found on the Jupyter server`);
+    }
+    if (stats.type === 'directory') {
+      throw new Error(`Not a notebook file: ${filePath}`);
+    }
+    await this.request('DELETE', this.apiPath(filePath));
+  }
+
+  async rename(oldPath, newPath) {
+    const apiPath = this.apiPath(newPath);
+    await this.ensureDirectory(apiPath);
+    await this.request('PATCH', this.apiPath(oldPath), { body: { path: apiPath } });
+  }
+
+  async listNotebooks(root, { ignore = DEFAULT_IGNORE } = {}) {
+    const isIgnored = createIgnoreMatcher(ignore);
+    const rootPath = this.apiPath(root);
+    const notebooks = [];
+    const pending = [rootPath];
+    let truncated = false;
+
+    while (pending.length > 0 && !truncated) {
+      const directory = pending.shift();
+      let model;
+      try {
+        model = await this.request('GET', directory, { query: '?type=directory&content=1' });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+        throw error;
+      }
+
+      const entries = [...(model.content || [])].sort((a, b) => a.name.localeCompare(b.name));
+      for (const entry of entries) {
+        const relativePath = rootPath ? entry.path.slice(rootPath.length + 1) : entry.path;
+        if (isIgnored(relativePath)) {
+          continue;
+        }
+        if (entry.type === 'directory') {
+          pending.push(entry.path);
+        } else if (entry.name.toLowerCase().endsWith('.ipynb')) {
+          if (notebooks.length >= MAX_NOTEBOOKS) {
+            truncated = true;
+            break;
+          }
+          notebooks.push(this.localPath(entry.path));
+        }
+      }
+    }
+
+    notebooks.sort();
+    return { notebooks, truncated };
+  }
+
+  async createCheckpoint(filePath) {
+    return await this.request('POST', this.apiPath(filePath), { suffix: '/checkpoints' });
+  }
+
+  async listCheckpoints(filePath) {
+    return await this.request('GET', this.apiPath(filePath), { suffix: '/checkpoints' });
+  }
+
+  async restoreCheckpoint(filePath, checkpointId) {
+    await this.request('POST', this.apiPath(filePath), { suffix: `/checkpoints/${encodeURIComponent(checkpointId)}` });
+  }
+}
+
+export { LocalStorage, JupyterContentsStorage };
@@ -0,0 +1,360 @@
+import Ajv from 'ajv-draft-04';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SCHEMA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'schemas');
+const LATEST_MINOR = 5;
+const CELL_TYPES = ['raw', 'markdown', 'code'];
+const OUTPUT_TYPES = ['execute_result', 'display_data', 'stream', 'error'];
+const LEGACY_OUTPUT_TYPES = { pyout: 'execute_result', pyerr: 'error' };
+const CELL_ID_PATTERN = /^[a-zA-Z0-9-_]{1,64}$/;
+
+const ajv = new Ajv({ allErrors: true, strict: false, validateFormats: false });
+const validatorCache = new Map();
+
+function getValidators(minor) {
+  if (validatorCache.has(minor)) {
+    return validatorCache.get(minor);
+  }
+
+  const schema = fs.readJsonSync(path.join(SCHEMA_DIR, `nbformat.v4.${minor}.schema.json`));
+  const { definitions } = schema;
+  const withDefinitions = definition => ({ ...definition, definitions });
+
+  const root = structuredClone(schema);
+  root.properties.cells = { ...root.properties.cells, items: {} };
+
+  const codeCell = structuredClone(definitions.code_cell);
+  codeCell.properties.outputs = { ...codeCell.properties.outputs, items: {} };
+
+  const validators = {
+    root: ajv.compile(root),
+    cells: {
+      raw: ajv.compile(withDefinitions(definitions.raw_cell)),
+      markdown: ajv.compile(withDefinitions(definitions.markdown_cell)),
+      code: ajv.compile(withDefinitions(codeCell))
+    },
+    outputs: Object.fromEntries(OUTPUT_TYPES.map(type => [type, ajv.compile(withDefinitions(definitions[type]))]))
+  };
+
+  validatorCache.set(minor, validators);
+  return validators;
+}
+
+function joinPath(base, segments) {
+  return segments.reduce((result, segment) => {
+    if (/^\d+$/.test(segment)) {
+      return `${result}[${segment}]`;
+    }
+    return result ? `${result}.${segment}` : segment;
+  }, base);
+}
+
+function instanceSegments(instancePath) {
+  return instancePath
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function convertErrors(errors, base, context) {
+  const oneOfPaths = new Set(errors.filter(error => error.keyword === 'oneOf').map(error => error.instancePath));
+
+  return errors
+    .filter(error => !(error.schemaPath.includes('/oneOf/') && [...oneOfPaths].some(prefix => error.instancePath.startsWith(prefix))))
+    .map(error => {
+      const segments = instanceSegments(error.instancePath);
+      let message;
+
+      switch (error.keyword) {
+        case 'required':
+          segments.push(error.params.missingProperty);
+          message = `missing required property '${error.params.missingProperty}'`;
+          break;
+        case 'additionalProperties':
+          segments.push(error.params.additionalProperty);
+          message = error.params.additionalProperty === 'id' && context.minor < 5
+            ? `cell ids require nbformat_minor 5 or later (notebook declares ${context.minor})`
+            : `unexpected property '${error.params.additionalProperty}'`;
+          break;
+        case 'oneOf':
+          message = 'must be a string or an array of strings';
+          break;
+        case 'enum':
+          message = `must be one of: ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+          break;
+        default:
+          message = error.message;
+      }
+
+      return { path: joinPath(base, segments), severity: 'error', message };
+    });
+}
+
+function validateStructure(notebook) {
+  const issues = [];
+
+  if (!notebook || typeof notebook !== 'object' || Array.isArray(notebook)) {
+    return { schema_version: null, issues: [{ path: '', severity: 'error', message: 'notebook must be a JSON object' }] };
+  }
+
+  if (notebook.nbformat !== 4) {
+    return {
+      schema_version: null,
+      issues: [{ path: 'nbformat', severity: 'error', message: `unsupported nbformat ${JSON.stringify(notebook.nbformat)}; only nbformat 4 can be validated${notebook.nbformat === 3 ? ' (convert it with notebook_convert_version)' : ''}` }]
+    };
+  }
+
+  let minor = Number.isInteger(notebook.nbformat_minor) ? notebook.nbformat_minor : LATEST_MINOR;
+  if (minor > LATEST_MINOR) {
+    issues.push({
+      path: 'nbformat_minor',
+      severity: 'warning',
+      message: `nbformat_minor ${minor} is newer than the bundled schemas; validated against 4.${LATEST_MINOR}`
+    });
+    minor = LATEST_MINOR;
+  }
+  minor = Math.max(minor, 0);
+
+  const validators = getValidators(minor);
+  const context = { minor: notebook.nbformat_minor };
+
+  if (!validators.root(notebook)) {
+    issues.push(...convertErrors(validators.root.errors, '', context));
+  }
+
+  if (notebook.metadata && typeof notebook.metadata === 'object') {
+    if (!notebook.metadata.kernelspec) {
+      issues.push({ path: 'metadata.kernelspec', severity: 'warning', message: 'no kernelspec; Jupyter will ask which kernel to use' });
+    }
+    if ('orig_nbformat' in notebook.metadata) {
+      issues.push({ path: 'metadata.orig_nbformat', severity: 'warning', message: 'orig_nbformat should never be written to a file' });
+    }
+  }
+
+  if (!Array.isArray(notebook.cells)) {
+    return { schema_version: `4.${minor}`, issues };
+  }
+
+  const seenIds = new Map();
+  notebook.cells.forEach((cell, index) => {
+    const base = `cells[${index}]`;
+
+    if (!cell || typeof cell !== 'object' || Array.isArray(cell)) {
+      issues.push({ path: base, severity: 'error', message: 'cell must be an object' });
+      return;
+    }
+
+    const validate = validators.cells[cell.cell_type];
+    if (!validate) {
+      issues.push({
+        path: `${base}.cell_type`,
+        severity: 'error',
+        message: `unknown cell type ${JSON.stringify(cell.cell_type)}; expected one of: ${CELL_TYPES.join(', ')}`
+      });
+      return;
+    }
+
+    if (!validate(cell)) {
+      issues.push(...convertErrors(validate.errors, base, context));
+    }
+
+    if (typeof cell.id === 'string') {
+      if (seenIds.has(cell.id)) {
+        issues.push({ path: `${base}.id`, severity: 'error', message: `duplicate cell id '${cell.id}' (also used by cells[${seenIds.get(cell.id)}])` });
+      } else {
+        seenIds.set(cell.id, index);
+      }
+    }
+
+    if (cell.cell_type !== 'code' || !Array.isArray(cell.outputs)) {
+      return;
+    }
+
+    cell.outputs.forEach((output, outputIndex) => {
+      const outputBase = `${base}.outputs[${outputIndex}]`;
+      const validateOutput = validators.outputs[output?.output_type];
+
+      if (!validateOutput) {
+        issues.push({
+          path: `${outputBase}.output_type`,
+          severity: 'error',
+          message: `unknown output type ${JSON.stringify(output?.output_type)}; expected one of: ${OUTPUT_TYPES.join(', ')}`
+        });
+        return;
+      }
+
+      if (!validateOutput(output)) {
+        issues.push(...convertErrors(validateOutput.errors, outputBase, context));
+      }
+
+      if (output.output_type === 'stream' && typeof output.name === 'string' && !['stdout', 'stderr'].includes(output.name)) {
+        issues.push({ path: `${outputBase}.name`, severity: 'warning', message: `unusual stream name '${output.name}'` });
+      }
+    });
+  });
+
+  return { schema_version: `4.${minor}`, issues };
+}
+
+function generateCellId(existingIds = new Set()) {
+  let id;
+  do {
+    id = crypto.randomBytes(4).toString('hex');
+  } while (existingIds.has(id));
+  existingIds.add(id);
+  return id;
+}
+
+// Cell ids exist from nbformat 4.5 on; older notebooks must not gain them by accident
+function supportsCellIds(notebook) {
+  return notebook?.nbformat > 4 || (notebook?.nbformat === 4 && notebook.nbformat_minor >= LATEST_MINOR);
+}
+
+function toMultilineString(value) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => (typeof item === 'string' ? item : JSON.stringify(item)));
+  }
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return String(value);
+}
+
+function repairOutput(output, base, repairs) {
+  if (LEGACY_OUTPUT_TYPES[output.output_type]) {
+    repairs.push({ path: `${base}.output_type`, action: `renamed '${output.output_type}' to '${LEGACY_OUTPUT_TYPES[output.output_type]}'` });
+    output.output_type = LEGACY_OUTPUT_TYPES[output.output_type];
+  }
+
+  if (output.output_type === 'stream') {
+    if (typeof output.name !== 'string') {
+      output.name = 'stdout';
+      repairs.push({ path: `${base}.name`, action: "set to 'stdout'" });
+    }
+    if (typeof output.text !== 'string' && !Array.isArray(output.text)) {
+      output.text = toMultilineString(output.text);
+      repairs.push({ path: `${base}.text`, action: 'converted to string' });
+    }
+  }
+
+  if (output.output_type === 'execute_result' || output.output_type === 'display_data') {
+    if (!output.data || typeof output.data !== 'object') {
+      output.data = {};
+      repairs.push({ path: `${base}.data`, action: 'set to {}' });
+    }
+    if (!output.metadata || typeof output.metadata !== 'object') {
+      output.metadata = {};
+      repairs.push({ path: `${base}.metadata`, action: 'set to {}' });
+    }
+  }
+
+  if (output.output_type === 'execute_result' && !('execution_count' in output)) {
+    output.execution_count = null;
+    repairs.push({ path: `${base}.execution_count`, action: 'set to null' });
+  }
+
+  if (output.output_type === 'error') {
+    for (const field of ['ename', 'evalue']) {
+      if (typeof output[field] !== 'string') {
+        output[field] = output[field] === undefined ? '' : String(output[field]);
+        repairs.push({ path: `${base}.${field}`, action: 'converted to string' });
+      }
+    }
+    if (!Array.isArray(output.traceback)) {
+      output.traceback = [];
+      repairs.push({ path: `${base}.traceback`, action: 'set to []' });
+    }
+  }
+}
+
+function repairNotebook(notebook) {
+  const repairs = [];
+
+  if (!notebook.metadata || typeof notebook.metadata !== 'object' || Array.isArray(notebook.metadata)) {
+    notebook.metadata = {};
+    repairs.push({ path: 'metadata', action: 'set to {}' });
+  }
+  if ('orig_nbformat' in notebook.metadata) {
+    delete notebook.metadata.orig_nbformat;
+    repairs.push({ path: 'metadata.orig_nbformat', action: 'removed' });
+  }
+  const kernelspec = notebook.metadata.kernelspec;
+  if (kernelspec && typeof kernelspec === 'object' && kernelspec.name && !kernelspec.display_name) {
+    kernelspec.display_name = kernelspec.name;
+    repairs.push({ path: 'metadata.kernelspec.display_name', action: `set to '${kernelspec.name}'` });
+  }
+
+  if (!Array.isArray(notebook.cells)) {
+    notebook.cells = [];
+    repairs.push({ path: 'cells', action: 'set to []' });
+  }
+  if (!Number.isInteger(notebook.nbformat_minor)) {
+    notebook.nbformat_minor = notebook.cells.some(cell => cell && 'id' in cell) ? LATEST_MINOR : 4;
+    repairs.push({ path: 'nbformat_minor', action: `set to ${notebook.nbformat_minor}` });
+  }
+  if (notebook.nbformat_minor < LATEST_MINOR && notebook.cells.some(cell => cell && 'id' in cell)) {
+    repairs.push({ path: 'nbformat_minor', action: `raised from ${notebook.nbformat_minor} to ${LATEST_MINOR} to allow cell ids` });
+    notebook.nbformat_minor = LATEST_MINOR;
+  }
+
+  // Every valid id is reserved up front so a generated id never takes one that a later cell already has
+  const usedIds = new Set(notebook.cells.map(cell => cell?.id).filter(id => typeof id === 'string' && CELL_ID_PATTERN.test(id)));
+  const keptIds = new Set();
+  notebook.cells.forEach((cell, index) => {
+    const base = `cells[${index}]`;
+    if (!cell || typeof cell !== 'object') {
+      return;
+    }
+
+    if (!cell.metadata || typeof cell.metadata !== 'object' || Array.isArray(cell.metadata)) {
+      cell.metadata = {};
+      repairs.push({ path: `${base}.metadata`, action: 'set to {}' });
+    }
+    if (typeof cell.source !== 'string' && !(Array.isArray(cell.source) && cell.source.every(line => typeof line === 'string'))) {
+      cell.source = toMultilineString(cell.source);
+      repairs.push({ path: `${base}.source`, action: 'converted to string' });
+    }
+
+    if (cell.cell_type === 'code') {
+      if (!Array.isArray(cell.outputs)) {
+        cell.outputs = [];
+        repairs.push({ path: `${base}.outputs`, action: 'set to []' });
+      }
+      if (!('execution_count' in cell) || (cell.execution_count !== null && !Number.isInteger(cell.execution_count))) {
+        cell.execution_count = null;
+        repairs.push({ path: `${base}.execution_count`, action: 'set to null' });
+      }
+      cell.outputs.forEach((output, outputIndex) => {
+        if (output && typeof output === 'object') {
+          repairOutput(output, `${base}.outputs[${outputIndex}]`, repairs);
+        }
+      });
+    } else if (CELL_TYPES.includes(cell.cell_type)) {
+      for (const field of ['outputs', 'execution_count']) {
+        if (field in cell) {
+          delete cell[field];
+          repairs.push({ path: `${base}.${field}`, action: `removed from ${cell.cell_type} cell` });
+        }
+      }
+    }
+
+    if (notebook.nbformat_minor >= LATEST_MINOR) {
+      if (typeof cell.id !== 'string' || !CELL_ID_PATTERN.test(cell.id) || keptIds.has(cell.id)) {
+        const previous = cell.id;
+        cell.id = generateCellId(usedIds);
+        repairs.push({ path: `${base}.id`, action: previous === undefined ? `added id '${cell.id}'` : `replaced invalid or duplicate id ${JSON.stringify(previous)} with '${cell.id}'` });
+      }
+      keptIds.add(cell.id);
+    }
+  });
+
+  return repairs;
+}
+
+export { validateStructure, repairNotebook, generateCellId, supportsCellIds };
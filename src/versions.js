@@ -0,0 +1,148 @@
+import { generateCellId } from './validator.js';
+
+const LATEST_VERSION = '4.5';
+const TARGET_VERSIONS = ['4.5', '4.4'];
+
+const V3_MIME_TYPES = {
+  text: 'text/plain',
+  html: 'text/html',
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  latex: 'text/latex',
+  json: 'application/json',
+  javascript: 'application/javascript',
+  pdf: 'application/pdf'
+};
+const V3_OUTPUT_TYPES = {
+  pyout: 'execute_result',
+  pyerr: 'error'
+};
+
+function notebookVersion(notebook) {
+  if (!notebook || typeof notebook !== 'object' || !Number.isInteger(notebook.nbformat)) {
+    return null;
+  }
+  return `${notebook.nbformat}.${Number.isInteger(notebook.nbformat_minor) ? notebook.nbformat_minor : 0}`;
+}
+
+function upgradeMimeKeys(bundle) {
+  return Object.fromEntries(Object.entries(bundle || {}).map(([key, value]) => [V3_MIME_TYPES[key] || key, value]));
+}
+
+function upgradeOutput(output, counts) {
+  const { output_type: outputType, ...rest } = output;
+
+  if (outputType === 'pyout' || outputType === 'display_data') {
+    const { prompt_number: promptNumber, metadata, ...bundle } = rest;
+    const data = upgradeMimeKeys(bundle);
+    if (typeof data['application/json'] === 'string') {
+      try {
+        data['application/json'] = JSON.parse(data['application/json']);
+      } catch {
+        // Keep the string; validation will report it
+      }
+    }
+    counts.outputs_upgraded++;
+    return {
+      output_type: V3_OUTPUT_TYPES[outputType] || outputType,
+      ...(outputType === 'pyout' ? { execution_count: promptNumber ?? null } : {}),
+      data,
+      metadata: upgradeMimeKeys(metadata)
+    };
+  }
+  if (outputType === 'pyerr') {
+    counts.outputs_upgraded++;
+    return { output_type: 'error', ...rest };
+  }
+  if (outputType === 'stream') {
+    const { stream, ...fields } = rest;
+    counts.outputs_upgraded++;
+    return { output_type: 'stream', name: stream || 'stdout', ...fields };
+  }
+  return output;
+}
+
+function upgradeCell(cell, id, counts) {
+  const upgraded = { ...cell, metadata: cell.metadata || {}, id };
+
+  if (cell.cell_type === 'code') {
+    const { language: _language, collapsed, input, prompt_number: promptNumber, outputs, ...rest } = upgraded;
+    return {
+      ...rest,
+      metadata: collapsed === undefined ? rest.metadata : { ...rest.metadata, collapsed },
+      source: input ?? '',
+      execution_count: promptNumber ?? null,
+      outputs: (outputs || []).map(output => upgradeOutput(output, counts))
+    };
+  }
+  if (cell.cell_type === 'heading') {
+    const { level = 1, ...rest } = upgraded;
+    const source = Array.isArray(cell.source) ? cell.source.join('') : cell.source || '';
+    counts.headings_converted++;
+    return { ...rest, cell_type: 'markdown', source: `${'#'.repeat(level)} ${source.split(/\r?\n/).join(' ')}` };
+  }
+  if (cell.cell_type === 'html') {
+    return { ...upgraded, cell_type: 'markdown' };
+  }
+  return upgraded;
+}
+
+// v3 cells have no ids, so they are numbered by position: reading the same file twice, or reading it and
+// then converting it, gives every cell the same id
+function upgradeFromV3(notebook, counts) {
+  const worksheets = Array.isArray(notebook.worksheets) ? notebook.worksheets : [];
+  const { worksheets: _worksheets, ...rest } = notebook;
+  const { name: _name, signature: _signature, ...metadata } = notebook.metadata || {};
+  const cells = worksheets.flatMap(worksheet => worksheet?.cells || []).map((cell, index) => upgradeCell(cell, `cell-${index}`, counts));
+
+  counts.worksheets_merged = worksheets.length;
+  counts.ids_added = cells.length;
+  return { ...rest, metadata, cells, nbformat: 4, nbformat_minor: 5 };
+}
+
+function convertNotebook(notebook, targetVersion) {
+  const from = notebookVersion(notebook);
+  const counts = { worksheets_merged: 0, headings_converted: 0, outputs_upgraded: 0, ids_added: 0, ids_removed: 0 };
+
+  if (!TARGET_VERSIONS.includes(targetVersion)) {
+    throw new Error(`Unsupported target version ${targetVersion} (expected one of ${TARGET_VERSIONS.join(', ')})`);
+  }
+  if (notebook?.nbformat !== 3 && notebook?.nbformat !== 4) {
+    throw new Error(`Cannot convert nbformat ${from ?? 'unknown'} notebooks; only nbformat 3 and 4 are supported`);
+  }
+
+  let converted = notebook.nbformat === 3 ? upgradeFromV3(notebook, counts) : { ...notebook };
+  if (!Array.isArray(converted.cells)) {
+    throw new Error('The notebook has no cells list; repair it with notebook_validate first');
+  }
+
+  if (targetVersion === '4.5' && converted.nbformat_minor !== 5) {
+    const usedIds = new Set(converted.cells.map(cell => cell.id).filter(Boolean));
+    converted.cells = converted.cells.map(cell => {
+      if (cell.id) {
+        return cell;
+      }
+      counts.ids_added++;
+      return { ...cell, id: generateCellId(usedIds) };
+    });
+    converted.nbformat_minor = 5;
+  } else if (targetVersion === '4.4' && converted.nbformat_minor !== 4) {
+    converted.cells = converted.cells.map(({ id, ...cell }) => {
+      counts.ids_removed += id === undefined ? 0 : 1;
+      return cell;
+    });
+    converted.nbformat_minor = 4;
+  }
+
+  return { notebook: converted, from, to: notebookVersion(converted), changes: counts };
+}
+
+// Read tools see v3 notebooks through an in-memory upgrade, marked the way nbformat marks it
+function upgradeForReading(notebook) {
+  const { notebook: upgraded } = convertNotebook(notebook, LATEST_VERSION);
+  upgraded.metadata = { ...upgraded.metadata, orig_nbformat: notebook.nbformat, orig_nbformat_minor: notebook.nbformat_minor ?? 0 };
+  return upgraded;
+}
+
+export { LATEST_VERSION, TARGET_VERSIONS, notebookVersion, convertNotebook, upgradeForReading };
@@ -0,0 +1,146 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+function normalizeRoots(roots) {
+  return roots.map(root => {
+    const absolute = path.resolve(root);
+    try {
+      return fs.realpathSync(absolute);
+    } catch {
+      return absolute;
+    }
+  });
+}
+
+function isWithinRoot(target, root) {
+  const relative = path.relative(root, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+async function realpathAllowingMissing(target) {
+  const missing = [];
+  let current = target;
+
+  for (;;) {
+    try {
+      const real = await fs.realpath(current);
+      return path.join(real, ...missing);
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+        throw error;
+      }
+      const parent = path.dirname(current);
+      if (parent === current) {
+        return target;
+      }
+      missing.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+async function checkPath(filePath, roots) {
+  if (typeof filePath !== 'string' || filePath.trim() === '') {
+    return { permitted: false, resolvedPath: null, root: null, reason: 'path must be a non-empty string' };
+  }
+  if (filePath.includes('\0')) {
+    return { permitted: false, resolvedPath: null, root: null, reason: 'path contains a null byte' };
+  }
+
+  const absolute = path.resolve(roots[0], filePath);
+  const resolvedPath = await realpathAllowingMissing(absolute);
+  const root = roots.find(candidate => isWithinRoot(resolvedPath, candidate)) || null;
+
+  return {
+    permitted: !!root,
+    resolvedPath,
+    root,
+    reason: root ? null : `${resolvedPath} is outside the allowed roots (${roots.join(', ')})`
+  };
+}
+
+const DEFAULT_IGNORE = ['.ipynb_checkpoints', '.git', 'node_modules', '__pycache__', '.venv'];
+const MAX_NOTEBOOKS = 10000;
+
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function createIgnoreMatcher(patterns = DEFAULT_IGNORE) {
+  const matchers = patterns.map(pattern => {
+    const trimmed = pattern.replace(/\/+$/, '');
+    return { regex: globToRegExp(trimmed), anySegment: !trimmed.includes('/') };
+  });
+
+  return relativePath => {
+    const posixPath = relativePath.split(path.sep).join('/');
+    const segments = posixPath.split('/');
+    return matchers.some(({ regex, anySegment }) => (
+      anySegment ? segments.some(segment => regex.test(segment)) : regex.test(posixPath)
+    ));
+  };
+}
+
+async function findNotebooks(root, { ignore = DEFAULT_IGNORE, roots = [root], limit = MAX_NOTEBOOKS } = {}) {
+  const isIgnored = createIgnoreMatcher(ignore);
+  const notebooks = [];
+  const pending = [root];
+  let truncated = false;
+
+  while (pending.length > 0) {
+    const directory = pending.shift();
+    let entries;
+    try {
+      entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const fullPath = path.join(directory, entry.name);
+      const relativePath = path.relative(root, fullPath);
+      if (isIgnored(relativePath)) {
+        continue;
+      }
+
+      if (entry.isDirectory()) {
+        pending.push(fullPath);
+      } else if ((entry.isFile() || entry.isSymbolicLink()) && entry.name.toLowerCase().endsWith('.ipynb')) {
+        if (entry.isSymbolicLink()) {
+          const check = await checkPath(fullPath, roots);
+          if (!check.permitted) {
+            continue;
+          }
+        }
+        if (notebooks.length >= limit) {
+          truncated = true;
+          break;
+        }
+        notebooks.push(fullPath);
+      }
+    }
+    if (truncated) {
+      break;
+    }
+  }
+
+  notebooks.sort();
+  return { notebooks, truncated };
+}
+
+export { normalizeRoots, checkPath, findNotebooks, createIgnoreMatcher, globToRegExp, isWithinRoot, DEFAULT_IGNORE, MAX_NOTEBOOKS };
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { makeTempDir, startServer, notebook } from './helpers.js';
+
+async function withNotebook(sources, callback) {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const notebookPath = path.join(dir, 'nb.ipynb');
+    await fs.writeJson(notebookPath, notebook(sources.map(source => ({ source }))), { spaces: 1 });
+    return await callback(server, notebookPath);
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+}
+
+const sources = async notebookPath => (await fs.readJson(notebookPath)).cells.map(cell => [].concat(cell.source).join(''));
+
+test('apply_operations sees each operation\'s effect on the indices of the next', async () => {
+  await withNotebook(['a', 'b', 'c'], async (server, notebookPath) => {
+    const result = await server.call('notebook_apply_operations', {
+      path: notebookPath,
+      operations: [
+        { op: 'add_cell', cell_type: 'code', source: 'new', index: 0 },
+        { op: 'delete_cell', cell_index: 2 },
+        { op: 'edit_cell', cell_index: 2, new_source: 'c2' },
+        { op: 'move_cell', from_index: 0, to_index: 2 }
+      ]
+    });
+
+    assert.ok(!result.isError, result.text);
+    const summary = JSON.parse(result.content[0].text);
+    assert.equal(summary.applied, true);
+    assert.deepEqual(summary.operations.map(operation => operation.status), ['ok', 'ok', 'ok', 'ok']);
+    // a new b c -> a new c -> a new c2 -> new c2 a
+    assert.deepEqual(await sources(notebookPath), ['new', 'c2', 'a']);
+
+    // The batch is one undo step
+    assert.ok(!(await server.call('notebook_undo', { path: notebookPath })).isError);
+    assert.deepEqual(await sources(notebookPath), ['a', 'b', 'c']);
+  });
+});
+
+test('apply_operations leaves the file untouched when a later operation fails', async () => {
+  await withNotebook(['a', 'b'], async (server, notebookPath) => {
+    const original = await fs.readFile(notebookPath, 'utf8');
+    const result = await server.call('notebook_apply_operations', {
+      path: notebookPath,
+      operations: [
+        { op: 'edit_cell', cell_index: 0, new_source: 'changed' },
+        { op: 'delete_cell', cell_index: 5 },
+        { op: 'add_cell', cell_type: 'code', source: 'never' }
+      ]
+    });
+
+    assert.equal(result.isError, true);
+    const summary = JSON.parse(result.content[0].text);
+    assert.equal(summary.applied, false);
+    assert.deepEqual(summary.operations.map(operation => operation.status), ['ok', 'error', 'skipped']);
+    assert.equal(await fs.readFile(notebookPath, 'utf8'), original);
+    assert.equal(JSON.parse((await server.call('notebook_history', { path: notebookPath })).content[0].text).undo.length, 0);
+  });
+});
+
+test('apply_operations rejects a batch whose result fails schema validation', async () => {
+  await withNotebook(['a'], async (server, notebookPath) => {
+    const original = await fs.readFile(notebookPath, 'utf8');
+    const operations = [
+      { op: 'edit_cell', cell_index: 0, new_source: 'changed' },
+      { op: 'edit_cell_metadata', cell_index: 0, metadata: { tags: 'not-a-list' } }
+    ];
+
+    for (const dryRun of [false, true]) {
+      const result = await server.call('notebook_apply_operations', { path: notebookPath, operations, dry_run: dryRun });
+      assert.equal(result.isError, true);
+      const summary = JSON.parse(result.content[0].text);
+      assert.equal(summary.applied, false);
+      assert.deepEqual(summary.operations.map(operation => operation.status), ['ok', 'ok']);
+      assert.ok(summary.validation_errors.some(issue => issue.path.includes('tags')), JSON.stringify(summary.validation_errors));
+      assert.equal(summary.outline, undefined);
+    }
+    assert.equal(await fs.readFile(notebookPath, 'utf8'), original);
+  });
+});
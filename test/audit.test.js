@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { computeRevision } from '../src/file-store.js';
+import { makeTempDir, startServer, notebook } from './helpers.js';
+
+async function readLog(file) {
+  return (await fs.readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('audit entries name the notebook renames and script imports write, with its hashes', async () => {
+  const dir = await makeTempDir();
+  const logFile = path.join(dir, 'audit.jsonl');
+  const server = await startServer(['--allowed-root', dir, '--audit-log', logFile], { cwd: dir });
+  try {
+    const scriptPath = path.join(dir, 'analysis.py');
+    const importedPath = path.join(dir, 'analysis.ipynb');
+    const renamedPath = path.join(dir, 'report.ipynb');
+    await fs.writeFile(scriptPath, '# %%\nx = 1\n');
+    await server.call('notebook_import_script', { script_path: scriptPath });
+    const content = await fs.readFile(importedPath, 'utf8');
+    await server.call('notebook_rename', { old_path: importedPath, new_path: renamedPath });
+
+    const [imported, renamed] = await readLog(logFile);
+    assert.equal(imported.notebook, importedPath);
+    assert.equal(imported.hash_before, null);
+    assert.equal(imported.hash_after, computeRevision(content));
+    assert.equal(renamed.notebook, renamedPath);
+    assert.equal(renamed.hash_before, computeRevision(content));
+    assert.equal(renamed.hash_after, computeRevision(content));
+
+    const query = async notebookPath => JSON.parse((await server.call('notebook_audit_query', { path: notebookPath })).text);
+    assert.deepEqual((await query(importedPath)).entries.map(entry => entry.tool), ['notebook_import_script', 'notebook_rename']);
+    assert.deepEqual((await query(renamedPath)).entries.map(entry => entry.tool), ['notebook_rename']);
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
+
+test('audit entries for in-place edits hash the notebook before and after the call', async () => {
+  const dir = await makeTempDir();
+  const logFile = path.join(dir, 'audit.jsonl');
+  const server = await startServer(['--allowed-root', dir, '--audit-log', logFile], { cwd: dir });
+  try {
+    const notebookPath = path.join(dir, 'analysis.ipynb');
+    await fs.writeJson(notebookPath, notebook([{ source: 'x = 1' }]));
+    const before = await fs.readFile(notebookPath, 'utf8');
+    await server.call('notebook_edit_cell', { path: notebookPath, cell_id: 'cell-0', new_source: 'x = 2' });
+
+    const [entry] = await readLog(logFile);
+    assert.equal(entry.notebook, notebookPath);
+    assert.equal(entry.hash_before, computeRevision(before));
+    assert.equal(entry.hash_after, computeRevision(await fs.readFile(notebookPath, 'utf8')));
+    assert.deepEqual(entry.cells, [{ status: 'modified', id: 'cell-0', old_index: 0, new_index: 0 }]);
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { makeTempDir, startServer, notebook } from './helpers.js';
+
+test('edits keep nbformat 4.4 notebooks at 4.4 without cell ids', async () => {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const notebookPath = path.join(dir, 'old.ipynb');
+    await fs.writeJson(notebookPath, notebook([{ source: 'a = 1' }, { cell_type: 'markdown', source: '# A' }], { minor: 4 }));
+
+    await server.call('notebook_edit_cell_metadata', { path: notebookPath, cell_index: 0, metadata: { tags: ['setup'] } });
+    const added = await server.call('notebook_add_cell', { path: notebookPath, cell_type: 'code', source: 'b = 2', index: 1 });
+    assert.match(added.text, /^Added code cell at index 2\n/);
+    await server.call('notebook_duplicate_cell', { path: notebookPath, cell_index: 0 });
+
+    const written = await fs.readJson(notebookPath);
+    assert.equal(written.nbformat_minor, 4);
+    assert.equal(written.cells.length, 4);
+    assert.ok(written.cells.every(cell => !('id' in cell)));
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
+
+test('new cells in nbformat 4.5 notebooks get unique ids and existing ids are kept', async () => {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const notebookPath = path.join(dir, 'new.ipynb');
+    await fs.writeJson(notebookPath, notebook([{ source: 'a = 1' }]));
+
+    const added = await server.call('notebook_add_cell', { path: notebookPath, cell_type: 'code', source: 'b = 2', index: 0 });
+    const id = added.text.match(/\(id: ([\w-]+)\)/)[1];
+    await server.call('notebook_duplicate_cell', { path: notebookPath, cell_id: 'cell-0' });
+
+    const ids = (await fs.readJson(notebookPath)).cells.map(cell => cell.id);
+    assert.equal(ids[0], 'cell-0');
+    assert.equal(ids[2], id);
+    assert.equal(new Set(ids).size, 3);
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
+
+test('notebook_migrate_cell_ids upgrades older notebooks explicitly', async () => {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const notebookPath = path.join(dir, 'old.ipynb');
+    await fs.writeJson(notebookPath, notebook([{ source: 'a = 1' }, { source: 'b = 2' }], { minor: 4 }));
+
+    const result = JSON.parse((await server.call('notebook_migrate_cell_ids', { path: notebookPath })).text.split('\nRevision:')[0]);
+    assert.deepEqual(result.nbformat_minor, { from: 4, to: 5 });
+    assert.equal(result.ids_added, 2);
+    assert.deepEqual((await fs.readJson(notebookPath)).cells.map(cell => cell.id), result.cell_ids);
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
+
+test('notebook_move_cell names the cell by id only when it has one', async () => {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const oldPath = path.join(dir, 'old.ipynb');
+    const newPath = path.join(dir, 'new.ipynb');
+    await fs.writeJson(oldPath, notebook([{ source: 'a' }, { source: 'b' }], { minor: 4 }));
+    await fs.writeJson(newPath, notebook([{ source: 'a' }, { source: 'b' }]));
+
+    const moved = await server.call('notebook_move_cell', { path: oldPath, from_index: 0, to_index: 1 });
+    assert.match(moved.text, /^Moved cell 0 to index 1\n/);
+    const movedWithId = await server.call('notebook_move_cell', { path: newPath, from_index: 0, to_index: 1 });
+    assert.match(movedWithId.text, /^Moved cell 0 \(id: cell-0\) to index 1\n/);
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
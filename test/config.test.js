@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { loadConfig, resolveConfig, redactConfig } from '../src/config.js';
+
+async function withConfigDir(files, callback) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'notebook-mcp-config-'));
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      await fs.writeFile(path.join(dir, name), content);
+    }
+    return await callback(dir);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('layers defaults, config file, environment and flags in that order', async () => {
+  await withConfigDir({
+    'notebook-mcp.yaml': 'language_version: "3.11"\nlimits: { max_output_chars: 10 }\nhistory_dir: history\n'
+  }, async dir => {
+    const { config, sources, file } = await loadConfig({
+      args: ['--max-output-chars', '30'],
+      env: { NOTEBOOK_MCP_MAX_OUTPUT_CHARS: '20', NOTEBOOK_MCP_KERNEL_NAME: 'ir' },
+      cwd: dir
+    });
+    assert.equal(file, path.join(dir, 'notebook-mcp.yaml'));
+    assert.equal(config.language_version, '3.11');
+    assert.equal(config.history_dir, path.join(dir, 'history'));
+    assert.equal(config.kernelspec.name, 'ir');
+    assert.equal(config.limits.max_output_chars, 30);
+    assert.equal(config.limits.max_cell_chars, 1000000);
+    assert.deepEqual(sources, {
+      language_version: 'file',
+      history_dir: 'file',
+      'limits.max_output_chars': 'cli',
+      'kernelspec.name': 'env'
+    });
+  });
+});
+
+test('treats boolean flags as switches wherever they appear', async () => {
+  const { config } = await loadConfig({
+    args: ['--read-only', '--port', '4000', '--no-sort-keys', '--split-lines=false', '--trailing-newline', '--indent', '2'],
+    env: {},
+    cwd: os.tmpdir()
+  });
+  assert.equal(config.read_only, true);
+  assert.equal(config.transport.port, 4000);
+  assert.equal(config.write.sort_keys, false);
+  assert.equal(config.write.split_lines, false);
+  assert.equal(config.write.trailing_newline, true);
+  assert.equal(config.write.indent, 2);
+});
+
+test('parses boolean and list values from the environment', async () => {
+  const { config } = await loadConfig({
+    args: ['--disable-tool', 'notebook_run_all'],
+    env: { NOTEBOOK_MCP_READ_ONLY: 'yes', NOTEBOOK_MCP_PRESERVE_FORMAT: 'off', NOTEBOOK_MCP_DISABLED_TOOLS: 'ignored' },
+    cwd: os.tmpdir()
+  });
+  assert.equal(config.read_only, true);
+  assert.equal(config.write.preserve_format, false);
+  assert.deepEqual(config.tools.disabled, ['notebook_run_all']);
+});
+
+test('rejects unknown keys and invalid values with their source', async () => {
+  await withConfigDir({ 'notebook-mcp.json': '{"limits": {"max_cel_chars": 1}}' }, async dir => {
+    await assert.rejects(loadConfig({ args: [], env: {}, cwd: dir }), /Unknown configuration key in .*: limits\.max_cel_chars/);
+  });
+  await assert.rejects(
+    loadConfig({ args: [], env: { NOTEBOOK_MCP_READ_ONLY: 'maybe' }, cwd: os.tmpdir() }),
+    /Invalid read_only from NOTEBOOK_MCP_READ_ONLY: expected a boolean/
+  );
+  await assert.rejects(
+    loadConfig({ args: ['--max-cell-chars', '-1'], env: {}, cwd: os.tmpdir() }),
+    /Invalid limits\.max_cell_chars from --max-cell-chars: expected a non-negative number/
+  );
+  await assert.rejects(
+    loadConfig({ args: ['--transport', 'websocket'], env: {}, cwd: os.tmpdir() }),
+    /expected one of stdio, http/
+  );
+});
+
+test('picks the storage backend from the Jupyter URL and redacts tokens', () => {
+  const config = resolveConfig({ storage: { jupyter_url: 'http://localhost:8888', jupyter_token: 'secret' } });
+  assert.equal(config.storage.backend, 'jupyter');
+  assert.equal(redactConfig(config).storage.jupyter_token, '********');
+  assert.equal(config.storage.jupyter_token, 'secret');
+  assert.throws(() => resolveConfig({ storage: { backend: 'jupyter' } }), /storage\.jupyter_url is not set/);
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs-extra';
+import path from 'path';
+import { diffNotebooks, formatDiff, diffLines, matchSequences } from '../src/diff.js';
+import { makeTempDir, startServer, notebook } from './helpers.js';
+
+test('diffLines groups changes into hunks with two lines of context', () => {
+  const hunks = diffLines(['a', 'b', 'c', 'd', 'e', 'f', 'g'], ['a', 'b', 'c', 'D', 'e', 'f', 'g']);
+  assert.deepEqual(hunks, [{ old_start: 2, new_start: 2, lines: [' b', ' c', '-d', '+D', ' e', ' f'] }]);
+  assert.deepEqual(diffLines(['same'], ['same']), []);
+  assert.deepEqual(diffLines([], ['new']), [{ old_start: 1, new_start: 1, lines: ['+new'] }]);
+});
+
+test('large sources are diffed in linear time once their changed middles are too large to align', () => {
+  const oldLines = Array.from({ length: 5000 }, (_, index) => `old ${index}`);
+  const newLines = Array.from({ length: 5000 }, (_, index) => `new ${index}`);
+  const started = Date.now();
+
+  const hunks = diffLines(['head', ...oldLines, 'tail'], ['head', ...newLines, 'tail']);
+  assert.equal(hunks.length, 1);
+  assert.deepEqual(hunks[0].lines.slice(0, 2), [' head', '-old 0']);
+  assert.equal(hunks[0].lines.filter(line => line.startsWith('-')).length, 5000);
+  assert.equal(hunks[0].lines.filter(line => line.startsWith('+')).length, 5000);
+  assert.equal(hunks[0].lines[hunks[0].lines.length - 1], ' tail');
+
+  // A small edit in a large cell is still aligned exactly around the common ends
+  const edited = [...oldLines];
+  edited[2500] = 'changed';
+  assert.deepEqual(diffLines(oldLines, edited), [{ old_start: 2499, new_start: 2499, lines: [' old 2498', ' old 2499', '-old 2500', '+changed', ' old 2501', ' old 2502'] }]);
+  assert.equal(matchSequences(oldLines, edited).length, 4999);
+
+  const before = notebook([{ source: oldLines.join('\n') }], { minor: 4 });
+  const after = notebook([{ source: [...oldLines.slice(0, 4000), ...newLines.slice(0, 1000)].join('\n') }], { minor: 4 });
+  assert.equal(diffNotebooks(before, after).summary.modified, 1);
+  assert.ok(Date.now() - started < 5000, `diffing took ${Date.now() - started}ms`);
+});
+
+test('diffNotebooks matches cells by id and reports added, removed, modified and moved cells', () => {
+  const before = notebook([
+    { id: 'load', source: 'data = load()' },
+    { id: 'plot', source: 'plot(data)' },
+    { id: 'note', cell_type: 'markdown', source: '# Notes' },
+    { id: 'old', source: 'debug(data)' }
+  ]);
+  const after = notebook([
+    { id: 'note', cell_type: 'markdown', source: '# Notes' },
+    { id: 'load', source: 'data = load()' },
+    { id: 'plot', source: 'plot(data, kind="bar")', metadata: { tags: ['figure'] } },
+    { id: 'save', source: 'save(data)' }
+  ]);
+  after.metadata.title = 'Report';
+
+  const diff = diffNotebooks(before, after);
+  assert.deepEqual(diff.summary, { added: 1, removed: 1, modified: 1, moved: 1, unchanged: 1 });
+  assert.deepEqual(diff.metadata, [{ key: 'title', action: 'added', to: 'Report' }]);
+  assert.equal(diff.nbformat, null);
+
+  const byId = Object.fromEntries(diff.cells.map(cell => [cell.id, cell]));
+  assert.equal(byId.save.status, 'added');
+  assert.equal(byId.old.status, 'removed');
+  assert.equal(byId.note.status, 'moved');
+  assert.equal(byId.load.status, 'unchanged');
+  assert.equal(byId.plot.status, 'modified');
+  assert.deepEqual(byId.plot.changes.source, [{ old_start: 1, new_start: 1, lines: ['-plot(data)', '+plot(data, kind="bar")'] }]);
+  assert.deepEqual(byId.plot.changes.metadata, [{ key: 'tags', action: 'added', to: ['figure'] }]);
+});
+
+test('formatDiff renders a readable summary of each changed cell', () => {
+  const before = notebook([{ source: 'x = 1\ny = 2' }, { source: 'print(x)' }]);
+  const after = notebook([{ source: 'x = 1\ny = 3' }, { source: 'print(x)', execution_count: 4 }]);
+
+  const text = formatDiff(diffNotebooks(before, after), 'a.ipynb', 'b.ipynb');
+  assert.equal(text, [
+    '--- a.ipynb',
+    '+++ b.ipynb',
+    '0 added, 0 removed, 2 modified, 0 moved, 0 unchanged',
+    '',
+    '~ modified code cell [cell-0] at 0',
+    '  @@ -1 +1 @@',
+    '   x = 1',
+    '  -y = 2',
+    '  +y = 3',
+    '',
+    '~ modified code cell [cell-1] at 1',
+    '  execution_count: null -> 4'
+  ].join('\n'));
+});
+
+test('notebook_diff reads an nbformat 3 git revision through the same upgrade as the working copy', async () => {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const notebookPath = path.join(dir, 'legacy.ipynb');
+    await fs.writeJson(notebookPath, {
+      metadata: { name: 'legacy' },
+      nbformat: 3,
+      nbformat_minor: 0,
+      worksheets: [{
+        cells: [
+          { cell_type: 'heading', level: 1, metadata: {}, source: 'Load' },
+          { cell_type: 'code', language: 'python', input: 'data = load()', metadata: {}, outputs: [] },
+          { cell_type: 'code', language: 'python', input: 'plot(data)', metadata: {}, outputs: [] }
+        ]
+      }]
+    });
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: dir, stdio: 'ignore' });
+    git('init', '-q');
+    git('add', 'legacy.ipynb');
+    git('commit', '-q', '-m', 'v3 notebook');
+
+    await server.call('notebook_convert_version', { path: notebookPath, target_version: '4.5' });
+    await server.call('notebook_edit_cell', { path: notebookPath, cell_id: 'cell-2', new_source: 'plot(data, kind="bar")' });
+
+    const result = await server.call('notebook_diff', { path: notebookPath, revision: 'HEAD', format: 'json' });
+    const diff = JSON.parse(result.content[0].text);
+    assert.deepEqual(diff.summary, { added: 0, removed: 0, modified: 1, moved: 0, unchanged: 2 });
+    assert.deepEqual(diff.cells.map(cell => cell.id), ['cell-0', 'cell-1', 'cell-2']);
+    assert.deepEqual(diff.cells[2].changes.source[0].lines, ['-plot(data)', '+plot(data, kind="bar")']);
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
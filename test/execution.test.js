@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JupyterMCPClient } from '../src/client.js';
+import { makeTempDir, startServer, notebook, installFakeKernel } from './helpers.js';
+
+async function withServer(callback) {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir, env: { JUPYTER_PATH: await installFakeKernel(dir) } });
+  try {
+    return await callback(server, dir);
+  } finally {
+    await server.call('notebook_kernel_shutdown', { path: path.join(dir, 'run.ipynb') }).catch(() => {});
+    await server.close();
+    await fs.remove(dir);
+  }
+}
+
+const text = value => [].concat(value).join('');
+
+function fakeNotebook(sources) {
+  const nb = notebook(sources.map(source => ({ source })));
+  nb.metadata.kernelspec = { name: 'fake', display_name: 'Fake', language: 'fake' };
+  return nb;
+}
+
+test('execute_cell saves outputs and does not block edits while the kernel runs', async () => {
+  await withServer(async (server, dir) => {
+    const notebookPath = path.join(dir, 'run.ipynb');
+    await fs.writeJson(notebookPath, fakeNotebook(['print warm']));
+    assert.ok(!(await server.call('notebook_execute_cell', { path: notebookPath, cell_index: 0 })).isError);
+    await server.call('notebook_add_cell', { path: notebookPath, cell_type: 'code', source: 'sleep 1500\nprint done', index: 0 });
+
+    const started = Date.now();
+    const execution = server.call('notebook_execute_cell', { path: notebookPath, cell_index: 1 });
+    await new Promise(resolve => setTimeout(resolve, 200));
+    const edit = await server.call('notebook_edit_cell', { path: notebookPath, cell_index: 0, new_source: 'print edited' });
+    const undo = await server.call('notebook_undo', { path: notebookPath });
+    const redo = await server.call('notebook_redo', { path: notebookPath });
+    const editedAfter = Date.now() - started;
+
+    const result = await execution;
+    assert.ok(!edit.isError && !undo.isError && !redo.isError);
+    assert.ok(editedAfter < 1200, `edits waited ${editedAfter}ms for the kernel`);
+    assert.ok(!result.isError, result.text);
+
+    const written = await fs.readJson(notebookPath);
+    assert.equal(text(written.cells[0].source), 'print edited');
+    assert.deepEqual(written.cells[1].outputs.map(output => [output.name, text(output.text)]), [['stdout', 'done\n']]);
+    assert.equal(written.cells[1].execution_count, 2);
+
+    assert.ok(!(await server.call('notebook_undo', { path: notebookPath })).isError);
+    assert.deepEqual((await fs.readJson(notebookPath)).cells[1].outputs, []);
+  });
+});
+
+test('run_all saves each cell as it finishes and leaves the notebook editable', async () => {
+  await withServer(async (server, dir) => {
+    const notebookPath = path.join(dir, 'run.ipynb');
+    await fs.writeJson(notebookPath, fakeNotebook(['print one', 'sleep 2000\nprint two', 'fail boom', 'print four']));
+
+    const run = server.call('notebook_run_all', { path: notebookPath, allow_errors: true }).then(result => ({ result, at: Date.now() }));
+    await new Promise(resolve => setTimeout(resolve, 500));
+    await server.call('notebook_edit_cell_metadata', { path: notebookPath, cell_index: 3, metadata: { tags: ['late'] } });
+    const editedAt = Date.now();
+    const { result, at: finishedAt } = await run;
+    const summary = JSON.parse(result.text.split('\nRevision:')[0]);
+
+    assert.ok(finishedAt - editedAt > 500, 'the edit waited for the whole run');
+    assert.equal(summary.executed, 4);
+    assert.deepEqual(summary.failed.map(failure => [failure.cell_index, failure.ename]), [[2, 'RuntimeError']]);
+    const written = await fs.readJson(notebookPath);
+    assert.deepEqual(written.cells.map(cell => cell.execution_count), [1, 2, 3, 4]);
+    assert.equal(text(written.cells[1].outputs[0].text), 'two\n');
+    assert.deepEqual(written.cells[3].metadata, { tags: ['late'] });
+  });
+});
+
+test('run_all is a single undo step when nothing else edits the notebook', async () => {
+  await withServer(async (server, dir) => {
+    const notebookPath = path.join(dir, 'run.ipynb');
+    await fs.writeJson(notebookPath, fakeNotebook(['print one', 'print two']));
+    const original = await fs.readFile(notebookPath, 'utf8');
+
+    const summary = JSON.parse((await server.call('notebook_run_all', { path: notebookPath })).text.split('\nRevision:')[0]);
+    assert.equal(summary.status, 'completed');
+    assert.ok(!(await server.call('notebook_undo', { path: notebookPath })).isError);
+    assert.equal(await fs.readFile(notebookPath, 'utf8'), original);
+  });
+});
+
+test('start_kernel and execute_cell started together share one kernel', async () => {
+  await withServer(async (server, dir) => {
+    const notebookPath = path.join(dir, 'run.ipynb');
+    await fs.writeJson(notebookPath, fakeNotebook(['print hello']));
+
+    const [executed, started] = await Promise.all([
+      server.call('notebook_execute_cell', { path: notebookPath, cell_index: 0 }),
+      server.call('notebook_kernel_start', { path: notebookPath })
+    ]);
+    assert.ok(!executed.isError, executed.text);
+    const kernel = JSON.parse(started.content[0].text);
+
+    // Whichever call got there first started the kernel, and the cell ran on it
+    const again = JSON.parse((await server.call('notebook_kernel_start', { path: notebookPath })).content[0].text);
+    assert.equal(again.already_running, true);
+    assert.equal(again.pid, kernel.pid);
+    assert.equal(again.execution_count, 1);
+  });
+});
+
+test('the client keeps a run_all longer than its per-cell timeout alive through progress notifications', async () => {
+  const dir = await makeTempDir();
+  const client = new JupyterMCPClient();
+  await client.connect([process.execPath, fileURLToPath(new URL('../src/server.js', import.meta.url)), '--allowed-root', dir], {
+    env: { JUPYTER_PATH: await installFakeKernel(dir) }
+  });
+  try {
+    const notebookPath = path.join(dir, 'run.ipynb');
+    await fs.writeJson(notebookPath, fakeNotebook(Array.from({ length: 8 }, (_, index) => `sleep 800\nprint ${index}`)));
+
+    const updates = [];
+    const started = Date.now();
+    const result = await client.runAll(notebookPath, { timeout: 1, onProgress: update => updates.push(update) });
+    const elapsed = Date.now() - started;
+
+    assert.ok(!result.isError, result.content[0].text);
+    assert.equal(JSON.parse(result.content[0].text).executed, 8);
+    assert.ok(elapsed > 6000, `the run took ${elapsed}ms, not long enough to outlast the request timeout`);
+    assert.deepEqual(updates.map(update => update.progress), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+    assert.ok(updates.every(update => update.total === 8));
+  } finally {
+    await client.close();
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { exportNotebookContent, getExportExtension, stripAnsi } from '../src/exporter.js';
+import { makeTempDir, startServer, notebook as makeNotebook } from './helpers.js';
+
+const notebook = {
+  nbformat: 4,
+  nbformat_minor: 5,
+  metadata: { kernelspec: { name: 'python3', display_name: 'Python 3', language: 'python' } },
+  cells: [
+    { cell_type: 'markdown', id: 'intro', metadata: {}, source: ['# Title\n', 'Some <b>text</b>'] },
+    {
+      cell_type: 'code',
+      id: 'code',
+      metadata: {},
+      execution_count: 3,
+      source: 'x = 1\nprint(x)',
+      outputs: [{ output_type: 'stream', name: 'stdout', text: ['\u001b[31m1\u001b[0m\n'] }]
+    },
+    { cell_type: 'raw', id: 'raw', metadata: {}, source: 'raw text' }
+  ]
+};
+
+test('exports to a Python script with execution counts and commented Markdown', () => {
+  const script = exportNotebookContent(notebook, 'python');
+  assert.match(script, /^#!\/usr\/bin\/env python\n# coding: utf-8\n/);
+  assert.match(script, /# # Title\n# Some <b>text<\/b>\n/);
+  assert.match(script, /# In\[3\]:\n\n\nx = 1\nprint\(x\)\n/);
+  assert.match(script, /# Raw cell:\n# raw text\n/);
+});
+
+test('exports to Markdown with fenced code and indented ANSI-free outputs', () => {
+  const markdown = exportNotebookContent(notebook, 'markdown');
+  assert.match(markdown, /```python\nx = 1\nprint\(x\)\n```\n\n {4}1\n/);
+  assert.doesNotMatch(markdown, /\u001b/);
+});
+
+test('exports to standalone HTML with escaped sources', () => {
+  const html = exportNotebookContent(notebook, 'html', 'My <Notebook>');
+  assert.match(html, /<title>My &lt;Notebook&gt;<\/title>/);
+  assert.match(html, /<h1[^>]*>Title<\/h1>/);
+  assert.doesNotMatch(html, /\u001b/);
+});
+
+test('rejects unknown formats and maps known ones to extensions', () => {
+  assert.throws(() => exportNotebookContent(notebook, 'pdf'), /Unsupported export format: pdf/);
+  assert.equal(getExportExtension('markdown'), '.md');
+  assert.equal(stripAnsi('\u001b[1;32mok\u001b[0m'), 'ok');
+});
+
+test('notebook_export only writes files with the format\'s extension and never replaces one without overwrite', async () => {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const notebookPath = path.join(dir, 'a.ipynb');
+    const otherPath = path.join(dir, 'b.ipynb');
+    await fs.writeJson(notebookPath, makeNotebook([{ source: 'x = 1' }]));
+    await fs.writeJson(otherPath, makeNotebook([{ source: 'keep = True' }]));
+    const other = await fs.readFile(otherPath, 'utf8');
+
+    const intoNotebook = await server.call('notebook_export', { path: notebookPath, format: 'python', output_path: otherPath });
+    assert.equal(intoNotebook.isError, true);
+    assert.match(intoNotebook.text, /must end in \.py/);
+    assert.equal(await fs.readFile(otherPath, 'utf8'), other);
+
+    const wrongExtension = await server.call('notebook_export', { path: notebookPath, format: 'html', output_path: path.join(dir, 'a.md') });
+    assert.match(wrongExtension.text, /must end in \.html/);
+
+    const exported = await server.call('notebook_export', { path: notebookPath, format: 'python' });
+    assert.ok(!exported.isError, exported.text);
+    await fs.writeFile(path.join(dir, 'a.py'), 'edited by hand\n');
+
+    const again = await server.call('notebook_export', { path: notebookPath, format: 'python' });
+    assert.match(again.text, /already exists.*use overwrite/);
+    assert.equal(await fs.readFile(path.join(dir, 'a.py'), 'utf8'), 'edited by hand\n');
+
+    const replaced = await server.call('notebook_export', { path: notebookPath, format: 'python', overwrite: true });
+    assert.ok(!replaced.isError, replaced.text);
+    assert.match(await fs.readFile(path.join(dir, 'a.py'), 'utf8'), /x = 1/);
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { MutationQueue } from '../src/file-store.js';
+import { makeTempDir, startServer, notebook } from './helpers.js';
+
+const revisionOf = text => text.match(/Revision: (\S+)/)[1];
+
+test('MutationQueue.runAll serializes with every key it holds and never deadlocks', async () => {
+  const queue = new MutationQueue();
+  const events = [];
+  const task = (label, delay) => async () => {
+    events.push(`${label} start`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    events.push(`${label} end`);
+  };
+
+  await Promise.all([
+    queue.runAll(['a', 'b'], task('ab', 20)),
+    queue.runAll(['b', 'a'], task('ba', 10)),
+    queue.run('b', task('b', 0))
+  ]);
+  assert.equal(events.length, 6);
+  for (let index = 0; index < events.length; index += 2) {
+    assert.equal(events[index + 1], events[index].replace('start', 'end'));
+  }
+});
+
+test('notebook_import_script without a path checks expected_revision against the notebook it writes', async () => {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const scriptPath = path.join(dir, 'analysis.py');
+    await fs.writeFile(scriptPath, '# %%\nx = 1\n');
+    await fs.writeJson(path.join(dir, 'analysis.ipynb'), notebook([{ source: 'old = True' }]));
+    const revision = revisionOf((await server.call('notebook_read', { path: path.join(dir, 'analysis.ipynb') })).text);
+
+    const stale = await server.call('notebook_import_script', { script_path: scriptPath, overwrite: true, expected_revision: 'stale' });
+    assert.equal(stale.isError, true);
+    assert.match(stale.text, /Conflict: .*analysis\.ipynb has changed since revision stale/);
+
+    const imported = await server.call('notebook_import_script', { script_path: scriptPath, overwrite: true, expected_revision: revision });
+    assert.ok(!imported.isError, imported.text);
+    assert.notEqual(revisionOf(imported.text), revision);
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
+
+test('notebook_rename checks expected_revision against the notebook being moved', async () => {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const oldPath = path.join(dir, 'draft.ipynb');
+    const newPath = path.join(dir, 'final.ipynb');
+    await fs.writeJson(oldPath, notebook([{ source: 'x = 1' }]));
+    const revision = revisionOf((await server.call('notebook_read', { path: oldPath })).text);
+
+    const stale = await server.call('notebook_rename', { old_path: oldPath, new_path: newPath, expected_revision: 'stale' });
+    assert.equal(stale.isError, true);
+    assert.ok(await fs.pathExists(oldPath));
+
+    const renamed = await server.call('notebook_rename', { old_path: oldPath, new_path: newPath, expected_revision: revision });
+    assert.ok(!renamed.isError, renamed.text);
+    assert.ok(await fs.pathExists(newPath));
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
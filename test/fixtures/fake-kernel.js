@@ -0,0 +1,89 @@
+// A minimal Jupyter kernel for tests. Each line of a cell is a command:
+//   print <text>   writes <text> and a newline to stdout
+//   sleep <ms>     waits before running the next line
+//   fail <message> raises an error and stops the cell
+import crypto from 'crypto';
+import fs from 'fs';
+import * as zmq from 'zeromq';
+
+const DELIMITER = '<IDS|MSG>';
+const connection = JSON.parse(fs.readFileSync(process.argv[2], 'utf8'));
+const url = port => `tcp://${connection.ip}:${port}`;
+const shell = new zmq.Router();
+const control = new zmq.Router();
+const iopub = new zmq.Publisher();
+let executionCount = 0;
+
+function sign(parts) {
+  const hmac = crypto.createHmac('sha256', connection.key);
+  parts.forEach(part => hmac.update(part));
+  return hmac.digest('hex');
+}
+
+function parse(frames) {
+  const start = frames.findIndex(frame => frame.toString() === DELIMITER);
+  const [header, parentHeader, metadata, content] = frames.slice(start + 2, start + 6).map(frame => JSON.parse(frame.toString()));
+  return { identities: frames.slice(0, start), header, parent_header: parentHeader, metadata, content };
+}
+
+async function send(socket, parent, msgType, content, identities = []) {
+  const header = { msg_id: crypto.randomUUID(), session: parent.header.session, username: 'kernel', date: new Date().toISOString(), msg_type: msgType, version: '5.3' };
+  const parts = [header, parent.header, {}, content].map(part => JSON.stringify(part));
+  await socket.send([...identities, DELIMITER, sign(parts), ...parts]);
+}
+
+const status = (parent, state) => send(iopub, parent, 'status', { execution_state: state });
+
+async function execute(request) {
+  executionCount++;
+  await send(iopub, request, 'execute_input', { code: request.content.code, execution_count: executionCount });
+  for (const line of request.content.code.split('\n')) {
+    const [command, ...rest] = line.split(' ');
+    const argument = rest.join(' ');
+    if (command === 'print') {
+      await send(iopub, request, 'stream', { name: 'stdout', text: `${argument}\n` });
+    } else if (command === 'sleep') {
+      await new Promise(resolve => setTimeout(resolve, Number(argument)));
+    } else if (command === 'fail') {
+      await send(iopub, request, 'error', { ename: 'RuntimeError', evalue: argument, traceback: [`RuntimeError: ${argument}`] });
+      return { status: 'error', execution_count: executionCount, ename: 'RuntimeError', evalue: argument, traceback: [] };
+    }
+  }
+  return { status: 'ok', execution_count: executionCount, user_expressions: {} };
+}
+
+async function serve(socket) {
+  for await (const frames of socket) {
+    const request = parse(frames);
+    await status(request, 'busy');
+    switch (request.header.msg_type) {
+      case 'kernel_info_request':
+        await send(socket, request, 'kernel_info_reply', {
+          status: 'ok',
+          protocol_version: '5.3',
+          implementation: 'fake',
+          language_info: { name: 'fake' }
+        }, request.identities);
+        break;
+      case 'execute_request':
+        await send(socket, request, 'execute_reply', await execute(request), request.identities);
+        break;
+      case 'shutdown_request':
+        await send(socket, request, 'shutdown_reply', { status: 'ok', restart: false }, request.identities);
+        await status(request, 'idle');
+        process.exit(0);
+        break;
+      default:
+        break;
+    }
+    await status(request, 'idle');
+  }
+}
+
+await Promise.all([shell.bind(url(connection.shell_port)), control.bind(url(connection.control_port)), iopub.bind(url(connection.iopub_port))]);
+process.on('SIGINT', () => {});
+// Exit with the server that launched us, even if it was killed before shutting us down
+const parent = process.ppid;
+setInterval(() => process.ppid !== parent && process.exit(0), 500);
+serve(shell);
+serve(control);
@@ -0,0 +1,59 @@
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SERVER_PATH = fileURLToPath(new URL('../src/server.js', import.meta.url));
+
+async function makeTempDir(prefix = 'notebook-mcp-test-') {
+  return fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), prefix)));
+}
+
+// Starts the server over stdio with the given flags; call close() when done
+async function startServer(args = [], { cwd, env = {} } = {}) {
+  const client = new Client({ name: 'notebook-mcp-test', version: '1.0.0' }, { capabilities: {} });
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH, ...args],
+    cwd,
+    env: { PATH: process.env.PATH, HOME: process.env.HOME, ...env },
+    stderr: 'ignore'
+  });
+  await client.connect(transport);
+
+  const call = async (name, args = {}) => {
+    const result = await client.callTool({ name, arguments: args });
+    return { ...result, text: result.content.filter(block => block.type === 'text').map(block => block.text).join('\n') };
+  };
+  return { client, call, close: () => client.close() };
+}
+
+function notebook(cells, { minor = 5 } = {}) {
+  return {
+    cells: cells.map((cell, index) => ({
+      cell_type: 'code',
+      metadata: {},
+      ...(minor >= 5 ? { id: `cell-${index}` } : {}),
+      ...(cell.cell_type === 'markdown' || cell.cell_type === 'raw' ? {} : { execution_count: null, outputs: [] }),
+      ...cell
+    })),
+    metadata: { kernelspec: { name: 'python3', display_name: 'Python 3', language: 'python' } },
+    nbformat: 4,
+    nbformat_minor: minor
+  };
+}
+
+// Installs test/fixtures/fake-kernel.js as the "fake" kernel; pass the result as JUPYTER_PATH
+async function installFakeKernel(dir) {
+  const kernelDir = path.join(dir, 'jupyter', 'kernels', 'fake');
+  await fs.outputJson(path.join(kernelDir, 'kernel.json'), {
+    argv: [process.execPath, fileURLToPath(new URL('./fixtures/fake-kernel.js', import.meta.url)), '{connection_file}'],
+    display_name: 'Fake',
+    language: 'fake'
+  });
+  return path.join(dir, 'jupyter');
+}
+
+export { makeTempDir, startServer, notebook, installFakeKernel };
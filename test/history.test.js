@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { NotebookHistory } from '../src/history.js';
+import { makeTempDir, startServer, notebook } from './helpers.js';
+
+test('notebook_rename can be undone and redone, and the journal moves with the notebook', async () => {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const oldPath = path.join(dir, 'draft.ipynb');
+    const newPath = path.join(dir, 'final.ipynb');
+    await fs.writeJson(oldPath, notebook([{ source: 'x = 1' }]));
+    await server.call('notebook_edit_cell', { path: oldPath, cell_index: 0, new_source: 'x = 2' });
+    await server.call('notebook_rename', { old_path: oldPath, new_path: newPath });
+
+    const history = JSON.parse((await server.call('notebook_history', { path: newPath })).text);
+    assert.deepEqual(history.undo.map(entry => entry.tool), ['notebook_rename', 'notebook_edit_cell']);
+
+    const undone = await server.call('notebook_undo', { path: newPath });
+    assert.match(undone.text, /notebook moved to .*draft\.ipynb/);
+    assert.ok(!(await fs.pathExists(newPath)));
+    assert.equal((await fs.readJson(oldPath)).cells[0].source, 'x = 2');
+
+    await server.call('notebook_undo', { path: oldPath });
+    assert.equal((await fs.readJson(oldPath)).cells[0].source, 'x = 1');
+
+    const redone = await server.call('notebook_redo', { path: oldPath, steps: 2 });
+    assert.ok(!redone.isError, redone.text);
+    assert.ok(!(await fs.pathExists(oldPath)));
+    assert.equal((await fs.readJson(newPath)).cells[0].source, 'x = 2');
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
+
+test('undoing a rename refuses to overwrite a notebook created at the old path', async () => {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const oldPath = path.join(dir, 'draft.ipynb');
+    const newPath = path.join(dir, 'final.ipynb');
+    await fs.writeJson(oldPath, notebook([{ source: 'x = 1' }]));
+    await server.call('notebook_rename', { old_path: oldPath, new_path: newPath });
+    await fs.writeJson(oldPath, notebook([{ source: 'other = True' }]));
+
+    const undone = await server.call('notebook_undo', { path: newPath });
+    assert.equal(undone.isError, true);
+    assert.match(undone.text, /already exists/);
+    assert.ok(await fs.pathExists(newPath));
+    assert.equal((await fs.readJson(oldPath)).cells[0].source, 'other = True');
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
+
+test('notebook_import_script records an undo step for the notebook it creates', async () => {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const scriptPath = path.join(dir, 'analysis.py');
+    const notebookPath = path.join(dir, 'analysis.ipynb');
+    await fs.writeFile(scriptPath, '# %%\nx = 1\n\n# %%\ny = 2\n');
+    await server.call('notebook_import_script', { script_path: scriptPath });
+    assert.equal((await fs.readJson(notebookPath)).cells.length, 2);
+
+    const undone = await server.call('notebook_undo', { path: notebookPath });
+    assert.match(undone.text, /notebook_import_script \(notebook removed\)/);
+    assert.ok(!(await fs.pathExists(notebookPath)));
+    assert.ok(await fs.pathExists(scriptPath));
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
+
+// Records successive versions of one notebook as separate steps, writing each to disk as the tools would
+async function recordVersions(history, notebookPath, versions) {
+  let before = await fs.readFile(notebookPath, 'utf8').catch(() => null);
+  for (const [index, after] of versions.entries()) {
+    await fs.writeFile(notebookPath, after);
+    await history.record(notebookPath, { tool: 'notebook_edit_cell', args: { path: notebookPath, cell_index: index }, before, after });
+    before = after;
+  }
+}
+
+test('the history sidecar stores each notebook version once, outside the journal', async () => {
+  const dir = await makeTempDir();
+  try {
+    const notebookPath = path.join(dir, 'nb.ipynb');
+    const historyDir = path.join(dir, 'history');
+    const versions = [1, 2, 3, 4].map(n => JSON.stringify(notebook([{ source: `x = ${n}` }])));
+    await fs.writeFile(notebookPath, versions[0]);
+    const history = new NotebookHistory({ directory: historyDir });
+    await recordVersions(history, notebookPath, versions.slice(1));
+
+    const sidecar = (await fs.readdir(historyDir)).find(name => name.endsWith('.json'));
+    const journal = await fs.readJson(path.join(historyDir, sidecar));
+    assert.equal(journal.undo.length, 3);
+    assert.ok(journal.undo.every(entry => !('before' in entry) && !('after' in entry)));
+    assert.equal((await fs.readdir(path.join(historyDir, path.basename(sidecar, '.json')))).length, 4);
+
+    // A fresh instance reads the snapshots back, and undoing drops the versions no step refers to any more
+    const reloaded = new NotebookHistory({ directory: historyDir });
+    await reloaded.undo(notebookPath, 2);
+    assert.equal(await fs.readFile(notebookPath, 'utf8'), versions[1]);
+    await recordVersions(reloaded, notebookPath, [versions[3]]);
+    assert.equal((await fs.readdir(path.join(historyDir, path.basename(sidecar, '.json')))).length, 3);
+    assert.deepEqual((await reloaded.list(notebookPath)).undo.map(entry => entry.arguments.cell_index), [0, 0]);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('the history drops its oldest steps once the snapshots exceed the byte cap', async () => {
+  const dir = await makeTempDir();
+  try {
+    const notebookPath = path.join(dir, 'nb.ipynb');
+    const versions = [1, 2, 3, 4, 5].map(n => JSON.stringify(notebook([{ source: String(n).repeat(1000) }])));
+    const size = Buffer.byteLength(versions[0]);
+    await fs.writeFile(notebookPath, versions[0]);
+    const history = new NotebookHistory({ directory: path.join(dir, 'history'), maxBytes: size * 3 });
+    await recordVersions(history, notebookPath, versions.slice(1));
+
+    const { undo } = await history.list(notebookPath);
+    assert.equal(undo.length, 2);
+    await history.undo(notebookPath, 2);
+    assert.equal(await fs.readFile(notebookPath, 'utf8'), versions[2]);
+
+    // A single step larger than the cap is still kept
+    const tiny = new NotebookHistory({ maxBytes: 10 });
+    await recordVersions(tiny, notebookPath, [versions[0], versions[1]]);
+    assert.equal((await tiny.list(notebookPath)).undo.length, 1);
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { spawn } from 'child_process';
+import fs from 'fs-extra';
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { makeTempDir } from './helpers.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../src/server.js', import.meta.url));
+
+// Starts the server on a free loopback port and resolves once it is listening
+function startHttp(dir, args = []) {
+  const child = spawn(process.execPath, [SERVER_PATH, '--allowed-root', dir, '--transport', 'http', '--port', '0', ...args], { cwd: dir, stdio: ['ignore', 'ignore', 'pipe'] });
+  return new Promise((resolve, reject) => {
+    let stderr = '';
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+      const match = stderr.match(/listening on http:\/\/[^:]+:(\d+)/);
+      if (match) {
+        resolve({ port: Number(match[1]), close: () => child.kill() });
+      }
+    });
+    child.once('exit', code => reject(new Error(`server exited with ${code}: ${stderr}`)));
+  });
+}
+
+function get(port, host, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: '/health', headers: { Host: host, ...headers } }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    }).on('error', reject);
+  });
+}
+
+test('without an auth token only loopback Host headers for the bound port are accepted', async () => {
+  const dir = await makeTempDir();
+  const server = await startHttp(dir);
+  try {
+    assert.equal(await get(server.port, `localhost:${server.port}`), 200);
+    assert.equal(await get(server.port, `127.0.0.1:${server.port}`), 200);
+    assert.equal(await get(server.port, `[::1]:${server.port}`), 200);
+    assert.equal(await get(server.port, `attacker.example:${server.port}`), 403);
+    assert.equal(await get(server.port, 'localhost'), 403);
+    assert.equal(await get(server.port, `localhost:${server.port + 1}`), 403);
+
+    const client = new Client({ name: 'notebook-mcp-test', version: '1.0.0' }, { capabilities: {} });
+    await client.connect(new StreamableHTTPClientTransport(new URL(`http://localhost:${server.port}/mcp`)));
+    assert.ok((await client.listTools()).tools.some(tool => tool.name === 'notebook_read'));
+    await client.close();
+  } finally {
+    server.close();
+    await fs.remove(dir);
+  }
+});
+
+test('with an auth token other Host headers are left to the token check', async () => {
+  const dir = await makeTempDir();
+  const server = await startHttp(dir, ['--auth-token', 'secret']);
+  try {
+    assert.equal(await get(server.port, 'notebooks.example.org'), 200);
+  } finally {
+    server.close();
+    await fs.remove(dir);
+  }
+});
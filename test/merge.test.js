@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { mergeNotebooks, resolveConflictCell, CONFLICT_KEY } from '../src/merge.js';
+import { validateStructure } from '../src/validator.js';
+import { makeTempDir, notebook } from './helpers.js';
+
+const DRIVER_PATH = fileURLToPath(new URL('../src/merge-driver.js', import.meta.url));
+
+function errors(nb) {
+  return validateStructure(nb).issues.filter(issue => issue.severity === 'error');
+}
+
+function withSources(nb, sources) {
+  return { ...nb, cells: nb.cells.map((cell, index) => (index in sources ? { ...cell, source: sources[index] } : cell)) };
+}
+
+const base = notebook([
+  { source: 'import numpy as np\nx = 1\nz = 0\ny = 2' },
+  { cell_type: 'markdown', source: '# Notes' },
+  { source: 'print(x)' }
+]);
+
+test('merges non-overlapping edits to the same and different cells', () => {
+  const local = withSources(base, { 0: 'import numpy as np\nx = 10\nz = 0\ny = 2' });
+  const remote = withSources(base, { 0: 'import numpy as np\nx = 1\nz = 0\ny = 20', 1: '# Notes\nMore' });
+  remote.cells.push({ ...remote.cells[2], id: 'added', source: 'print(y)' });
+
+  const { notebook: merged, conflicts, unresolved } = mergeNotebooks(base, local, remote);
+  assert.equal(unresolved, 0);
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(merged.cells.map(cell => cell.source), ['import numpy as np\nx = 10\nz = 0\ny = 20', '# Notes\nMore', 'print(x)', 'print(y)']);
+  assert.deepEqual(merged.cells.map(cell => cell.id), ['cell-0', 'cell-1', 'cell-2', 'added']);
+  assert.deepEqual(errors(merged), []);
+});
+
+test('turns overlapping source edits into a marked conflict cell that can be resolved', () => {
+  const local = withSources(base, { 2: 'print(x, "local")' });
+  const remote = withSources(base, { 2: 'print(x, "remote")' });
+
+  const { notebook: merged, conflicts, unresolved } = mergeNotebooks(base, local, remote);
+  assert.equal(unresolved, 1);
+  assert.deepEqual(conflicts, [{ kind: 'source', location: { local_index: 2, id: 'cell-2' } }]);
+  const conflicted = merged.cells[2];
+  assert.equal(conflicted.source, '<<<<<<< local\nprint(x, "local")\n=======\nprint(x, "remote")\n>>>>>>> remote');
+  assert.equal(conflicted.metadata[CONFLICT_KEY].kind, 'source');
+
+  const resolved = resolveConflictCell(conflicted, 'remote');
+  assert.equal(resolved.source, 'print(x, "remote")');
+  assert.equal(resolved.id, 'cell-2');
+  assert.ok(!(CONFLICT_KEY in resolved.metadata));
+  assert.equal(resolveConflictCell(conflicted, 'source', 'print(x)').source, 'print(x)');
+  assert.throws(() => resolveConflictCell(merged.cells[0], 'local'), /not a merge conflict cell/);
+});
+
+test('resolves output conflicts with the output policy', () => {
+  const withOutput = (nb, text) => ({
+    ...nb,
+    cells: nb.cells.map((cell, index) => (index === 2 ? { ...cell, execution_count: 1, outputs: [{ output_type: 'stream', name: 'stdout', text }] } : cell))
+  });
+  const local = withOutput(base, '1\n');
+  const remote = withOutput(base, 'one\n');
+
+  for (const [policy, expected] of [['local', '1\n'], ['remote', 'one\n'], ['clear', undefined]]) {
+    const { notebook: merged, conflicts, unresolved } = mergeNotebooks(base, local, remote, { outputs: policy });
+    assert.equal(unresolved, 0);
+    assert.equal(conflicts[0].resolution, policy);
+    assert.equal(merged.cells[2].outputs[0]?.text, expected);
+  }
+  assert.throws(() => mergeNotebooks(base, local, remote, { outputs: 'newest' }), /Unsupported output policy/);
+});
+
+test('reports modify/delete conflicts', () => {
+  const local = withSources(base, { 1: '# Changed notes' });
+  const remote = { ...base, cells: base.cells.filter((_cell, index) => index !== 1) };
+
+  const { notebook: merged, conflicts } = mergeNotebooks(base, local, remote);
+  assert.equal(conflicts[0].kind, 'modify/delete');
+  assert.match(merged.cells[1].source, /\(remote deleted this cell\)/);
+  assert.equal(resolveConflictCell(merged.cells[1], 'remote'), null);
+});
+
+test('merging nbformat 4.4 notebooks writes no cell ids', () => {
+  const oldBase = notebook([{ source: 'a = 1\nb = 1\nc = 1' }, { source: 'd = 2\ne = 2\nf = 2' }], { minor: 4 });
+  const local = withSources(oldBase, { 0: 'a = 10\nb = 1\nc = 1' });
+  const remote = withSources(oldBase, { 1: 'd = 2\ne = 2\nf = 20' });
+  remote.cells.push({ cell_type: 'markdown', metadata: {}, source: 'new' });
+  const conflicting = withSources(oldBase, { 0: 'a = 100\nb = 1\nc = 1' });
+
+  for (const other of [remote, conflicting]) {
+    const { notebook: merged } = mergeNotebooks(oldBase, local, other);
+    assert.equal(merged.nbformat_minor, 4);
+    assert.ok(merged.cells.every(cell => !('id' in cell)));
+    assert.deepEqual(errors(merged), []);
+  }
+  const { notebook: merged } = mergeNotebooks(oldBase, local, conflicting);
+  assert.ok(!('id' in resolveConflictCell(merged.cells[0], 'local')));
+});
+
+test('merging a 4.4 notebook with a 4.5 one gives every cell an id', () => {
+  const oldBase = notebook([{ source: 'a = 1' }], { minor: 4 });
+  const remote = notebook([{ source: 'a = 1' }, { source: 'b = 2' }]);
+
+  const { notebook: merged } = mergeNotebooks(oldBase, oldBase, remote);
+  assert.equal(merged.nbformat_minor, 5);
+  assert.equal(new Set(merged.cells.map(cell => cell.id)).size, merged.cells.length);
+  assert.deepEqual(errors(merged), []);
+});
+
+test('the git merge driver writes valid merges and leaves invalid ones alone', async () => {
+  const dir = await makeTempDir();
+  const run = (...files) => promisify(execFile)(process.execPath, [DRIVER_PATH, ...files.map(file => path.join(dir, file))])
+    .then(() => 0, error => error.code);
+  try {
+    const oldBase = notebook([{ source: 'a = 1\nb = 1' }, { source: 'c = 2\nd = 2' }], { minor: 4 });
+    await fs.writeJson(path.join(dir, 'base.ipynb'), oldBase);
+    await fs.writeJson(path.join(dir, 'local.ipynb'), withSources(oldBase, { 0: 'a = 10\nb = 1' }));
+    await fs.writeJson(path.join(dir, 'remote.ipynb'), withSources(oldBase, { 1: 'c = 2\nd = 20' }));
+
+    assert.equal(await run('base.ipynb', 'local.ipynb', 'remote.ipynb'), 0);
+    const merged = await fs.readJson(path.join(dir, 'local.ipynb'));
+    assert.deepEqual(merged.cells.map(cell => cell.source), ['a = 10\nb = 1', 'c = 2\nd = 20']);
+    assert.equal(merged.nbformat_minor, 4);
+    assert.deepEqual(errors(merged), []);
+
+    const broken = { ...oldBase, cells: [{ cell_type: 'code', source: 'x' }] };
+    await fs.writeJson(path.join(dir, 'broken.ipynb'), broken);
+    const before = await fs.readFile(path.join(dir, 'broken.ipynb'), 'utf8');
+    assert.equal(await run('base.ipynb', 'broken.ipynb', 'remote.ipynb'), 2);
+    assert.equal(await fs.readFile(path.join(dir, 'broken.ipynb'), 'utf8'), before);
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { parseNotebookJson, stringifyNotebook, cloneNotebook, splitLines } from '../src/notebook-json.js';
+import { makeTempDir, startServer } from './helpers.js';
+
+// What nbformat writes: 1-space indent, sorted keys, sources as lists of lines, trailing newline
+const JUPYTER_TEXT = `{
+ "cells": [
+  {
+   "cell_type": "code",
+   "execution_count": 1,
+   "id": "a1",
+   "metadata": {
+    "scale": 1.0
+   },
+   "outputs": [
+    {
+     "name": "stdout",
+     "output_type": "stream",
+     "text": [
+      "caf\\u00e9\\n"
+     ]
+    }
+   ],
+   "source": [
+    "x = 1\\n",
+    "print(x)"
+   ]
+  }
+ ],
+ "metadata": {
+  "kernelspec": {
+   "display_name": "Python 3",
+   "language": "python",
+   "name": "python3"
+  },
+  "tolerance": 1e-05
+ },
+ "nbformat": 4,
+ "nbformat_minor": 5
+}
+`;
+
+const LAYOUTS = {
+  jupyter: JUPYTER_TEXT,
+  'two spaces, unsorted keys, string sources': '{\n  "nbformat": 4,\n  "nbformat_minor": 5,\n  "metadata": {},\n  "cells": [\n    {\n      "id": "b",\n      "cell_type": "markdown",\n      "metadata": {},\n      "source": "# Title\\nText"\n    }\n  ]\n}',
+  compact: '{"cells":[{"cell_type":"raw","id":"c","metadata":{},"source":["raw"]}],"metadata":{},"nbformat":4,"nbformat_minor":5}',
+  'compact with spaces': '{"cells": [], "metadata": {"x": [1.50, 2]}, "nbformat": 4, "nbformat_minor": 4}\n\n',
+  'CRLF and raw Unicode': JUPYTER_TEXT.replace(/\n/g, '\r\n').replace('caf\\u00e9', 'café')
+};
+
+test('reading and writing back unchanged gives identical bytes', () => {
+  for (const [layout, text] of Object.entries(LAYOUTS)) {
+    assert.equal(stringifyNotebook(parseNotebookJson(text)), text, layout);
+  }
+});
+
+test('an edit changes only the lines it touches', () => {
+  const notebook = parseNotebookJson(JUPYTER_TEXT);
+  notebook.cells[0].source = 'x = 2\nprint(x)';
+  notebook.cells.push({ cell_type: 'markdown', id: 'new', metadata: {}, source: 'One\nTwo' });
+
+  const written = stringifyNotebook(notebook);
+  assert.ok(written.includes('   "source": [\n    "x = 2\\n",\n    "print(x)"\n   ]'));
+  assert.ok(written.includes('"source": [\n    "One\\n",\n    "Two"\n   ]'));
+  assert.ok(written.includes('"scale": 1.0'));
+  assert.ok(written.includes('"tolerance": 1e-05'));
+  assert.ok(written.includes('"caf\\u00e9\\n"'));
+});
+
+test('multiline fields keep their string or list style', () => {
+  const notebook = parseNotebookJson(LAYOUTS['two spaces, unsorted keys, string sources']);
+  notebook.cells[0].source = 'Line 1\nLine 2';
+  assert.ok(stringifyNotebook(notebook).includes('"source": "Line 1\\nLine 2"'));
+});
+
+test('new notebooks use the configured layout', () => {
+  const notebook = { nbformat: 4, nbformat_minor: 5, metadata: {}, cells: [{ source: 'a\nb', metadata: {}, id: 'x', cell_type: 'markdown' }] };
+  assert.equal(
+    stringifyNotebook(notebook),
+    '{\n "cells": [\n  {\n   "cell_type": "markdown",\n   "id": "x",\n   "metadata": {},\n   "source": [\n    "a\\n",\n    "b"\n   ]\n  }\n ],\n "metadata": {},\n "nbformat": 4,\n "nbformat_minor": 5\n}\n'
+  );
+  assert.equal(
+    stringifyNotebook(notebook, { indent: 2, sort_keys: false, split_lines: false, trailing_newline: false }),
+    JSON.stringify(notebook, null, 2)
+  );
+});
+
+test('preserve_format off rewrites existing files with the configured layout', () => {
+  const notebook = parseNotebookJson(LAYOUTS.compact);
+  assert.equal(stringifyNotebook(notebook, { preserve_format: false }), stringifyNotebook(structuredClone(notebook)));
+});
+
+test('clones keep the formatting of the original', () => {
+  const notebook = parseNotebookJson(JUPYTER_TEXT);
+  const clone = cloneNotebook(notebook);
+  clone.cells[0].metadata.tags = ['t'];
+  assert.ok(stringifyNotebook(clone).includes('"scale": 1.0'));
+  assert.equal(stringifyNotebook(notebook), JUPYTER_TEXT);
+});
+
+test('splits lines the way nbformat does', () => {
+  assert.deepEqual(splitLines('a\nb\r\nc\rd'), ['a\n', 'b\r\n', 'c\r', 'd']);
+  assert.deepEqual(splitLines('a\n'), ['a\n']);
+  assert.deepEqual(splitLines(''), []);
+});
+
+test('metadata edits keep how unchanged numbers are written', async () => {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const notebookPath = path.join(dir, 'numbers.ipynb');
+    await fs.writeFile(notebookPath, JUPYTER_TEXT);
+
+    assert.ok(!(await server.call('notebook_edit_metadata', { path: notebookPath, metadata: {} })).isError);
+    assert.ok(!(await server.call('notebook_edit_cell_metadata', { path: notebookPath, cell_index: 0, metadata: {} })).isError);
+    assert.equal(await fs.readFile(notebookPath, 'utf8'), JUPYTER_TEXT);
+
+    await server.call('notebook_edit_metadata', { path: notebookPath, metadata: { author: 'A' } });
+    const written = await fs.readFile(notebookPath, 'utf8');
+    assert.ok(written.includes('"tolerance": 1e-05'));
+    assert.ok(written.includes('"scale": 1.0'));
+    assert.ok(written.includes('"author": "A"'));
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
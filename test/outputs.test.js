@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { renderOutputs, outputsToText } from '../src/outputs.js';
+import { makeTempDir, startServer, notebook } from './helpers.js';
+
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+function displayData(data) {
+  return { output_type: 'display_data', data, metadata: {} };
+}
+
+test('renders images as image content next to their text representation', () => {
+  const blocks = renderOutputs([displayData({ 'image/png': `${PNG.slice(0, 40)}\n${PNG.slice(40)}\n`, 'text/plain': '<Figure>' })]);
+  assert.deepEqual(blocks, [
+    { type: 'text', text: 'Output 0 (display_data)' },
+    { type: 'image', data: PNG, mimeType: 'image/png' },
+    { type: 'text', text: '<Figure>' }
+  ]);
+});
+
+test('replaces invalid or non-canonical base64 with a text note', () => {
+  for (const data of ['not base64!', 'iVBORw0KGgo', 'iVBORw0KGgo_-==', '']) {
+    const blocks = renderOutputs([displayData({ 'image/png': data, 'text/plain': '<Figure>' })]);
+    assert.deepEqual(blocks.slice(1), [
+      { type: 'text', text: '[image/png omitted: not valid base64 image data]' },
+      { type: 'text', text: '<Figure>' }
+    ], JSON.stringify(data));
+  }
+  const selected = renderOutputs([displayData({ 'image/jpeg': '***' })], { mimeTypes: ['image/*'] });
+  assert.equal(selected[1].text, '[image/jpeg omitted: not valid base64 image data]');
+});
+
+test('encodes SVG images and strips ANSI codes from text', () => {
+  const blocks = renderOutputs([
+    displayData({ 'image/svg+xml': ['<svg>', '</svg>'] }),
+    { output_type: 'stream', name: 'stdout', text: '\u001b[32mok\u001b[0m\n' }
+  ]);
+  assert.deepEqual(blocks[1], { type: 'image', data: Buffer.from('<svg></svg>').toString('base64'), mimeType: 'image/svg+xml' });
+  assert.equal(blocks[3].text, 'ok\n');
+  assert.match(outputsToText([displayData({ 'image/png': PNG })]), /\[image\/png image\]/);
+});
+
+test('HTML outputs decode entities and keep numeric ones outside Unicode as written', () => {
+  const html = '<p>&lt;b&gt; &amp; &#65;&#x42; &#x10FFFF; &#x110000; &#99999999999999999999; &bogus;</p>';
+  const [, block] = renderOutputs([displayData({ 'text/html': html })]);
+  assert.equal(block.text, '<b> & AB \u{10FFFF} &#x110000; &#99999999999999999999; &bogus;');
+});
+
+test('a cell with a damaged image output stays readable', async () => {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const notebookPath = path.join(dir, 'plots.ipynb');
+    await fs.writeJson(notebookPath, notebook([{ source: 'plot()', outputs: [displayData({ 'image/png': 'iVBORw0KGgo', 'text/plain': '<Figure>' })] }]));
+
+    const result = await server.call('notebook_read_cell_output', { path: notebookPath, cell_index: 0 });
+    assert.ok(!result.isError);
+    assert.match(result.text, /\[image\/png omitted: not valid base64 image data\]\n<Figure>/);
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { ToolPolicy, PermissionDeniedError } from '../src/policy.js';
+import { makeTempDir, startServer, notebook } from './helpers.js';
+
+const ROOT = path.resolve('/work');
+
+function policy(data) {
+  return new ToolPolicy(data, { roots: [ROOT], source: 'test policy' });
+}
+
+test('the first rule matching both tool and path decides', () => {
+  const rules = policy({
+    rules: [
+      { effect: 'deny', tools: ['notebook_delete*'], paths: ['reports/'], reason: 'reports are published' },
+      { effect: 'allow', tools: ['notebook_*'] }
+    ],
+    default: 'deny'
+  });
+
+  assert.throws(() => rules.check('notebook_delete_cell', [path.join(ROOT, 'reports/q1/summary.ipynb')]), error => {
+    assert.ok(error instanceof PermissionDeniedError);
+    assert.deepEqual(error.toJSON(), {
+      error: 'permission_denied',
+      denied_by: 'policy',
+      tool: 'notebook_delete_cell',
+      path: path.join(ROOT, 'reports/q1/summary.ipynb'),
+      rule: 1,
+      message: `Tool notebook_delete_cell is denied by the policy for ${path.join(ROOT, 'reports/q1/summary.ipynb')}: reports are published`
+    });
+    return true;
+  });
+  rules.check('notebook_delete_cell', [path.join(ROOT, 'drafts/summary.ipynb')]);
+  rules.check('notebook_edit_cell', [path.join(ROOT, 'reports/q1/summary.ipynb')]);
+  assert.throws(() => rules.check('kernel_start', []), /denied by the policy/);
+});
+
+test('path globs without a slash match the file name anywhere', () => {
+  const rules = policy({ rules: [{ effect: 'deny', tools: ['*'], paths: ['*.secret.ipynb'] }] });
+  assert.throws(() => rules.check('notebook_read', [path.join(ROOT, 'a/b/keys.secret.ipynb')]), /denied/);
+  rules.check('notebook_read', [path.join(ROOT, 'a/b/keys.ipynb')]);
+});
+
+test('path rules check every path the tool touches', () => {
+  const rules = policy({ rules: [{ effect: 'deny', tools: ['notebook_rename'], paths: ['archive/**'] }] });
+  assert.throws(() => rules.check('notebook_rename', [path.join(ROOT, 'draft.ipynb'), path.join(ROOT, 'archive/2024/draft.ipynb')]), error => (
+    error.path === path.join(ROOT, 'archive/2024/draft.ipynb')
+  ));
+});
+
+test('tools are hidden only when no path could allow them', () => {
+  const rules = policy({
+    rules: [
+      { effect: 'deny', tools: ['notebook_delete'] },
+      { effect: 'deny', tools: ['notebook_edit_cell'], paths: ['reports/'] },
+      { effect: 'allow', tools: ['kernel_*'], paths: ['sandbox/'] }
+    ],
+    default: 'deny'
+  });
+  assert.equal(rules.isListed('notebook_delete'), false);
+  assert.equal(rules.isListed('notebook_edit_cell'), false);
+  assert.equal(rules.isListed('kernel_start'), true);
+  assert.equal(policy({ rules: [{ effect: 'deny', tools: ['notebook_edit_cell'], paths: ['reports/'] }] }).isListed('notebook_edit_cell'), true);
+});
+
+test('rejects malformed policies', () => {
+  assert.throws(() => policy({ rules: {} }), /rules must be a list/);
+  assert.throws(() => policy({ default: 'maybe' }), /default must be "allow" or "deny"/);
+  assert.throws(() => policy({ rules: [{ effect: 'block', tools: ['*'] }] }), /rule 1 in test policy: effect must be/);
+  assert.throws(() => policy({ rules: [{ effect: 'deny', tools: [] }] }), /tools must name at least one tool/);
+  assert.throws(() => policy({ rules: [{ effect: 'deny', tools: ['*'], paths: 'reports/' }] }), /paths must be a list of glob patterns/);
+});
+
+test('read-only mode hides and rejects writing tools', async () => {
+  const dir = await makeTempDir();
+  const server = await startServer(['--read-only', '--allowed-root', dir], { cwd: dir });
+  try {
+    const notebookPath = path.join(dir, 'analysis.ipynb');
+    await fs.writeJson(notebookPath, notebook([{ source: 'x = 1' }]));
+
+    const names = (await server.client.listTools()).tools.map(tool => tool.name);
+    assert.ok(names.includes('notebook_read'));
+    assert.ok(names.includes('notebook_validate'));
+    assert.ok(!names.includes('notebook_edit_cell'));
+    assert.ok(!names.includes('notebook_delete'));
+
+    const denied = await server.call('notebook_edit_cell', { path: notebookPath, cell_index: 0, new_source: 'x = 2' });
+    assert.equal(denied.isError, true);
+    assert.equal(denied.structuredContent.denied_by, 'read_only');
+    assert.ok(!(await server.call('notebook_read_cell', { path: notebookPath, cell_index: 0 })).isError);
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { makeTempDir, startServer, notebook } from './helpers.js';
+
+const promptText = result => result.messages[0].content.text;
+
+test('explain_notebook lists every cell source under the same ids as the outline', async () => {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const notebookPath = path.join(dir, 'legacy.ipynb');
+    await fs.writeJson(notebookPath, {
+      metadata: { name: 'legacy' },
+      nbformat: 3,
+      nbformat_minor: 0,
+      worksheets: [{
+        cells: [
+          { cell_type: 'heading', level: 1, metadata: {}, source: 'Load' },
+          { cell_type: 'code', language: 'python', input: 'data = load()', metadata: {}, outputs: [] },
+          { cell_type: 'code', language: 'python', input: 'def clean(rows):\n    return rows', metadata: {}, outputs: [] }
+        ]
+      }]
+    });
+
+    const text = promptText(await server.client.getPrompt({ name: 'explain_notebook', arguments: { path: notebookPath } }));
+    assert.match(text, /Cell 0 \[cell-0\] \(markdown\) - Load \(1 lines\)/);
+    assert.match(text, /Cell 2 \[cell-2\] \(code\) - def clean\(\) \(2 lines\)/);
+    assert.match(text, /Cell 0 \[cell-0\] \(markdown\):\n```\n# Load\n```/);
+    assert.match(text, /Cell 1 \[cell-1\] \(code\):\n```\ndata = load\(\)\n```/);
+    assert.match(text, /Cell 2 \[cell-2\] \(code\):\n```\ndef clean\(rows\):\n    return rows\n```/);
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
+
+test('refactor_cell includes only the requested cell, found by index or id', async () => {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const notebookPath = path.join(dir, 'analysis.ipynb');
+    const data = notebook([{ source: ['import math\n', 'x = 1'] }, { source: 'y = math.sqrt(x)' }]);
+    data.metadata.language_info = { name: 'python' };
+    await fs.writeJson(notebookPath, data);
+
+    for (const cell of ['1', 'cell-1']) {
+      const text = promptText(await server.client.getPrompt({ name: 'refactor_cell', arguments: { path: notebookPath, cell } }));
+      assert.match(text, /Cell source:\n\nCell 1 \[cell-1\] \(code\):\n```python\ny = math\.sqrt\(x\)\n```$/);
+      assert.doesNotMatch(text, /```python\nimport math/);
+    }
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
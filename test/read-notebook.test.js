@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { makeTempDir, startServer, notebook } from './helpers.js';
+
+async function withNotebook(cells, callback) {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const notebookPath = path.join(dir, 'nb.ipynb');
+    await fs.writeJson(notebookPath, notebook(cells));
+    return await callback(server, notebookPath);
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+}
+
+const fiveCells = Array.from({ length: 5 }, (_, index) => ({ source: `cell_${index} = ${'x'.repeat(200)}` }));
+
+async function read(server, args) {
+  const result = await server.call('notebook_read', args);
+  assert.ok(!result.isError, result.text);
+  return { page: result.content[0].text, status: result.content[1].text };
+}
+
+test('notebook_read returns the requested range and says whether more cells follow', async () => {
+  await withNotebook(fiveCells, async (server, notebookPath) => {
+    const all = await read(server, { path: notebookPath });
+    assert.equal(JSON.parse(all.page).cells.length, 5);
+    assert.equal(all.status, 'Showing cells 0-4 of 5; has_more: false');
+
+    const middle = await read(server, { path: notebookPath, start_index: 1, end_index: 3 });
+    assert.deepEqual(JSON.parse(middle.page).cells.map(cell => cell.id), ['cell-1', 'cell-2']);
+    assert.equal(middle.status, 'Showing cells 1-2 of 5; has_more: false');
+
+    const source = await read(server, { path: notebookPath, start_index: 3, view: 'source' });
+    assert.match(source.page, /^--- Cell 3 \[cell-3\] \(code\) \[ \] ---\ncell_3 = /);
+    assert.equal(source.status, 'Showing cells 3-4 of 5; has_more: false');
+  });
+});
+
+test('notebook_read pages through cells that exceed max_chars', async () => {
+  await withNotebook(fiveCells, async (server, notebookPath) => {
+    const seen = [];
+    let start = 0;
+    for (;;) {
+      const { page, status } = await read(server, { path: notebookPath, start_index: start, max_chars: 600, view: 'source' });
+      seen.push(...[...page.matchAll(/--- Cell (\d+)/g)].map(match => Number(match[1])));
+      const next = status.match(/has_more: true, next start_index: (\d+)$/);
+      if (!next) {
+        assert.match(status, /has_more: false$/);
+        break;
+      }
+      assert.ok(Number(next[1]) > start);
+      start = Number(next[1]);
+    }
+    assert.deepEqual(seen, [0, 1, 2, 3, 4]);
+
+    // A cell larger than the budget is still returned on its own
+    const single = await read(server, { path: notebookPath, start_index: 2, max_chars: 10 });
+    assert.equal(JSON.parse(single.page).cells.length, 1);
+    assert.equal(single.status, 'Showing cells 2-2 of 5; has_more: true, next start_index: 3');
+
+    // More is reported up to end_index only
+    const bounded = await read(server, { path: notebookPath, end_index: 2, max_chars: 10 });
+    assert.equal(bounded.status, 'Showing cells 0-0 of 5; has_more: true, next start_index: 1');
+    const last = await read(server, { path: notebookPath, start_index: 1, end_index: 2, max_chars: 10 });
+    assert.equal(last.status, 'Showing cells 1-1 of 5; has_more: false');
+  });
+});
+
+test('notebook_read clamps out-of-range indices instead of failing', async () => {
+  await withNotebook(fiveCells, async (server, notebookPath) => {
+    const past = await read(server, { path: notebookPath, start_index: 10 });
+    assert.deepEqual(JSON.parse(past.page).cells, []);
+    assert.equal(past.status, 'Showing no cells of 5; has_more: false');
+
+    const negative = await read(server, { path: notebookPath, start_index: -3, end_index: 1 });
+    assert.equal(negative.status, 'Showing cells 0-0 of 5; has_more: false');
+
+    const beyond = await read(server, { path: notebookPath, start_index: 4, end_index: 99 });
+    assert.equal(beyond.status, 'Showing cells 4-4 of 5; has_more: false');
+
+    const reversed = await read(server, { path: notebookPath, start_index: 3, end_index: 1 });
+    assert.equal(reversed.status, 'Showing no cells of 5; has_more: false');
+  });
+
+  await withNotebook([], async (server, notebookPath) => {
+    const empty = await read(server, { path: notebookPath });
+    assert.equal(empty.status, 'Showing no cells of 0; has_more: false');
+  });
+});
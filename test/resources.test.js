@@ -0,0 +1,130 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { RESOURCE_TEMPLATES, notebookUri, parseNotebookUri, NotebookWatcher } from '../src/resources.js';
+import { makeTempDir, startServer, notebook } from './helpers.js';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('notebook URIs round-trip paths and cell ids with reserved characters', () => {
+  for (const filePath of ['/work/report.ipynb', '/work/my notes/ü #1?.ipynb', '/work/100%.ipynb']) {
+    assert.deepEqual(parseNotebookUri(notebookUri(filePath)), { path: filePath, part: null, cellId: null });
+    assert.deepEqual(parseNotebookUri(notebookUri(filePath, 'cells', 'a/b c')), { path: filePath, part: 'cells', cellId: 'a/b c' });
+    assert.deepEqual(parseNotebookUri(notebookUri(filePath, 'outputs', 'x')), { path: filePath, part: 'outputs', cellId: 'x' });
+  }
+  assert.equal(notebookUri('/work/my notes/a#1.ipynb', 'cells', 'c1'), 'notebook:///work/my%20notes/a%231.ipynb/cells/c1');
+
+  assert.deepEqual(parseNotebookUri('notebook:///work/../etc/x.ipynb'), { path: '/etc/x.ipynb', part: null, cellId: null });
+  assert.throws(() => parseNotebookUri('file:///work/a.ipynb'), /Unsupported resource URI/);
+  assert.throws(() => parseNotebookUri('notebook:///work/notes.txt'), /Not a notebook resource URI/);
+  assert.throws(() => parseNotebookUri('notebook:///work/a.ipynb/inputs/c1'), /Not a notebook resource URI/);
+  assert.throws(() => parseNotebookUri('notebook:///work/%E0%A4%A.ipynb'), /Not a notebook resource URI/);
+});
+
+test('NotebookWatcher shares one directory watch and closes it when the last subscriber leaves', async () => {
+  const dir = await makeTempDir();
+  const opened = [];
+  const watch = fs.watch;
+  mock.method(fs, 'watch', (...args) => {
+    const handle = watch(...args);
+    const close = handle.close.bind(handle);
+    const entry = { directory: args[0], closed: false };
+    handle.close = () => {
+      entry.closed = true;
+      close();
+    };
+    opened.push(entry);
+    return handle;
+  });
+  const changes = [];
+  const watcher = new NotebookWatcher((filePath, subscribers) => changes.push([filePath, subscribers]), { debounceMs: 20 });
+  try {
+    const first = path.join(dir, 'a.ipynb');
+    const second = path.join(dir, 'b.ipynb');
+    const nested = path.join(dir, 'sub', 'c.ipynb');
+    await fs.outputFile(first, '1');
+    await fs.outputFile(second, '1');
+    await fs.outputFile(nested, '1');
+
+    await watcher.subscribe('alice', first);
+    await watcher.subscribe('bob', first);
+    await watcher.subscribe('alice', second);
+    await watcher.subscribe('alice', nested);
+    assert.deepEqual(opened.map(entry => entry.directory), [dir, path.join(dir, 'sub')]);
+
+    await fs.writeFile(first, '2');
+    await wait(300);
+    assert.deepEqual(changes, [[first, ['alice', 'bob']]]);
+
+    // Rewriting the same content is not a change
+    await fs.writeFile(first, '2');
+    await wait(300);
+    assert.equal(changes.length, 1);
+
+    watcher.unsubscribe('alice', nested);
+    assert.deepEqual(opened.map(entry => entry.closed), [false, true]);
+    watcher.unsubscribe('alice', first);
+    watcher.unsubscribe('bob', first);
+    await fs.writeFile(first, '3');
+    await wait(300);
+    assert.equal(changes.length, 1);
+    assert.equal(opened[0].closed, false);
+
+    watcher.unsubscribe('alice', second);
+    assert.deepEqual(opened.map(entry => entry.closed), [true, true]);
+
+    await watcher.subscribe('alice', first);
+    await watcher.subscribe('alice', nested);
+    watcher.close();
+    assert.ok(opened.every(entry => entry.closed));
+    assert.equal(watcher.subscriptions.size, 0);
+  } finally {
+    watcher.close();
+    mock.restoreAll();
+    await fs.remove(dir);
+  }
+});
+
+test('the server lists templates, reads notebook and cell resources inside the roots and notifies subscribers', async () => {
+  const dir = await makeTempDir();
+  const outside = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const notebookPath = path.join(dir, 'my notes.ipynb');
+    await fs.writeJson(notebookPath, notebook([{ source: 'x = 1' }]));
+    await fs.writeJson(path.join(outside, 'secret.ipynb'), notebook([{ source: 'token = 1' }]));
+
+    const { resourceTemplates } = await server.client.listResourceTemplates();
+    assert.deepEqual(resourceTemplates, RESOURCE_TEMPLATES);
+    const { resources } = await server.client.listResources();
+    assert.deepEqual(resources.map(resource => [resource.uri, resource.name]), [[notebookUri(notebookPath), 'my notes.ipynb']]);
+
+    const whole = await server.client.readResource({ uri: notebookUri(notebookPath) });
+    assert.equal(JSON.parse(whole.contents[0].text).cells[0].source, 'x = 1');
+    const cell = await server.client.readResource({ uri: notebookUri(notebookPath, 'cells', 'cell-0') });
+    assert.equal(JSON.parse(cell.contents[0].text).id, 'cell-0');
+
+    for (const uri of [notebookUri(path.join(outside, 'secret.ipynb')), `notebook://${dir}/../${path.basename(outside)}/secret.ipynb`]) {
+      await assert.rejects(server.client.readResource({ uri }), /Access denied/);
+      await assert.rejects(server.client.subscribeResource({ uri }), /Access denied/);
+    }
+
+    const updates = [];
+    server.client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => updates.push(notification.params.uri));
+    await server.client.subscribeResource({ uri: notebookUri(notebookPath) });
+    await server.call('notebook_edit_cell', { path: notebookPath, cell_index: 0, new_source: 'x = 2' });
+    await wait(500);
+    assert.deepEqual(updates, [notebookUri(notebookPath)]);
+
+    await server.client.unsubscribeResource({ uri: notebookUri(notebookPath) });
+    await server.call('notebook_edit_cell', { path: notebookPath, cell_index: 0, new_source: 'x = 3' });
+    await wait(500);
+    assert.equal(updates.length, 1);
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+    await fs.remove(outside);
+  }
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { parseScript, syncCells } from '../src/script-sync.js';
+import { exportNotebookContent } from '../src/exporter.js';
+import { makeTempDir, startServer, notebook } from './helpers.js';
+
+const createCell = (cellType, source) => ({ cell_type: cellType, metadata: {}, source, ...(cellType === 'code' ? { outputs: [], execution_count: null } : {}) });
+
+test('parses percent scripts with cell types, titles and tag headers', () => {
+  const script = '#!/usr/bin/env python\nimport os\n\n# %% Load data tags=["setup"] slideshow={"slide_type":"skip"}\nx = 1\n\n# %% [markdown]\n# # Title\n#\n# text\n\n# %% [raw]\n# raw\n';
+  assert.deepEqual(parseScript(script), {
+    format: 'percent',
+    cells: [
+      { cell_type: 'code', source: 'import os', metadata: {} },
+      { cell_type: 'code', source: 'x = 1', metadata: { tags: ['setup'], slideshow: { slide_type: 'skip' }, title: 'Load data' } },
+      { cell_type: 'markdown', source: '# Title\n\ntext', metadata: {} },
+      { cell_type: 'raw', source: 'raw', metadata: {} }
+    ]
+  });
+});
+
+test('parses light scripts into paragraphs, keeping indented blocks and comments with their code', () => {
+  const script = '# # Title\n# intro\n\nimport os\n\ndef f():\n    x = 1\n\n    # inner\n    return x\n\n# + tags=["x"]\ny = 2\n\nz = 3\n# -\n\n# + [markdown]\n# explicit md\n# -\n';
+  assert.deepEqual(parseScript(script, 'light').cells, [
+    { cell_type: 'markdown', source: '# Title\nintro', metadata: {} },
+    { cell_type: 'code', source: 'import os', metadata: {} },
+    { cell_type: 'code', source: 'def f():\n    x = 1\n\n    # inner\n    return x', metadata: {} },
+    { cell_type: 'code', source: 'y = 2\n\nz = 3', metadata: { tags: ['x'] } },
+    { cell_type: 'markdown', source: 'explicit md', metadata: {} }
+  ]);
+});
+
+test('rejects nbconvert scripts, whose cells cannot be read back', () => {
+  const script = exportNotebookContent(notebook([{ source: 'x = 1' }, { source: 'y = 2' }]), 'python');
+  assert.throws(() => parseScript(script), /nbconvert script.*format "percent"/);
+  assert.throws(() => parseScript(script, 'light'), /nbconvert script/);
+});
+
+test('syncCells keeps unchanged cells whole and the ids and metadata of edited ones', () => {
+  const oldCells = [
+    { id: 'a', cell_type: 'code', metadata: { tags: ['keep'] }, source: 'x = 1', outputs: [{ output_type: 'stream', name: 'stdout', text: '1' }], execution_count: 1 },
+    { id: 'b', cell_type: 'code', metadata: { collapsed: true }, source: 'y = 2', outputs: [], execution_count: 2 },
+    { id: 'c', cell_type: 'markdown', metadata: {}, source: 'gone' }
+  ];
+  const parsed = [
+    { cell_type: 'code', source: 'x = 1', metadata: {} },
+    { cell_type: 'code', source: 'y = 3', metadata: { tags: ['new'] } },
+    { cell_type: 'code', source: 'z = 4', metadata: {} }
+  ];
+
+  const { cells, stats } = syncCells(oldCells, parsed, createCell);
+  assert.deepEqual(stats, { unchanged: 1, updated: 1, added: 1, removed: 1 });
+  assert.equal(cells[0], oldCells[0]);
+  assert.equal(cells[1].id, 'b');
+  assert.deepEqual(cells[1].metadata, { collapsed: true, tags: ['new'] });
+  assert.equal(cells[1].source, 'y = 3');
+  assert.equal(cells[2].id, undefined);
+  assert.equal(cells[2].source, 'z = 4');
+});
+
+test('percent exports parse back into the same cells', () => {
+  const source = notebook([
+    { source: 'import os\nx = 1', metadata: { tags: ['setup', 'slow'], title: 'Setup' } },
+    { cell_type: 'markdown', source: '# Heading\n\nSome *text*\n  indented' },
+    { cell_type: 'raw', source: 'raw text' },
+    { source: 'print(x)', metadata: { scrolled: true, jupyter: { source_hidden: true } } }
+  ]);
+  const { cells, stats } = syncCells(source.cells, parseScript(exportNotebookContent(source, 'percent')).cells, createCell);
+  assert.deepEqual(stats, { unchanged: 4, updated: 0, added: 0, removed: 0 });
+  assert.deepEqual(cells, source.cells);
+
+  const parsed = parseScript(exportNotebookContent(source, 'percent')).cells;
+  assert.deepEqual(parsed[0].metadata, { tags: ['setup', 'slow'], title: 'Setup' });
+  assert.deepEqual(parsed[3].metadata, { scrolled: true, jupyter: { source_hidden: true } });
+});
+
+test('export to percent, edit the script and sync it back round-trips through the tools', async () => {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const notebookPath = path.join(dir, 'analysis.ipynb');
+    const scriptPath = path.join(dir, 'analysis.py');
+    const outputs = [{ output_type: 'stream', name: 'stdout', text: 'loaded\n' }];
+    await fs.writeJson(notebookPath, notebook([
+      { cell_type: 'markdown', source: '# Analysis' },
+      { source: 'data = load()', outputs, execution_count: 1 },
+      { source: 'plot(data)' }
+    ]));
+
+    await server.call('notebook_export', { path: notebookPath, format: 'percent' });
+    const script = await fs.readFile(scriptPath, 'utf8');
+    await fs.writeFile(scriptPath, script.replace('plot(data)', 'plot(data, kind="bar")'));
+    const synced = await server.call('notebook_sync_script', { path: notebookPath });
+    assert.ok(!synced.isError, synced.text);
+
+    const cells = (await fs.readJson(notebookPath)).cells;
+    assert.deepEqual(cells.map(cell => cell.id), ['cell-0', 'cell-1', 'cell-2']);
+    assert.deepEqual(cells[1].outputs, outputs);
+    assert.equal([].concat(cells[2].source).join(''), 'plot(data, kind="bar")');
+
+    await server.call('notebook_export', { path: notebookPath, format: 'python', output_path: path.join(dir, 'nbconvert.py') });
+    const rejected = await server.call('notebook_sync_script', { path: notebookPath, script_path: path.join(dir, 'nbconvert.py') });
+    assert.equal(rejected.isError, true);
+    assert.match(rejected.text, /nbconvert script/);
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
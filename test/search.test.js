@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { buildPattern, searchCells, replaceInCells, MAX_MATCHES_PER_CELL, MAX_QUERY_LENGTH } from '../src/search.js';
+import { makeTempDir, startServer, notebook } from './helpers.js';
+
+const cells = notebook([
+  { source: 'total = add(1, 2)\nsubtotal = total' },
+  { cell_type: 'markdown', source: '# Total\nThe total is shown below', metadata: { tags: ['report'] } },
+  { source: 'print(total)', metadata: { tags: ['report', 'output'] }, outputs: [{ output_type: 'stream', name: 'stdout', text: ['total 3\n'] }] }
+]).cells;
+
+const found = (query, options) => searchCells(cells, buildPattern(query, options), options).results
+  .map(result => [result.cell_index, result.matches.map(match => `${match.line_number}:${match.column}:${match.match}`)]);
+
+test('search matches plain text case-insensitively unless asked otherwise', () => {
+  assert.deepEqual(found('total'), [[0, ['1:1:total', '2:4:total', '2:12:total']], [1, ['1:3:Total', '2:5:total']], [2, ['1:7:total']]]);
+  assert.deepEqual(found('Total', { caseSensitive: true }), [[1, ['1:3:Total']]]);
+  assert.deepEqual(found('add(1', {}), [[0, ['1:9:add(1']]]);
+});
+
+test('search supports regular expressions with capture groups and whole words', () => {
+  const [result] = searchCells(cells, buildPattern('(?<name>\\w+) = add\\((\\d)', { regex: true }), { regex: true }).results;
+  assert.deepEqual(result.matches[0].groups, ['total', '1']);
+  assert.deepEqual({ ...result.matches[0].named_groups }, { name: 'total' });
+
+  assert.deepEqual(found('total', { wholeWord: true }), [[0, ['1:1:total', '2:12:total']], [1, ['1:3:Total', '2:5:total']], [2, ['1:7:total']]]);
+  assert.deepEqual(found('sub|print', { regex: true, wholeWord: true }), [[2, ['1:1:print']]]);
+});
+
+test('search filters by cell type and tags and optionally looks in outputs', () => {
+  assert.deepEqual(found('total', { cellTypes: ['markdown'] }), [[1, ['1:3:Total', '2:5:total']]]);
+  assert.deepEqual(found('total', { tags: ['output'] }), [[2, ['1:7:total']]]);
+  assert.deepEqual(found('total', { tags: ['report'], cellTypes: ['code'] }), [[2, ['1:7:total']]]);
+
+  const options = { includeOutputs: true, tags: ['output'] };
+  const [result] = searchCells(cells, buildPattern('total', options), options).results;
+  assert.deepEqual(result.output_matches, [{ output_index: 0, output: 'stream:stdout', line_number: 1, column: 1, content: 'total 3', match: 'total' }]);
+});
+
+test('search rejects overlong queries and caps the matches reported per cell', () => {
+  assert.throws(() => buildPattern('a'.repeat(MAX_QUERY_LENGTH + 1), { regex: true }), /query is too long/);
+  assert.throws(() => buildPattern(''), /non-empty/);
+
+  const busy = notebook([{ source: 'x '.repeat(5000) }, { source: 'x' }]).cells;
+  const { results, truncated } = searchCells(busy, buildPattern('x'), {});
+  assert.equal(results[0].matches.length, MAX_MATCHES_PER_CELL);
+  assert.equal(results[0].truncated, true);
+  assert.equal(results[1].matches.length, 1);
+  assert.equal(truncated, true);
+});
+
+test('replaceInCells substitutes regex groups, or dollar signs literally without regex', () => {
+  const target = notebook([{ source: 'a = 1\nb = 2' }, { source: 'price = $5', metadata: { tags: ['skip'] } }]).cells;
+  const changes = replaceInCells(target, buildPattern('(\\w) = (\\d)', { regex: true }), '$2 = $1', { regex: true });
+  assert.equal(target[0].source, '1 = a\n2 = b');
+  assert.deepEqual(changes.map(change => [change.cell_index, change.replacements]), [[0, 2]]);
+
+  replaceInCells(target, buildPattern('$5'), '$$10', { tags: ['skip'] });
+  assert.equal(target[1].source, 'price = $$10');
+});
+
+test('notebook_replace previews without writing and keeps line-array sources on confirm', async () => {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const notebookPath = path.join(dir, 'nb.ipynb');
+    const original = notebook([{ source: ['x = old\n', 'y = old\n', 'z = 1'] }, { source: 'old' }]);
+    await fs.writeFile(notebookPath, JSON.stringify(original, null, 1) + '\n');
+    const before = await fs.readFile(notebookPath, 'utf8');
+
+    const preview = await server.call('notebook_replace', { path: notebookPath, query: 'old', replacement: 'new', cell_types: ['code'] });
+    assert.match(preview.text, /^Preview: 3 occurrence\(s\) in 2 cell\(s\)/);
+    assert.match(preview.text, / {2}-x = old\n {2}-y = old\n {2}\+x = new\n {2}\+y = new\n {3}z = 1/);
+    assert.equal(await fs.readFile(notebookPath, 'utf8'), before);
+
+    const applied = await server.call('notebook_replace', { path: notebookPath, query: 'old', replacement: 'new', whole_word: true, confirm: true });
+    assert.match(applied.text, /^Replaced 3 occurrence\(s\) in 2 cell\(s\)/);
+    const written = await fs.readJson(notebookPath);
+    assert.deepEqual(written.cells[0].source, ['x = new\n', 'y = new\n', 'z = 1']);
+    assert.equal(written.cells[1].source, 'new');
+
+    const tooLong = await server.call('notebook_search', { path: notebookPath, query: 'a'.repeat(MAX_QUERY_LENGTH + 1), regex: true });
+    assert.equal(tooLong.isError, true);
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import http from 'http';
+import path from 'path';
+import { JupyterContentsStorage } from '../src/storage.js';
+import { makeTempDir, startServer, notebook } from './helpers.js';
+
+const TOKEN = 'secret-token';
+const ROOT = path.resolve('/work');
+
+// A minimal Jupyter Contents API over an in-memory map of path -> text, recording every request it serves
+async function startContentsServer({ stall = false } = {}) {
+  const files = new Map();
+  const requests = [];
+  const server = http.createServer(async (request, response) => {
+    let body = '';
+    for await (const chunk of request) {
+      body += chunk;
+    }
+    const url = new URL(request.url, 'http://localhost');
+    const apiPath = decodeURIComponent(url.pathname.replace(/^\/api\/contents\/?/, ''));
+    requests.push({ method: request.method, path: apiPath, query: url.search, authorization: request.headers.authorization, body: body ? JSON.parse(body) : null });
+
+    const send = (status, data) => {
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(data));
+    };
+    if (stall) {
+      return;
+    }
+    if (request.headers.authorization !== `token ${TOKEN}`) {
+      return send(403, { message: 'Forbidden' });
+    }
+
+    const isDirectory = apiPath === '' || [...files.keys()].some(name => name.startsWith(`${apiPath}/`));
+    const model = name => ({ name: path.posix.basename(name), path: name, type: 'file', format: 'text', size: files.get(name).length, last_modified: '2026-01-02T03:04:05Z' });
+    if (request.method === 'GET') {
+      if (files.has(apiPath)) {
+        return send(200, { ...model(apiPath), content: url.searchParams.get('content') === '0' ? null : files.get(apiPath) });
+      }
+      if (isDirectory) {
+        return send(200, { name: path.posix.basename(apiPath), path: apiPath, type: 'directory', content: null });
+      }
+      return send(404, { message: `No such file or directory: ${apiPath}` });
+    }
+    if (request.method === 'PUT') {
+      if (JSON.parse(body).type === 'file') {
+        files.set(apiPath, JSON.parse(body).content);
+      }
+      return send(201, {});
+    }
+    send(405, { message: 'Method not allowed' });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    files,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+test('JupyterContentsStorage reads, writes and stats files through the Contents API with the token', async () => {
+  const contents = await startContentsServer();
+  try {
+    const storage = new JupyterContentsStorage({ baseUrl: `${contents.url}/`, token: TOKEN, root: ROOT });
+    const filePath = path.join(ROOT, 'reports', 'q1 summary.ipynb');
+
+    await storage.write(filePath, Buffer.from('{"cells": []}'));
+    assert.equal(contents.files.get('reports/q1 summary.ipynb'), '{"cells": []}');
+    const put = contents.requests.find(request => request.method === 'PUT' && request.path === 'reports/q1 summary.ipynb');
+    assert.deepEqual(put.body, { type: 'file', format: 'text', content: '{"cells": []}' });
+    assert.ok(contents.requests.every(request => request.authorization === `token ${TOKEN}`));
+
+    assert.equal((await storage.read(filePath)).toString('utf8'), '{"cells": []}');
+    assert.equal(contents.requests[contents.requests.length - 1].query, '?type=file&format=text&content=1');
+    assert.deepEqual(await storage.stat(filePath), { type: 'file', size: 13, modified: '2026-01-02T03:04:05Z' });
+    assert.equal((await storage.stat(path.join(ROOT, 'reports'))).type, 'directory');
+
+    assert.throws(() => storage.apiPath(path.resolve('/elsewhere/a.ipynb')), /outside the Jupyter contents root/);
+  } finally {
+    await contents.close();
+  }
+});
+
+test('JupyterContentsStorage maps 404 to a missing file and reports other failures', async () => {
+  const contents = await startContentsServer();
+  try {
+    const storage = new JupyterContentsStorage({ baseUrl: contents.url, token: TOKEN, root: ROOT });
+    const missing = path.join(ROOT, 'missing.ipynb');
+
+    await assert.rejects(storage.read(missing), error => error.code === 'ENOENT' && /not found on the Jupyter server/.test(error.message));
+    assert.equal(await storage.readText(missing), null);
+    assert.equal(await storage.stat(missing), null);
+    assert.equal(await storage.revision(missing), null);
+
+    const anonymous = new JupyterContentsStorage({ baseUrl: contents.url, root: ROOT });
+    await assert.rejects(anonymous.read(missing), /GET \/missing\.ipynb failed \(403\): Forbidden/);
+    assert.equal(contents.requests[contents.requests.length - 1].authorization, undefined);
+  } finally {
+    await contents.close();
+  }
+});
+
+test('JupyterContentsStorage gives up on a server that does not answer', async () => {
+  const contents = await startContentsServer({ stall: true });
+  try {
+    const storage = new JupyterContentsStorage({ baseUrl: contents.url, token: TOKEN, root: ROOT, timeoutMs: 200 });
+    const started = Date.now();
+    await assert.rejects(storage.read(path.join(ROOT, 'a.ipynb')), /GET \/a\.ipynb timed out after 200ms/);
+    assert.ok(Date.now() - started < 2000);
+  } finally {
+    await contents.close();
+  }
+});
+
+test('the server edits notebooks through the Jupyter storage backend', async () => {
+  const contents = await startContentsServer();
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir, '--jupyter-url', contents.url, '--jupyter-token', TOKEN], { cwd: dir });
+  try {
+    contents.files.set('nb.ipynb', JSON.stringify(notebook([{ source: 'x = 1' }])));
+    const notebookPath = path.join(dir, 'nb.ipynb');
+
+    const edited = await server.call('notebook_edit_cell', { path: notebookPath, cell_index: 0, new_source: 'x = 2' });
+    assert.ok(!edited.isError, edited.text);
+    assert.equal(JSON.parse(contents.files.get('nb.ipynb')).cells[0].source, 'x = 2');
+
+    const missing = await server.call('notebook_read', { path: path.join(dir, 'missing.ipynb') });
+    assert.equal(missing.isError, true);
+    assert.match(missing.text, /not found on the Jupyter server/);
+  } finally {
+    await server.close();
+    await contents.close();
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,105 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { validateStructure, repairNotebook } from '../src/validator.js';
+import { notebook } from './helpers.js';
+
+const errors = result => result.issues.filter(issue => issue.severity === 'error');
+
+test('valid notebooks pass against each bundled 4.x schema', () => {
+  for (let minor = 0; minor <= 5; minor++) {
+    const valid = notebook([
+      { source: 'x = 1', outputs: [{ output_type: 'stream', name: 'stdout', text: '1\n' }], execution_count: 1 },
+      { cell_type: 'markdown', source: ['# Title\n', 'text'] },
+      { cell_type: 'raw', source: '' }
+    ], { minor });
+    const result = validateStructure(valid);
+    assert.equal(result.schema_version, `4.${minor}`);
+    assert.deepEqual(result.issues, [], `4.${minor}`);
+  }
+});
+
+test('reports schema errors with JSON paths', () => {
+  const broken = notebook([
+    { source: 'x = 1', outputs: [{ output_type: 'stream', text: 'no name' }] },
+    { cell_type: 'markdown', source: 42 },
+    { cell_type: 'heading', source: 'old' },
+    { source: 'y', outputs: [{ output_type: 'pyout' }] }
+  ]);
+  delete broken.cells[0].execution_count;
+
+  assert.deepEqual(errors(validateStructure(broken)).map(({ path, message }) => ({ path, message })), [
+    { path: 'cells[0].execution_count', message: "missing required property 'execution_count'" },
+    { path: 'cells[0].outputs[0].name', message: "missing required property 'name'" },
+    { path: 'cells[1].source', message: 'must be a string or an array of strings' },
+    { path: 'cells[2].cell_type', message: 'unknown cell type "heading"; expected one of: raw, markdown, code' },
+    { path: 'cells[3].outputs[0].output_type', message: 'unknown output type "pyout"; expected one of: execute_result, display_data, stream, error' }
+  ]);
+});
+
+test('cell ids are an error before 4.5 and must be unique from 4.5 on', () => {
+  const old = notebook([{ source: 'x' }], { minor: 4 });
+  old.cells[0].id = 'abc';
+  assert.deepEqual(errors(validateStructure(old)), [
+    { path: 'cells[0].id', severity: 'error', message: 'cell ids require nbformat_minor 5 or later (notebook declares 4)' }
+  ]);
+
+  const duplicate = notebook([{ source: 'x' }, { source: 'y' }]);
+  duplicate.cells[1].id = 'cell-0';
+  assert.deepEqual(errors(validateStructure(duplicate)), [
+    { path: 'cells[1].id', severity: 'error', message: "duplicate cell id 'cell-0' (also used by cells[0])" }
+  ]);
+});
+
+test('style problems are warnings, not errors', () => {
+  const loose = notebook([{ source: 'x', outputs: [{ output_type: 'stream', name: 'log', text: '' }] }]);
+  delete loose.metadata.kernelspec;
+  loose.metadata.orig_nbformat = 3;
+  loose.nbformat_minor = 9;
+
+  const result = validateStructure(loose);
+  assert.equal(result.schema_version, '4.5');
+  assert.deepEqual(errors(result), []);
+  assert.deepEqual(result.issues.map(issue => issue.path).sort(), ['cells[0].outputs[0].name', 'metadata.kernelspec', 'metadata.orig_nbformat', 'nbformat_minor']);
+});
+
+test('rejects non-notebooks and other major versions', () => {
+  assert.equal(validateStructure([]).issues[0].message, 'notebook must be a JSON object');
+  assert.match(validateStructure({ nbformat: 3 }).issues[0].message, /convert it with notebook_convert_version/);
+});
+
+test('repairNotebook fixes what it can and leaves a valid notebook', () => {
+  const broken = {
+    nbformat: 4,
+    metadata: { kernelspec: { name: 'python3' }, orig_nbformat: 3 },
+    cells: [
+      { cell_type: 'code', id: 'keep', source: 7, outputs: [{ output_type: 'pyerr', ename: 'E' }, { output_type: 'stream', text: null }] },
+      { cell_type: 'markdown', id: 'keep', source: 'x', outputs: [], execution_count: 1 },
+      { cell_type: 'raw', id: 'not valid!', source: '' }
+    ]
+  };
+
+  const repairs = repairNotebook(broken);
+  assert.ok(repairs.some(repair => repair.path === 'cells[0].outputs[0].output_type' && /'pyerr' to 'error'/.test(repair.action)));
+  assert.ok(repairs.some(repair => repair.path === 'nbformat_minor'));
+  assert.deepEqual(validateStructure(broken).issues, []);
+  assert.equal(broken.cells[0].id, 'keep');
+  assert.notEqual(broken.cells[1].id, 'keep');
+  assert.equal(broken.cells[0].source, '7');
+  assert.equal(broken.metadata.kernelspec.display_name, 'python3');
+});
+
+test('repairNotebook never gives a cell an id that a later cell already has', () => {
+  const ids = ['0000beef', '0000cafe'];
+  mock.method(crypto, 'randomBytes', () => Buffer.from(ids.shift(), 'hex'));
+  try {
+    const nb = notebook([{ source: 'x' }, { source: 'y' }]);
+    delete nb.cells[0].id;
+    nb.cells[1].id = '0000beef';
+
+    repairNotebook(nb);
+    assert.deepEqual(nb.cells.map(cell => cell.id), ['0000cafe', '0000beef']);
+  } finally {
+    mock.restoreAll();
+  }
+});
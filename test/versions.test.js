@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { convertNotebook, upgradeForReading, notebookVersion } from '../src/versions.js';
+import { validateStructure } from '../src/validator.js';
+import { makeTempDir, startServer, notebook } from './helpers.js';
+
+function v3Notebook() {
+  return {
+    metadata: { name: 'legacy', signature: 'sha256:abc' },
+    nbformat: 3,
+    nbformat_minor: 0,
+    worksheets: [
+      {
+        cells: [
+          { cell_type: 'heading', level: 2, metadata: {}, source: 'Results' },
+          {
+            cell_type: 'code',
+            collapsed: false,
+            input: 'print(1)\n1 + 1',
+            language: 'python',
+            metadata: {},
+            prompt_number: 4,
+            outputs: [
+              { output_type: 'stream', stream: 'stdout', text: '1\n' },
+              { output_type: 'pyout', prompt_number: 4, metadata: {}, text: '2', png: 'iVBORw0KGgo=' },
+              { output_type: 'pyerr', ename: 'ValueError', evalue: 'bad', traceback: [] }
+            ]
+          }
+        ]
+      },
+      { cells: [{ cell_type: 'markdown', metadata: {}, source: 'More' }] }
+    ]
+  };
+}
+
+test('upgrades nbformat 3 notebooks to a valid 4.5 notebook', () => {
+  const { notebook: upgraded, from, to, changes } = convertNotebook(v3Notebook(), '4.5');
+  assert.equal(from, '3.0');
+  assert.equal(to, '4.5');
+  assert.deepEqual(changes, { worksheets_merged: 2, headings_converted: 1, outputs_upgraded: 3, ids_added: 3, ids_removed: 0 });
+  assert.deepEqual(upgraded.metadata, {});
+  assert.deepEqual(upgraded.cells.map(cell => [cell.cell_type, cell.id]), [['markdown', 'cell-0'], ['code', 'cell-1'], ['markdown', 'cell-2']]);
+  assert.equal(upgraded.cells[0].source, '## Results');
+
+  const code = upgraded.cells[1];
+  assert.equal(code.source, 'print(1)\n1 + 1');
+  assert.equal(code.execution_count, 4);
+  assert.deepEqual(code.metadata, { collapsed: false });
+  assert.deepEqual(code.outputs, [
+    { output_type: 'stream', name: 'stdout', text: '1\n' },
+    { output_type: 'execute_result', execution_count: 4, data: { 'text/plain': '2', 'image/png': 'iVBORw0KGgo=' }, metadata: {} },
+    { output_type: 'error', ename: 'ValueError', evalue: 'bad', traceback: [] }
+  ]);
+  assert.deepEqual(validateStructure(upgraded).issues.filter(issue => issue.severity === 'error'), []);
+});
+
+test('the in-memory upgrade gives the same ids on every read and records the original version', () => {
+  const first = upgradeForReading(v3Notebook());
+  const second = upgradeForReading(v3Notebook());
+  assert.deepEqual(first.cells.map(cell => cell.id), second.cells.map(cell => cell.id));
+  assert.deepEqual(first.cells.map(cell => cell.id), convertNotebook(v3Notebook(), '4.5').notebook.cells.map(cell => cell.id));
+  assert.equal(first.metadata.orig_nbformat, 3);
+  assert.equal(first.metadata.orig_nbformat_minor, 0);
+});
+
+test('converts between 4.4 and 4.5 by removing or adding cell ids', () => {
+  const down = convertNotebook(notebook([{ source: 'a' }, { source: 'b' }]), '4.4');
+  assert.equal(notebookVersion(down.notebook), '4.4');
+  assert.equal(down.changes.ids_removed, 2);
+  assert.ok(down.notebook.cells.every(cell => !('id' in cell)));
+
+  const up = convertNotebook(down.notebook, '4.5');
+  assert.equal(up.changes.ids_added, 2);
+  assert.equal(new Set(up.notebook.cells.map(cell => cell.id)).size, 2);
+  assert.equal(convertNotebook(up.notebook, '4.5').to, '4.5');
+});
+
+test('rejects unsupported versions', () => {
+  assert.throws(() => convertNotebook(notebook([]), '5.0'), /Unsupported target version 5\.0/);
+  assert.throws(() => convertNotebook({ nbformat: 2, cells: [] }, '4.5'), /Cannot convert nbformat 2\.0 notebooks/);
+  assert.equal(notebookVersion({ nbformat: 4 }), '4.0');
+  assert.equal(notebookVersion(null), null);
+});
+
+test('a notebook converted to 4.4 stays at 4.4 when it is edited', async () => {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const notebookPath = path.join(dir, 'report.ipynb');
+    await fs.writeJson(notebookPath, notebook([{ source: 'a = 1' }, { source: 'b = 2' }]));
+
+    assert.ok(!(await server.call('notebook_convert_version', { path: notebookPath, target_version: '4.4' })).isError);
+    assert.ok(!(await server.call('notebook_edit_cell_metadata', { path: notebookPath, cell_index: 1, metadata: { tags: ['x'] } })).isError);
+    assert.ok(!(await server.call('notebook_edit_cell', { path: notebookPath, cell_index: 0, new_source: 'a = 3' })).isError);
+
+    const written = await fs.readJson(notebookPath);
+    assert.equal(notebookVersion(written), '4.4');
+    assert.ok(written.cells.every(cell => !('id' in cell)));
+    assert.deepEqual(validateStructure(written).issues.filter(issue => issue.severity === 'error'), []);
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
+
+test('nbformat 3 notebooks can be read by cell id and must be converted before editing', async () => {
+  const dir = await makeTempDir();
+  const server = await startServer(['--allowed-root', dir], { cwd: dir });
+  try {
+    const notebookPath = path.join(dir, 'legacy.ipynb');
+    await fs.writeJson(notebookPath, v3Notebook());
+
+    const first = await server.call('notebook_read_cell', { path: notebookPath, cell_id: 'cell-1' });
+    const second = await server.call('notebook_read_cell', { path: notebookPath, cell_id: 'cell-1' });
+    assert.ok(!first.isError);
+    assert.equal(first.text, second.text);
+    assert.match(first.text, /print\(1\)/);
+    assert.match(first.text, /in-memory upgrade to nbformat 4\.5/);
+
+    const refused = await server.call('notebook_edit_cell', { path: notebookPath, cell_id: 'cell-1', new_source: 'x' });
+    assert.equal(refused.isError, true);
+    assert.match(refused.text, /convert it with notebook_convert_version/);
+
+    await server.call('notebook_convert_version', { path: notebookPath });
+    assert.ok(!(await server.call('notebook_edit_cell', { path: notebookPath, cell_id: 'cell-1', new_source: 'x' })).isError);
+    assert.deepEqual((await fs.readJson(notebookPath)).cells[1].source, ['x']);
+  } finally {
+    await server.close();
+    await fs.remove(dir);
+  }
+});
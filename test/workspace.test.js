@@ -0,0 +1,191 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { checkPath, findNotebooks } from '../src/workspace.js';
+import { makeTempDir, startServer, notebook } from './helpers.js';
+
+// A root with one notebook inside, plus a sibling directory outside it that symlinks point into
+async function withWorkspace(callback) {
+  const dir = await makeTempDir();
+  const root = path.join(dir, 'root');
+  const outside = path.join(dir, 'outside');
+  await fs.outputJson(path.join(root, 'inside.ipynb'), notebook([{ source: 'x = 1' }]));
+  await fs.outputJson(path.join(outside, 'secret.ipynb'), notebook([{ source: 'token = 1' }]));
+  try {
+    return await callback({ dir, root, outside });
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('checkPath resolves relative paths against the first root', async () => {
+  await withWorkspace(async ({ dir, root }) => {
+    const second = path.join(dir, 'second');
+    await fs.ensureDir(second);
+
+    const check = await checkPath('sub/new.ipynb', [root, second]);
+    assert.equal(check.permitted, true);
+    assert.equal(check.resolvedPath, path.join(root, 'sub/new.ipynb'));
+    assert.equal(check.root, root);
+
+    const inSecond = await checkPath(path.join(second, 'b.ipynb'), [root, second]);
+    assert.equal(inSecond.permitted, true);
+    assert.equal(inSecond.root, second);
+  });
+});
+
+test('checkPath rejects ../ traversal and absolute paths outside the roots', async () => {
+  await withWorkspace(async ({ root, outside }) => {
+    for (const target of ['../outside/secret.ipynb', 'sub/../../outside/secret.ipynb', path.join(outside, 'secret.ipynb'), '/etc/passwd']) {
+      const check = await checkPath(target, [root]);
+      assert.equal(check.permitted, false, target);
+      assert.equal(check.root, null);
+      assert.match(check.reason, /outside the allowed roots/);
+    }
+
+    // A sibling whose name merely starts with the root's name is not inside it
+    const sibling = await checkPath(`${root}-other/a.ipynb`, [root]);
+    assert.equal(sibling.permitted, false);
+
+    assert.equal((await checkPath('', [root])).permitted, false);
+    assert.equal((await checkPath('a\0.ipynb', [root])).permitted, false);
+  });
+});
+
+test('checkPath follows symlinks, including for targets that do not exist yet', async () => {
+  await withWorkspace(async ({ root, outside }) => {
+    await fs.symlink(path.join(outside, 'secret.ipynb'), path.join(root, 'link.ipynb'));
+    await fs.symlink(outside, path.join(root, 'escape'));
+    await fs.symlink(path.join(root, 'inside.ipynb'), path.join(root, 'alias.ipynb'));
+
+    const file = await checkPath('link.ipynb', [root]);
+    assert.equal(file.permitted, false);
+    assert.equal(file.resolvedPath, path.join(outside, 'secret.ipynb'));
+
+    const missing = await checkPath('escape/new/deeper.ipynb', [root]);
+    assert.equal(missing.permitted, false);
+    assert.equal(missing.resolvedPath, path.join(outside, 'new/deeper.ipynb'));
+
+    const alias = await checkPath('alias.ipynb', [root]);
+    assert.equal(alias.permitted, true);
+    assert.equal(alias.resolvedPath, path.join(root, 'inside.ipynb'));
+  });
+});
+
+test('findNotebooks skips symlinks that lead out of the roots', async () => {
+  await withWorkspace(async ({ root, outside }) => {
+    await fs.symlink(path.join(outside, 'secret.ipynb'), path.join(root, 'link.ipynb'));
+    await fs.symlink(outside, path.join(root, 'escape'));
+    await fs.symlink(path.join(root, 'inside.ipynb'), path.join(root, 'alias.ipynb'));
+
+    const { notebooks, truncated } = await findNotebooks(root, { roots: [root] });
+    assert.deepEqual(notebooks, [path.join(root, 'alias.ipynb'), path.join(root, 'inside.ipynb')]);
+    assert.equal(truncated, false);
+  });
+});
+
+test('the server refuses paths outside the roots and does not probe them', async () => {
+  await withWorkspace(async ({ root, outside }) => {
+    await fs.symlink(path.join(outside, 'secret.ipynb'), path.join(root, 'link.ipynb'));
+    const server = await startServer(['--allowed-root', root], { cwd: root });
+    try {
+      for (const target of ['link.ipynb', '../outside/secret.ipynb', path.join(outside, 'secret.ipynb')]) {
+        const read = await server.call('notebook_read', { path: target });
+        assert.equal(read.isError, true, target);
+        assert.doesNotMatch(read.text, /token = 1/);
+      }
+
+      const listed = JSON.parse((await server.call('notebook_list', {})).content[0].text);
+      assert.deepEqual(listed.notebooks.map(entry => entry.path), [path.join(root, 'inside.ipynb')]);
+
+      for (const target of ['/etc/passwd', '/definitely/not/here', 'link.ipynb']) {
+        const context = JSON.parse((await server.call('notebook_get_server_path_context', { path: target })).content[0].text);
+        assert.equal(context.permitted, false, target);
+        assert.equal(context.reason, 'path is outside the allowed roots');
+        for (const key of ['exists', 'is_file', 'is_directory', 'absolute_path', 'resolved_path']) {
+          assert.ok(!(key in context), `${key} reported for ${target}`);
+        }
+      }
+
+      const inside = JSON.parse((await server.call('notebook_get_server_path_context', { path: 'inside.ipynb' })).content[0].text);
+      assert.equal(inside.permitted, true);
+      assert.equal(inside.exists, true);
+      assert.equal(inside.is_file, true);
+      assert.equal(inside.resolved_path, path.join(root, 'inside.ipynb'));
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+// root/a.ipynb, root/deep/er/b.ipynb (2 cells), root/drafts/c.ipynb and a checkpoint, plus a directory symlink loop
+async function withTree(callback) {
+  return withWorkspace(async ({ dir, root, outside }) => {
+    await fs.remove(path.join(root, 'inside.ipynb'));
+    await fs.outputJson(path.join(root, 'a.ipynb'), notebook([{ source: 'alpha = 1' }]));
+    await fs.outputJson(path.join(root, 'deep/er/b.ipynb'), notebook([{ source: 'alpha = alpha + 1\nprint(alpha)' }, { source: 'beta' }]));
+    await fs.outputJson(path.join(root, 'drafts/c.ipynb'), notebook([{ source: 'gamma' }]));
+    await fs.outputJson(path.join(root, 'drafts/.ipynb_checkpoints/c-checkpoint.ipynb'), notebook([{ source: 'alpha' }]));
+    await fs.outputFile(path.join(root, 'notes.txt'), 'alpha');
+    await fs.symlink(root, path.join(root, 'deep/loop'));
+    return callback({ dir, root, outside });
+  });
+}
+
+test('findNotebooks walks nested directories, skips ignored paths and does not follow directory symlinks', async () => {
+  await withTree(async ({ root }) => {
+    const all = await findNotebooks(root);
+    assert.deepEqual(all.notebooks, ['a.ipynb', 'deep/er/b.ipynb', 'drafts/c.ipynb'].map(name => path.join(root, name)));
+    assert.equal(all.truncated, false);
+
+    const filtered = await findNotebooks(root, { ignore: ['drafts/', 'deep/**/b.ipynb'] });
+    assert.deepEqual(filtered.notebooks, [path.join(root, 'a.ipynb')]);
+    // Patterns given replace the default ignore list rather than adding to it
+    const byName = await findNotebooks(root, { ignore: ['?.ipynb'] });
+    assert.deepEqual(byName.notebooks, [path.join(root, 'drafts/.ipynb_checkpoints/c-checkpoint.ipynb')]);
+
+    const capped = await findNotebooks(root, { limit: 2 });
+    assert.equal(capped.notebooks.length, 2);
+    assert.equal(capped.truncated, true);
+  });
+});
+
+test('notebook_list and notebook_search_workspace page through the notebooks under the roots', async () => {
+  await withTree(async ({ root, outside }) => {
+    await fs.symlink(path.join(outside, 'secret.ipynb'), path.join(root, 'drafts/secret.ipynb'));
+    await fs.outputFile(path.join(root, 'broken.ipynb'), '{ not json');
+    const server = await startServer(['--allowed-root', root], { cwd: root });
+    try {
+      const list = async args => JSON.parse((await server.call('notebook_list', args)).content[0].text);
+
+      const first = await list({ limit: 2 });
+      assert.deepEqual(first.notebooks.map(entry => path.relative(root, entry.path)), ['a.ipynb', 'broken.ipynb']);
+      assert.equal(first.total, 4);
+      assert.equal(first.next_offset, 2);
+      assert.equal(first.truncated, false);
+      assert.ok(first.notebooks[1].error);
+      const rest = await list({ limit: 2, offset: first.next_offset });
+      assert.deepEqual(rest.notebooks.map(entry => path.relative(root, entry.path)), ['deep/er/b.ipynb', 'drafts/c.ipynb']);
+      assert.equal(rest.next_offset, null);
+
+      const bySize = await list({ sort_by: 'cell_count', ignore: ['drafts'] });
+      assert.deepEqual(bySize.notebooks.map(entry => [path.relative(root, entry.path), entry.cell_count]), [['deep/er/b.ipynb', 2], ['a.ipynb', 1], ['broken.ipynb', undefined]]);
+      const under = await list({ root: path.join(root, 'deep') });
+      assert.deepEqual(under.notebooks.map(entry => path.relative(root, entry.path)), ['deep/er/b.ipynb']);
+      assert.equal((await server.call('notebook_list', { root: outside })).isError, true);
+
+      const search = JSON.parse((await server.call('notebook_search_workspace', { query: 'alpha', limit: 1 })).content[0].text);
+      assert.equal(search.notebooks_searched, 4);
+      assert.equal(search.total, 2);
+      assert.equal(search.next_offset, 1);
+      assert.deepEqual(search.results.map(hit => [path.relative(root, hit.path), hit.cell_index, hit.match_count]), [['deep/er/b.ipynb', 0, 3]]);
+      assert.deepEqual(search.errors.map(error => path.relative(root, error.path)), ['broken.ipynb']);
+
+      const secret = JSON.parse((await server.call('notebook_search_workspace', { query: 'token' })).content[0].text);
+      assert.equal(secret.total, 0);
+    } finally {
+      await server.close();
+    }
+  });
+});